@@ -8,107 +8,23 @@ async function main() {
       './tree.svg3'
     );
 
-    // Get the camera for interactive controls
-    const camera = system.renderer.camera;
-
-    // If a sky HDR exists, try to load and tone-map it into an LDR dataURL for the CSS background
+    // Let intense emissive materials bleed light
+    system.renderer.setBloom({ enabled: true });
+
+    // Get the scene's active camera for interactive controls
+    const cameraEntity = system.renderer.activeCamera;
+    const camera = cameraEntity.getComponent('camera');
+    const cameraTransform = cameraEntity.getComponent('transform');
+    // Keep the framing from the SVG3 file when it declares a camera
+    const hasAuthoredCamera = !!(system.sceneData.scenes[0] && system.sceneData.scenes[0].camera);
+
+    // Decode a sky HDR with the library's RGBE reader, use it for image-based
+    // lighting and tone-map it into an LDR dataURL for the visible sky
     async function loadAndToneMapHDR(url) {
       const res = await fetch(url);
       if (!res.ok) throw new Error('Failed to load HDR');
-      const buf = await res.arrayBuffer();
-      const bytes = new Uint8Array(buf);
-
-      // parse header
-      let pos = 0;
-      const readLine = () => {
-        let s = '';
-        while (pos < bytes.length) {
-          const c = bytes[pos++];
-          if (c === 10) break; // \n
-          s += String.fromCharCode(c);
-        }
-        return s;
-      };
-
-      // read header lines until empty line
-      let line = '';
-      let header = '';
-      while (true) {
-        line = readLine();
-        if (line === undefined) break;
-        if (line.trim() === '') break;
-        header += line + '\n';
-      }
-
-      // resolution line expected like: -Y 256 +X 512
-      const resLine = readLine();
-      const parts = resLine.split(' ');
-      let height = 0, width = 0;
-      for (let i = 0; i < parts.length; i += 2) {
-        const key = parts[i], val = parseInt(parts[i+1]);
-        if (!isNaN(val)) {
-          if (key === '-Y' || key === '+Y') height = val;
-          if (key === '+X' || key === '-X') width = val;
-        }
-      }
-
-      if (width === 0 || height === 0) throw new Error('Invalid HDR resolution');
-
-      // Prepare float RGB buffer
-      const floatPixels = new Float32Array(width * height * 3);
-
-      // Decode RLE-encoded scanlines (Radiance RGBE)
-      for (let y = 0; y < height; y++) {
-        if (pos + 4 > bytes.length) break;
-        const r0 = bytes[pos++], r1 = bytes[pos++], r2 = bytes[pos++], r3 = bytes[pos++];
-        if (r0 !== 2 || r1 !== 2) {
-          throw new Error('Unsupported HDR format (old RLE)');
-        }
-        const scanlineWidth = (r2 << 8) | r3;
-        if (scanlineWidth !== width) throw new Error('HDR width mismatch');
-
-        const scanR = new Uint8Array(width);
-        const scanG = new Uint8Array(width);
-        const scanB = new Uint8Array(width);
-        const scanE = new Uint8Array(width);
-
-        // read each component's RLE
-        for (let comp = 0; comp < 4; comp++) {
-          let i = 0;
-          while (i < width) {
-            const val = bytes[pos++];
-            if (val > 128) {
-              const count = val - 128;
-              const v = bytes[pos++];
-              for (let k = 0; k < count; k++) {
-                if (comp === 0) scanR[i++] = v;
-                else if (comp === 1) scanG[i++] = v;
-                else if (comp === 2) scanB[i++] = v;
-                else scanE[i++] = v;
-              }
-            } else {
-              if (comp === 0) scanR[i++] = val;
-              else if (comp === 1) scanG[i++] = val;
-              else if (comp === 2) scanB[i++] = val;
-              else scanE[i++] = val;
-            }
-          }
-        }
-
-        // convert scanline to floats
-        for (let x = 0; x < width; x++) {
-          const e = scanE[x];
-          const idx = (y * width + x) * 3;
-          if (e === 0) {
-            floatPixels[idx] = floatPixels[idx+1] = floatPixels[idx+2] = 0;
-          } else {
-            const f = Math.pow(2.0, e - (128 + 8));
-            floatPixels[idx]   = scanR[x] * f;
-            floatPixels[idx+1] = scanG[x] * f;
-            floatPixels[idx+2] = scanB[x] * f;
-          }
-        }
-      }
+      const { width, height, data: floatPixels } = SVG3NEXUS.EnvironmentMap.decodeHDR(await res.arrayBuffer());
+      system.renderer.setEnvironment(new SVG3NEXUS.EnvironmentMap(width, height, floatPixels));
 
       // Tone map & convert to LDR ImageData
       const exposure = 0.6;
@@ -195,6 +111,8 @@ async function main() {
         // Also set CSS background as a quick visible fallback (helps if GL upload fails)
         try { document.getElementById('canvas').style.backgroundImage = `url('${pngSky}?_=${Date.now()}')`; } catch (bgErr) {}
         console.log('Loaded PNG sky:', pngSky);
+        // Light the scene from the sky until (and unless) the HDR replaces it
+        system.renderer.setEnvironment(SVG3NEXUS.EnvironmentMap.fromImage(img));
 
         // Create sphere geometry with UVs and register it
         const sphere = createSphereGeometry(1, 48);
@@ -295,9 +213,10 @@ async function main() {
     let moveForward = false, moveBackward = false, moveLeft = false, moveRight = false, moveUp = false, moveDown = false;
     let fpSpeed = 5.0; // meters per second
     let groundTopY = 0;
-    // Initialize camera yaw/pitch for first-person (optional)
-    camera.yaw = 0;
-    camera.pitch = 0;
+    // Initialize camera yaw/pitch for first-person from the camera's current view direction
+    const initialForward = camera.getForward(cameraTransform.position, cameraTransform.rotation);
+    camera.yaw = Math.atan2(initialForward[0], initialForward[2]);
+    camera.pitch = Math.asin(Math.max(-1, Math.min(1, initialForward[1])));
     // physics state for player
     camera.velocity = camera.velocity || [0, 0, 0];
     let grounded = false;
@@ -342,8 +261,8 @@ async function main() {
       const movementX = e.movementX || e.mozMovementX || e.webkitMovementX || 0;
       const movementY = e.movementY || e.mozMovementY || e.webkitMovementY || 0;
       const sensitivity = 0.0025;
-      // Standard mapping: moving mouse right increases yaw, moving mouse down increases pitch downward
-      camera.yaw += movementX * sensitivity;
+      // Standard mapping: moving mouse right turns right (yaw decreases), moving mouse down pitches downward
+      camera.yaw -= movementX * sensitivity;
       camera.pitch -= movementY * sensitivity;
       camera.pitch = Math.max(-Math.PI/2 + 0.01, Math.min(Math.PI/2 - 0.01, camera.pitch));
     }
@@ -358,7 +277,7 @@ async function main() {
         fpsMode = true;
         // snap camera Y to ground top + eye height
         if (typeof groundTopY === 'number') {
-          camera.position[1] = groundTopY + eyeHeight;
+          cameraTransform.position[1] = groundTopY + eyeHeight;
         }
         console.log('Entered first-person mode (pointer locked)');
       }
@@ -440,17 +359,22 @@ async function main() {
       const y = Math.sin(cameraRotationY) * cameraDistance + 6; // +6 to match SVG3 camera height
       const z = Math.cos(cameraRotationX) * Math.cos(cameraRotationY) * cameraDistance;
 
-      camera.position[0] = x;
-      camera.position[1] = y;
-      camera.position[2] = z;
+      cameraTransform.position[0] = x;
+      cameraTransform.position[1] = y;
+      cameraTransform.position[2] = z;
 
       // Also update camera yaw/pitch so switching to FPS feels continuous
       camera.yaw = cameraRotationX;
       camera.pitch = cameraRotationY - 0.1;
     }
 
-    // Set initial camera position (no rotation)
-    updateCameraPosition();
+    // Set initial camera position (no rotation) unless the scene framed it already
+    if (hasAuthoredCamera) {
+      cameraRotationX = camera.yaw;
+      cameraRotationY = camera.pitch;
+    } else {
+      updateCameraPosition();
+    }
 
     // Create a flat green ground under the scene so models stand on it
     try {
@@ -461,44 +385,8 @@ async function main() {
       let globalMinX = Infinity, globalMinZ = Infinity;
       let globalMaxX = -Infinity, globalMaxZ = -Infinity, globalMaxY = -Infinity;
 
-      // helper: apply a single entity's local transform to a point
-      // transform order: scale -> rotationZ -> rotationY -> rotationX -> translate
-      const applyLocalTransform = (tr, p) => {
-        let x = p[0] * (tr.scale[0] || 1);
-        let y = p[1] * (tr.scale[1] || 1);
-        let z = p[2] * (tr.scale[2] || 1);
-
-        const rz = (tr.rotation[2] || 0);
-        if (rz !== 0) {
-          const c = Math.cos(rz), s = Math.sin(rz);
-          const nx = c * x - s * y;
-          const ny = s * x + c * y;
-          x = nx; y = ny;
-        }
-
-        const ry = (tr.rotation[1] || 0);
-        if (ry !== 0) {
-          const c = Math.cos(ry), s = Math.sin(ry);
-          const nx = c * x + s * z;
-          const nz = -s * x + c * z;
-          x = nx; z = nz;
-        }
-
-        const rx = (tr.rotation[0] || 0);
-        if (rx !== 0) {
-          const c = Math.cos(rx), s = Math.sin(rx);
-          const ny = c * y - s * z;
-          const nz = s * y + c * z;
-          y = ny; z = nz;
-        }
-
-        // translate
-        x += (tr.position[0] || 0);
-        y += (tr.position[1] || 0);
-        z += (tr.position[2] || 0);
-
-        return [x, y, z];
-      };
+      // World matrices are cached on each Transform; make sure they're current
+      SVG3NEXUS.propagateTransforms(world);
 
       const renderables = world.query(['transform', 'mesh']);
       for (const e of renderables.entities) {
@@ -509,23 +397,10 @@ async function main() {
         const geom = geomLib.getGeometry(mesh.geometryId);
         if (!geom || !geom.vertices) continue;
 
-        // compute world-space position for each vertex by applying local+parent transforms
+        // world-space position of each vertex
         const verts = geom.vertices;
         for (let i = 0; i < verts.length; i += 3) {
-          let p = [verts[i], verts[i+1], verts[i+2]];
-          // apply local transform
-          p = applyLocalTransform(transform, p);
-
-          // apply parent chain
-          let parentId = transform.parent;
-          while (parentId) {
-            const parent = world.getEntity(parentId);
-            if (!parent) break;
-            const pt = parent.getComponent('transform');
-            if (!pt) break;
-            p = applyLocalTransform(pt, p);
-            parentId = pt.parent;
-          }
+          const p = SVG3NEXUS.Matrix4.transformPoint(transform.worldMatrix, [verts[i], verts[i+1], verts[i+2]]);
 
           const wx = p[0], wy = p[1], wz = p[2];
           if (wy < globalMinY) globalMinY = wy;
@@ -568,100 +443,39 @@ async function main() {
       world.addComponent(groundEntity, 'rigidbody', { mass: 1e9, static: true });
       console.log('Ground created at topY=', groundTopY, 'centerY=', groundCenterY);
 
-      // Create projected shadows by projecting each mesh's world-space vertices onto the ground along the renderer light direction
-      try {
-        const lightPos = system.renderer.light.position || [3, 3, 3];
-        // projection direction (from surface toward ground) — use negative light position as directional light
-        let D = [-lightPos[0], -lightPos[1], -lightPos[2]];
-        const dlen = Math.sqrt(D[0]*D[0] + D[1]*D[1] + D[2]*D[2]) || 1;
-        D = [D[0]/dlen, D[1]/dlen, D[2]/dlen];
-
-        const renderablesForShadow = world.query(['transform', 'mesh']);
-        const combinedVerts = [];
-        const combinedIndices = [];
-        let indexOffset = 0;
-
-        for (const e of renderablesForShadow.entities) {
-          const mesh = e.getComponent('mesh');
-          if (!mesh || !mesh.geometryId || mesh.geometryId === groundGeomId) continue;
-
-          const geom = geomLib.getGeometry(mesh.geometryId);
-          if (!geom || !geom.vertices) continue;
-
-          const verts = geom.vertices;
-          // project each vertex to world-space then onto ground plane
-          const projected = [];
-
-          for (let i = 0; i < verts.length; i += 3) {
-            let p = [verts[i], verts[i+1], verts[i+2]];
-            p = applyLocalTransform(e.getComponent('transform'), p);
-            let parentId = e.getComponent('transform').parent;
-            while (parentId) {
-              const parent = world.getEntity(parentId);
-              if (!parent) break;
-              const pt = parent.getComponent('transform');
-              if (!pt) break;
-              p = applyLocalTransform(pt, p);
-              parentId = pt.parent;
-            }
-
-            let proj;
-            if (Math.abs(D[1]) < 1e-6) {
-              proj = [p[0], globalMinY, p[2]];
-            } else {
-              const t = (globalMinY - p[1]) / D[1];
-              proj = [p[0] + D[0]*t, p[1] + D[1]*t, p[2] + D[2]*t];
-            }
-            proj[1] += 0.0005;
-            projected.push(proj[0], proj[1], proj[2]);
-          }
-
-          // push projected vertices into combined buffer
-          combinedVerts.push(...projected);
-
-          // append indices with offset
-          const indices = geom.indices instanceof Uint16Array ? Array.from(geom.indices) : Array.from(geom.indices || []);
-          for (let k = 0; k < indices.length; k++) {
-            combinedIndices.push(indices[k] + indexOffset);
-          }
-
-          indexOffset += verts.length / 3;
-        }
-
-        if (combinedVerts.length > 0 && combinedIndices.length > 0) {
-          const projectedArray = new Float32Array(combinedVerts);
-          const indicesArray = new Uint16Array(combinedIndices);
-          const shadowGeomId = geomLib.addGeometry('shadow-combined', projectedArray, indicesArray);
-
-          const shadowEntity = world.createEntity();
-          world.addComponent(shadowEntity, 'transform', new SVG3NEXUS.Transform(0, 0, 0));
-          world.addComponent(shadowEntity, 'mesh', new SVG3NEXUS.Mesh(shadowGeomId, null));
-          world.addComponent(shadowEntity, 'material', new SVG3NEXUS.Material([0,0,0], { opacity: 0.85, transparent: true, doubleSided: true, isShadow: true }));
-        }
-
-        console.log('Projected shadows (combined) created');
-      } catch (e) {
-        console.warn('Projected shadow creation failed:', e);
+      // The ground only receives shadows; the scene's key light (first
+      // directional light, else the first spot light) casts them each frame
+      groundMesh.castShadow = false;
+      const keyLight = world.query(['light', 'transform']).entities
+        .map(l => l.getComponent('light'))
+        .sort((l1, l2) => (l1.type === 'directional' ? 0 : 1) - (l2.type === 'directional' ? 0 : 1))
+        .find(l => l.type === 'directional' || l.type === 'spot');
+      if (keyLight) {
+        keyLight.castShadow = true;
+        keyLight.shadowDistance = Math.max(30, (globalMaxX - globalMinX) * 2, (globalMaxZ - globalMinZ) * 2);
       }
 
       // Position the camera so it looks at the scene center on spawn
+      // (only when the scene did not declare its own camera).
       // Place camera a bit above center and some distance back on Z
-      const spawnDistance = Math.max(6, Math.max(globalMaxX - globalMinX, globalMaxZ - globalMinZ));
-      camera.position[0] = centerX;
-      camera.position[1] = centerY + Math.max(2.0, spawnDistance * 0.3);
-      camera.position[2] = centerZ + spawnDistance * 1.2;
-      // Compute yaw/pitch so renderer will look at the center
-      const dx = centerX - camera.position[0];
-      const dy = centerY - camera.position[1];
-      const dz = centerZ - camera.position[2];
-      const len = Math.sqrt(dx*dx + dy*dy + dz*dz) || 1;
-      const dirx = dx / len, diry = dy / len, dirz = dz / len;
-      camera.yaw = Math.atan2(dirx, dirz);
-      camera.pitch = Math.asin(diry);
-      // keep orbit controls in sync
-      cameraRotationX = camera.yaw;
-      cameraRotationY = camera.pitch;
-      cameraDistance = len;
+      if (!hasAuthoredCamera) {
+        const spawnDistance = Math.max(6, Math.max(globalMaxX - globalMinX, globalMaxZ - globalMinZ));
+        cameraTransform.position[0] = centerX;
+        cameraTransform.position[1] = centerY + Math.max(2.0, spawnDistance * 0.3);
+        cameraTransform.position[2] = centerZ + spawnDistance * 1.2;
+        // Compute yaw/pitch so renderer will look at the center
+        const dx = centerX - cameraTransform.position[0];
+        const dy = centerY - cameraTransform.position[1];
+        const dz = centerZ - cameraTransform.position[2];
+        const len = Math.sqrt(dx*dx + dy*dy + dz*dz) || 1;
+        const dirx = dx / len, diry = dy / len, dirz = dz / len;
+        camera.yaw = Math.atan2(dirx, dirz);
+        camera.pitch = Math.asin(diry);
+        // keep orbit controls in sync
+        cameraRotationX = camera.yaw;
+        cameraRotationY = camera.pitch;
+        cameraDistance = len;
+      }
     } catch (err) {
       console.warn('Ground creation failed:', err);
     }
@@ -674,7 +488,7 @@ async function main() {
       const yaw = camera.yaw || 0;
       const pitch = camera.pitch || 0;
       const forward = [Math.sin(yaw) * Math.cos(pitch), 0, Math.cos(yaw) * Math.cos(pitch)];
-      const right = [Math.cos(yaw), 0, -Math.sin(yaw)];
+      const right = [-Math.cos(yaw), 0, Math.sin(yaw)];
 
       // horizontal input
       let hx = 0, hz = 0;
@@ -691,8 +505,8 @@ async function main() {
       const FRICTION = 6.0; // per-second friction when grounded
       const frictionFactor = grounded ? Math.max(0, 1 - FRICTION * dt) : 1;
       const speed = fpSpeed * frictionFactor * dt;
-      camera.position[0] += hx * speed;
-      camera.position[2] += hz * speed;
+      cameraTransform.position[0] += hx * speed;
+      cameraTransform.position[2] += hz * speed;
 
       // gravity integration (simple)
       const GRAVITY = -9.81; // m/s^2
@@ -707,16 +521,16 @@ async function main() {
       // apply gravity to vertical velocity
       camera.velocity[1] += GRAVITY * dt;
       // integrate vertical position
-      camera.position[1] += camera.velocity[1] * dt;
+      cameraTransform.position[1] += camera.velocity[1] * dt;
 
       // collision with ground: prevent penetration and zero vertical velocity
       const groundY = (typeof groundTopY === 'number') ? groundTopY + eyeHeight : -Infinity;
-      if (camera.position[1] <= groundY) {
-        camera.position[1] = groundY;
+      if (cameraTransform.position[1] <= groundY) {
+        cameraTransform.position[1] = groundY;
         camera.velocity[1] = 0;
         grounded = true;
       }
-    }, 95);
+    }, { phase: 'input', fixed: true });
 
     // Minimal physics system: integrate rigidbodies (non-static) and collide with ground plane
     system.addSystem('physics', (world, dt) => {
@@ -741,7 +555,7 @@ async function main() {
           rb.velocity[1] = 0;
         }
       }
-    }, 80);
+    }, { phase: 'update', fixed: true });
 
     system.start();
 
@@ -750,6 +564,7 @@ async function main() {
     console.log('🔍 Mouse wheel to zoom');
     console.log('📱 Touch to rotate/zoom on mobile');
     console.log('▶ Press F to toggle first-person (pointer lock). WASD to move. Space/C to up/down.');
+    console.log('⏸  P to pause/resume the simulation, . to step one frame while paused');
     console.log(`📊 Entities: ${system.getAllEntities().length}`);
 
     // Key handlers for FPS toggle and movement
@@ -766,6 +581,10 @@ async function main() {
       if (e.key === 'd' || e.key === 'D') moveRight = true;
       if (e.code === 'Space') moveUp = true;
       if (e.key === 'c' || e.key === 'C') moveDown = true;
+      if (e.key === 'p' || e.key === 'P') {
+        if (system.world.loop.paused) system.resume(); else system.pause();
+      }
+      if (e.key === '.' && system.world.loop.paused) system.step();
     });
 
     window.addEventListener('keyup', (e) => {
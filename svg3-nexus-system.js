@@ -39,10 +39,17 @@ class Entity {
     this.id = id;
     this.components = new Map();
     this.active = true;
+    // Owning world; component changes go through it so queries, hooks and
+    // deferred commands see them
+    this.world = null;
   }
 
   addComponent(type, component) {
-    this.components.set(type, component);
+    if (this.world) {
+      this.world.addComponent(this, type, component);
+    } else {
+      this.components.set(type, component);
+    }
     return this;
   }
 
@@ -59,7 +66,17 @@ class Entity {
   }
 
   removeComponent(type) {
-    this.components.delete(type);
+    if (this.world) {
+      this.world.removeComponent(this, type);
+    } else {
+      this.components.delete(type);
+    }
+    return this;
+  }
+
+  // Notifies onChanged hooks after a component was modified in place
+  markChanged(type) {
+    if (this.world) this.world.markChanged(this, type);
     return this;
   }
 
@@ -68,30 +85,69 @@ class Entity {
   }
 }
 
+// Queries are kept up to date incrementally: the world re-tests only the
+// entities whose components changed, against only the queries that mention
+// the changed type. Membership is insertion-ordered; `entities` is an array
+// snapshot rebuilt lazily after membership changed, so it is safe to iterate
+// while entities are added or removed.
 class Query {
   constructor(world, required = [], excluded = []) {
     this.world = world;
     this.required = new Set(required);
     this.excluded = new Set(excluded);
-    this.entities = [];
+    this._members = new Set();
+    this._list = [];
+    this._listDirty = false;
     this.rebuild();
   }
 
-  rebuild() {
-    this.entities = [];
-    for (const entity of this.world.entities.values()) {
-      if (!entity.active) continue;
+  get entities() {
+    if (this._listDirty) {
+      this._list = Array.from(this._members);
+      this._listDirty = false;
+    }
+    return this._list;
+  }
 
-      const hasRequired = this.required.size === 0 || 
-        [...this.required].every(type => entity.hasComponent(type));
+  get size() {
+    return this._members.size;
+  }
 
-      const hasExcluded = 
-        [...this.excluded].some(type => entity.hasComponent(type));
+  has(entity) {
+    return this._members.has(entity);
+  }
 
-      if (hasRequired && !hasExcluded) {
-        this.entities.push(entity);
-      }
+  matches(entity) {
+    if (!entity.active) return false;
+    for (const type of this.required) {
+      if (!entity.hasComponent(type)) return false;
+    }
+    for (const type of this.excluded) {
+      if (entity.hasComponent(type)) return false;
+    }
+    return true;
+  }
+
+  // Re-tests one entity; returns true if its membership changed
+  update(entity) {
+    const member = this._members.has(entity);
+    if (member === this.matches(entity)) return false;
+    if (member) {
+      this._members.delete(entity);
+    } else {
+      this._members.add(entity);
+    }
+    this._listDirty = true;
+    return true;
+  }
+
+  // Full rescan of the world, only needed when queries are first created
+  rebuild() {
+    this._members.clear();
+    for (const entity of this.world.entities.values()) {
+      if (this.matches(entity)) this._members.add(entity);
     }
+    this._listDirty = true;
   }
 
   first() {
@@ -99,40 +155,162 @@ class Query {
   }
 
   getEntity(id) {
-    return this.entities.find(e => e.id === id) || null;
+    for (const entity of this._members) {
+      if (entity.id === id) return entity;
+    }
+    return null;
+  }
+}
+
+// Structural changes recorded while systems run and applied in order at the
+// end of World.update. Entities created through it get their id at once and
+// can take components immediately; they join the world (and its queries) when
+// the buffer is flushed.
+class CommandBuffer {
+  constructor(world) {
+    this.world = world;
+    this.commands = [];
+  }
+
+  get length() {
+    return this.commands.length;
+  }
+
+  createEntity() {
+    const entity = this.world._allocateEntity();
+    this.commands.push(() => this.world._insertEntity(entity));
+    return entity;
+  }
+
+  destroyEntity(entityOrId) {
+    this.commands.push(() => this.world._destroyEntityNow(entityOrId));
+    return this;
+  }
+
+  addComponent(entity, type, component) {
+    this.commands.push(() => this.world._addComponentNow(entity, type, component));
+    return this;
+  }
+
+  removeComponent(entity, type) {
+    this.commands.push(() => this.world._removeComponentNow(entity, type));
+    return this;
+  }
+
+  flush() {
+    // The world has stopped deferring by now, so changes hooks make while a
+    // command runs apply immediately. Commands pushed onto the buffer itself
+    // during the flush still run in this pass.
+    for (let i = 0; i < this.commands.length; i++) {
+      try {
+        this.commands[i]();
+      } catch (err) {
+        console.error('ECS command failed:', err);
+      }
+    }
+    this.commands.length = 0;
+    return this;
   }
 }
 
+// System phases in run order. Within a phase systems are ordered by their
+// before/after constraints, then by priority (higher first), then by the
+// order they were added.
+const SYSTEM_PHASES = ['input', 'pre-update', 'update', 'post-update', 'render'];
+
 class World {
   constructor() {
     this.entities = new Map();
     this.systems = new Map();
+    // Run order of this.systems, recomputed after systems are added/removed
+    this._systemOrder = null;
+    this._systemCount = 0;
     this.nextEntityId = 1;
     this.queries = new Map();
+    // Component type -> queries that require or exclude it
+    this._queriesByType = new Map();
+    // Entities changed while a batch is open, with the types that changed
+    // (null: created or destroyed, re-test against every query)
+    this._batchDepth = 0;
+    this._pending = new Map();
+    // Event name -> Set of handlers (see on/emit)
+    this._listeners = new Map();
+    // Structural changes made while systems run are deferred to the end of
+    // the tick through this buffer
+    this.commands = new CommandBuffer(this);
+    this._deferring = false;
     this.time = {
       elapsed: 0,
       deltaTime: 0,
-      frameCount: 0
+      frameCount: 0,
+      // Fixed-step loop (tick): simulated step length, steps taken so far
+      // and how far rendering is between the last two steps (0..1)
+      fixedDelta: 1 / 60,
+      fixedFrameCount: 0,
+      alpha: 1
     };
+    // tick() settings: frame deltas are clamped to maxDelta and at most
+    // maxSubSteps fixed steps run per frame, so a stalled tab does not
+    // trigger a burst of catch-up steps
+    this.loop = {
+      maxDelta: 0.25,
+      maxSubSteps: 8,
+      paused: false
+    };
+    this._accumulator = 0;
+    this._pendingSteps = 0;
   }
 
   createEntity() {
-    const id = this.nextEntityId++;
-    const entity = new Entity(id);
-    this.entities.set(id, entity);
-    this.invalidateQueries();
+    if (this._deferring) return this.commands.createEntity();
+    const entity = this._allocateEntity();
+    this._insertEntity(entity);
     return entity;
   }
 
   destroyEntity(entityOrId) {
+    if (this._deferring) {
+      this.commands.destroyEntity(entityOrId);
+      return this;
+    }
+    this._destroyEntityNow(entityOrId);
+    return this;
+  }
+
+  _allocateEntity() {
+    const entity = new Entity(this.nextEntityId++);
+    entity.world = this;
+    return entity;
+  }
+
+  _isLive(entity) {
+    return this.entities.get(entity.id) === entity;
+  }
+
+  _insertEntity(entity) {
+    if (entity.world !== this || this._isLive(entity)) return;
+    this.entities.set(entity.id, entity);
+    this._entityChanged(entity, null);
+    this.emit('entityCreated', entity, this);
+    // Components attached before the entity joined the world
+    for (const [type, component] of entity.components) {
+      this.emit('added:' + type, entity, component, this);
+    }
+  }
+
+  _destroyEntityNow(entityOrId) {
     const id = entityOrId instanceof Entity ? entityOrId.id : entityOrId;
     const entity = this.entities.get(id);
-    if (entity) {
-      entity.active = false;
-      this.entities.delete(id);
-      this.invalidateQueries();
+    if (!entity) return;
+    entity.active = false;
+    this.entities.delete(id);
+    this._entityChanged(entity, null);
+    // Components stay attached so handlers can still read them
+    for (const [type, component] of entity.components) {
+      this.emit('removed:' + type, entity, component, this);
     }
-    return this;
+    this.emit('entityDestroyed', entity, this);
+    entity.world = null;
   }
 
   getEntity(id) {
@@ -144,47 +322,278 @@ class World {
   }
 
   addComponent(entity, type, component) {
-    entity.addComponent(type, component);
-    this.invalidateQueries();
+    if (this._deferring && this._isLive(entity)) {
+      this.commands.addComponent(entity, type, component);
+    } else {
+      this._addComponentNow(entity, type, component);
+    }
     return this;
   }
 
   removeComponent(entity, type) {
-    entity.removeComponent(type);
-    this.invalidateQueries();
+    if (this._deferring && this._isLive(entity)) {
+      this.commands.removeComponent(entity, type);
+    } else {
+      this._removeComponentNow(entity, type);
+    }
+    return this;
+  }
+
+  // Replacing a component fires onChanged with (entity, component, previous)
+  _addComponentNow(entity, type, component) {
+    const previous = entity.components.get(type);
+    entity.components.set(type, component);
+    if (!this._isLive(entity)) return;
+    this._entityChanged(entity, type);
+    if (previous === undefined) {
+      this.emit('added:' + type, entity, component, this);
+    } else if (previous !== component) {
+      this.emit('changed:' + type, entity, component, previous, this);
+    }
+  }
+
+  _removeComponentNow(entity, type) {
+    const component = entity.components.get(type);
+    if (!entity.components.delete(type) || !this._isLive(entity)) return;
+    this._entityChanged(entity, type);
+    this.emit('removed:' + type, entity, component, this);
+  }
+
+  // For components modified in place (e.g. a mesh switched geometry)
+  markChanged(entity, type) {
+    const component = entity.components.get(type);
+    if (component !== undefined && this._isLive(entity)) {
+      this.emit('changed:' + type, entity, component, component, this);
+    }
+    return this;
+  }
+
+  // Event bus. Built-in events: 'entityCreated' and 'entityDestroyed'
+  // (entity, world), and per component type 'added:<type>', 'removed:<type>'
+  // (entity, component, world) and 'changed:<type>' (entity, component,
+  // previous, world). Returns a function that unsubscribes.
+  on(event, handler) {
+    if (!this._listeners.has(event)) this._listeners.set(event, new Set());
+    this._listeners.get(event).add(handler);
+    return () => this.off(event, handler);
+  }
+
+  off(event, handler) {
+    const handlers = this._listeners.get(event);
+    if (handlers) handlers.delete(handler);
+    return this;
+  }
+
+  emit(event, ...args) {
+    const handlers = this._listeners.get(event);
+    if (!handlers || handlers.size === 0) return this;
+    for (const handler of Array.from(handlers)) {
+      try {
+        handler(...args);
+      } catch (err) {
+        console.error(`ECS handler for '${event}' failed:`, err);
+      }
+    }
     return this;
   }
 
+  onAdded(type, handler) {
+    return this.on('added:' + type, handler);
+  }
+
+  onRemoved(type, handler) {
+    return this.on('removed:' + type, handler);
+  }
+
+  onChanged(type, handler) {
+    return this.on('changed:' + type, handler);
+  }
+
+  onEntityDestroyed(handler) {
+    return this.on('entityDestroyed', handler);
+  }
+
   query(required = [], excluded = []) {
-    const key = JSON.stringify([required, excluded]);
-    
+    const key = JSON.stringify([[...required].sort(), [...excluded].sort()]);
+
     if (!this.queries.has(key)) {
-      this.queries.set(key, new Query(this, required, excluded));
+      const query = new Query(this, required, excluded);
+      this.queries.set(key, query);
+      for (const type of [...query.required, ...query.excluded]) {
+        if (!this._queriesByType.has(type)) this._queriesByType.set(type, new Set());
+        this._queriesByType.get(type).add(query);
+      }
     }
-    
+
     return this.queries.get(key);
   }
 
+  // Full rescan of every query; structural changes keep them current on
+  // their own, so this is only a fallback
   invalidateQueries() {
     for (const query of this.queries.values()) {
       query.rebuild();
     }
   }
 
-  addSystem(name, updateFn, priority = 0) {
+  // Defers query maintenance until the outermost batch ends, then re-tests
+  // each touched entity once. The SVG3 parser loads scenes inside a batch.
+  batch(fn) {
+    this._batchDepth++;
+    try {
+      return fn();
+    } finally {
+      if (--this._batchDepth === 0) this._flushPending();
+    }
+  }
+
+  _entityChanged(entity, type) {
+    if (this._batchDepth > 0) {
+      const types = this._pending.get(entity);
+      if (type === null) {
+        this._pending.set(entity, null);
+      } else if (types === undefined) {
+        this._pending.set(entity, new Set([type]));
+      } else if (types !== null) {
+        types.add(type);
+      }
+      return;
+    }
+    this._updateQueries(entity, type === null ? null : [type]);
+  }
+
+  _updateQueries(entity, types) {
+    if (types === null) {
+      for (const query of this.queries.values()) query.update(entity);
+      return;
+    }
+    for (const type of types) {
+      const queries = this._queriesByType.get(type);
+      if (!queries) continue;
+      for (const query of queries) query.update(entity);
+    }
+  }
+
+  _flushPending() {
+    const pending = this._pending;
+    this._pending = new Map();
+    for (const [entity, types] of pending) {
+      this._updateQueries(entity, types);
+    }
+  }
+
+  // addSystem(name, fn, priority?, options?) or addSystem(name, fn, options).
+  // Options: phase (one of SYSTEM_PHASES, default 'update'), before/after
+  // (system names or arrays of names; unknown names are ignored), priority,
+  // and fixed to run at time.fixedDelta from tick() instead of once per frame
+  // (simulation, physics, input integration).
+  addSystem(name, updateFn, priority = 0, options = {}) {
+    if (typeof priority === 'object' && priority !== null) {
+      options = priority;
+      priority = options.priority ?? 0;
+    }
+    const phase = options.phase || 'update';
+    if (!SYSTEM_PHASES.includes(phase)) {
+      throw new Error(`Unknown system phase '${phase}' for '${name}' (expected ${SYSTEM_PHASES.join(', ')})`);
+    }
+    const names = (v) => (v == null ? [] : Array.isArray(v) ? [...v] : [v]);
     this.systems.set(name, {
       update: updateFn,
       priority,
-      enabled: true
+      enabled: true,
+      fixed: !!options.fixed,
+      phase,
+      before: names(options.before),
+      after: names(options.after),
+      index: this._systemCount++,
+      stats: { calls: 0, lastTime: 0, totalTime: 0, maxTime: 0 }
     });
+    this._systemOrder = null;
     return this;
   }
 
   removeSystem(name) {
     this.systems.delete(name);
+    this._systemOrder = null;
+    return this;
+  }
+
+  // System names in the order they run (phase, constraints, priority)
+  getSystemOrder() {
+    return this._sortSystems().map(([name]) => name);
+  }
+
+  // Per-system timings in milliseconds, in run order
+  getSystemStats() {
+    return this._sortSystems().map(([name, system]) => ({
+      name,
+      phase: system.phase,
+      fixed: system.fixed,
+      enabled: system.enabled,
+      calls: system.stats.calls,
+      lastMs: system.stats.lastTime,
+      avgMs: system.stats.calls ? system.stats.totalTime / system.stats.calls : 0,
+      maxMs: system.stats.maxTime
+    }));
+  }
+
+  resetSystemStats() {
+    for (const system of this.systems.values()) {
+      system.stats = { calls: 0, lastTime: 0, totalTime: 0, maxTime: 0 };
+    }
     return this;
   }
 
+  // Topological sort per phase. A constraint on a system in another phase
+  // must agree with the phase order; cycles and contradictions throw.
+  _sortSystems() {
+    if (this._systemOrder) return this._systemOrder;
+
+    const phaseOf = (name) => SYSTEM_PHASES.indexOf(this.systems.get(name).phase);
+    const edges = new Map(); // name -> names that must run after it
+    const inDegree = new Map();
+    for (const name of this.systems.keys()) {
+      edges.set(name, new Set());
+      inDegree.set(name, 0);
+    }
+    const addEdge = (first, then) => {
+      if (!this.systems.has(first) || !this.systems.has(then) || first === then) return;
+      const a = phaseOf(first), b = phaseOf(then);
+      if (a > b) {
+        throw new Error(`System '${first}' must run before '${then}' but is in a later phase`);
+      }
+      if (a < b || edges.get(first).has(then)) return;
+      edges.get(first).add(then);
+      inDegree.set(then, inDegree.get(then) + 1);
+    };
+    for (const [name, system] of this.systems) {
+      for (const other of system.before) addEdge(name, other);
+      for (const other of system.after) addEdge(other, name);
+    }
+
+    const rank = ([nameA, a], [nameB, b]) =>
+      SYSTEM_PHASES.indexOf(a.phase) - SYSTEM_PHASES.indexOf(b.phase) ||
+      b.priority - a.priority || a.index - b.index;
+    const ready = Array.from(this.systems.entries()).filter(([name]) => inDegree.get(name) === 0);
+    const order = [];
+    while (ready.length > 0) {
+      ready.sort(rank);
+      const entry = ready.shift();
+      order.push(entry);
+      for (const next of edges.get(entry[0])) {
+        inDegree.set(next, inDegree.get(next) - 1);
+        if (inDegree.get(next) === 0) ready.push([next, this.systems.get(next)]);
+      }
+    }
+    if (order.length < this.systems.size) {
+      const stuck = Array.from(this.systems.keys()).filter(name => inDegree.get(name) > 0);
+      throw new Error(`System ordering cycle between: ${stuck.join(', ')}`);
+    }
+
+    this._systemOrder = order;
+    return order;
+  }
+
   setSystemEnabled(name, enabled) {
     const system = this.systems.get(name);
     if (system) {
@@ -193,23 +602,102 @@ class World {
     return this;
   }
 
-  update(deltaTime) {
+  // Runs every system once with the given delta, fixed-step ones included.
+  // options.phases / options.systems restrict the run to those phases or
+  // system names, e.g. simulating headlessly without the render phase:
+  //   world.update(dt, { phases: ['input', 'pre-update', 'update', 'post-update'] })
+  update(deltaTime, options = {}) {
     this.time.deltaTime = deltaTime;
     this.time.elapsed += deltaTime;
     this.time.frameCount++;
+    this.time.alpha = 1;
 
-    const sortedSystems = Array.from(this.systems.entries())
-      .sort((a, b) => b[1].priority - a[1].priority);
+    const subset = this._subsetFilter(options);
+    this._runSystems(subset, deltaTime);
+    return this;
+  }
 
-    for (const [name, system] of sortedSystems) {
-      if (system.enabled) {
-        system.update(this, deltaTime);
-      }
+  // Fixed-step loop for one displayed frame: fixed systems run zero or more
+  // times at time.fixedDelta to catch up with real time, then the remaining
+  // systems run once with the frame delta. time.alpha is left at the fraction
+  // of a step not yet simulated, for render interpolation.
+  // Accepts the same subset options as update().
+  tick(frameDelta, options = {}) {
+    const subset = this._subsetFilter(options);
+    const step = this.time.fixedDelta;
+    const delta = this.loop.paused ? 0 : Math.min(Math.max(frameDelta, 0), this.loop.maxDelta);
+    this._accumulator += delta;
+
+    let steps = Math.floor(this._accumulator / step);
+    if (steps > this.loop.maxSubSteps) {
+      steps = this.loop.maxSubSteps;
+      this._accumulator = steps * step;
     }
+    this._accumulator -= steps * step;
+    steps += this._pendingSteps;
+    this._pendingSteps = 0;
+
+    for (let i = 0; i < steps; i++) {
+      this.time.fixedFrameCount++;
+      this.time.elapsed += step;
+      this._runSystems((system, name) => system.fixed && subset(system, name), step);
+    }
+
+    this.time.deltaTime = delta;
+    this.time.frameCount++;
+    this.time.alpha = this.loop.paused ? 1 : this._accumulator / step;
+    this._runSystems((system, name) => !system.fixed && subset(system, name), delta);
+    return this;
+  }
+
+  pause() {
+    this.loop.paused = true;
+    return this;
+  }
+
+  resume() {
+    this.loop.paused = false;
+    return this;
+  }
 
+  // Advances fixed-step systems by exactly `count` steps on the next tick,
+  // also while paused
+  step(count = 1) {
+    this._pendingSteps += count;
     return this;
   }
 
+  _subsetFilter({ phases = null, systems = null } = {}) {
+    return (system, name) =>
+      (!phases || phases.includes(system.phase)) && (!systems || systems.includes(name));
+  }
+
+  _runSystems(filter, deltaTime) {
+    const sortedSystems = this._sortSystems();
+    const now = () => (typeof performance !== 'undefined' ? performance.now() : Date.now());
+
+    // Entities created, destroyed or changed structurally by systems take
+    // effect at the end of the pass, so every system sees the same world
+    this._deferring = true;
+    try {
+      for (const [name, system] of sortedSystems) {
+        if (system.enabled && filter(system, name)) {
+          const start = now();
+          system.update(this, deltaTime);
+          const elapsed = now() - start;
+          const stats = system.stats;
+          stats.calls++;
+          stats.lastTime = elapsed;
+          stats.totalTime += elapsed;
+          stats.maxTime = Math.max(stats.maxTime, elapsed);
+        }
+      }
+    } finally {
+      this._deferring = false;
+      this.commands.flush();
+    }
+  }
+
   getTime() {
     return { ...this.time };
   }
@@ -223,21 +711,194 @@ class Transform extends Component {
   constructor(x = 0, y = 0, z = 0) {
     super();
     this.position = [x, y, z];
+    // Euler angles in radians, applied in `rotationOrder`: 'XYZ' (default)
+    // is Rx * Ry * Rz, i.e. Z first, then Y, then X. A unit `quaternion`
+    // [x, y, z, w], when set, is used instead of `rotation`.
     this.rotation = [0, 0, 0];
+    this.rotationOrder = 'XYZ';
+    this.quaternion = null;
     this.scale = [1, 1, 1];
     this.parent = null;
+    // Cached matrices, refreshed by propagateTransforms(). Local is
+    // T * R * S (scale, then rotation, then translate); world is the
+    // parent's world matrix times local.
+    // Valid for a root transform until the first propagation
+    this.localMatrix = Matrix4.translate(x, y, z);
+    this.worldMatrix = Matrix4.translate(x, y, z);
+    this.dirty = true;
+    this._snapshot = new Float64Array(13).fill(NaN);
+    this._snapshotOrder = null;
+    this._worldVersion = 0;
+    this._parentTransform = null;
+    this._parentVersion = 0;
+    // Local values at the start of the current fixed step (see
+    // savePrevious); matrices blend from these toward the current values by
+    // world.time.alpha
+    this._previous = null;
+    this._interpolated = false;
+  }
+
+  // Records the current values as the start of the next fixed step. Called
+  // for every transform before each step; call it after teleporting an
+  // entity so it does not slide there.
+  savePrevious() {
+    if (!this._previous) this._previous = { values: new Float64Array(13), order: 'XYZ', quaternion: false };
+    const p = this._previous;
+    p.values.set(this._values());
+    p.order = this.rotationOrder;
+    p.quaternion = !!this.quaternion;
+    return this;
+  }
+
+  // position, rotation, scale and quaternion (zeros when unset) in one list
+  _values() {
+    const q = this.quaternion || [0, 0, 0, 0];
+    return [...this.position, ...this.rotation, ...this.scale, q[0], q[1], q[2], q[3]];
+  }
+
+  _composeLocal(position, rotation, scale, quaternion) {
+    return quaternion
+      ? Matrix4.composeQuaternion(position, quaternion, scale)
+      : Matrix4.compose(position, rotation, scale, this.rotationOrder);
+  }
+
+  // Position/rotation/scale arrays may be mutated in place; this flag is only
+  // needed to force a rebuild, changed values are picked up on their own
+  markDirty() {
+    this.dirty = true;
+    return this;
+  }
+
+  // Rebuilds localMatrix when the local values changed, or blends it from
+  // the previous fixed step when alpha < 1; returns true if it was rebuilt
+  updateLocalMatrix(alpha = 1) {
+    const s = this._snapshot;
+    const values = this._values();
+    let changed = this.dirty || this._snapshotOrder !== this.rotationOrder;
+    this._snapshotOrder = this.rotationOrder;
+    for (let i = 0; i < 13; i++) {
+      if (s[i] !== values[i]) {
+        s[i] = values[i];
+        changed = true;
+      }
+    }
+
+    // Blend only between steps that describe rotation the same way
+    const p = this._previous;
+    let interpolate = false;
+    if (p && alpha < 1 && p.order === this.rotationOrder && p.quaternion === !!this.quaternion) {
+      for (let i = 0; i < 13; i++) {
+        if (p.values[i] !== values[i]) {
+          interpolate = true;
+          break;
+        }
+      }
+    }
+
+    if (interpolate) {
+      const v = values.map((value, i) => {
+        let d = value - p.values[i];
+        // Rotations take the short way round
+        if (i >= 3 && i < 6) d = d - Math.round(d / (2 * Math.PI)) * 2 * Math.PI;
+        return p.values[i] + d * alpha;
+      });
+      const quaternion = this.quaternion && Quaternion.slerp(p.values.slice(9, 13), this.quaternion, alpha);
+      this.localMatrix = this._composeLocal(v.slice(0, 3), v.slice(3, 6), v.slice(6, 9), quaternion);
+    } else if (changed || this._interpolated) {
+      this.localMatrix = this._composeLocal(this.position, this.rotation, this.scale, this.quaternion);
+    }
+    changed = changed || interpolate || this._interpolated;
+    this._interpolated = interpolate;
+    this.dirty = false;
+    return changed;
+  }
+
+  getWorldPosition() {
+    const m = this.worldMatrix;
+    return [m[12], m[13], m[14]];
+  }
+
+  getWorldScale() {
+    const m = this.worldMatrix;
+    return [Math.hypot(m[0], m[1], m[2]), Math.hypot(m[4], m[5], m[6]), Math.hypot(m[8], m[9], m[10])];
+  }
+
+  // World Euler angles in radians for the given order (default XYZ,
+  // X * Y * Z, which is what cameras and lights read)
+  getWorldRotation(order = 'XYZ') {
+    return Matrix4.toEuler(this._worldRotationMatrix(), order);
+  }
+
+  getWorldQuaternion() {
+    return Quaternion.fromMatrix(this._worldRotationMatrix());
+  }
+
+  // Upper 3x3 of the world matrix with scale divided out
+  _worldRotationMatrix() {
+    const m = this.worldMatrix;
+    const [sx, sy, sz] = this.getWorldScale();
+    return [
+      m[0] / sx, m[1] / sx, m[2] / sx, 0,
+      m[4] / sy, m[5] / sy, m[6] / sy, 0,
+      m[8] / sz, m[9] / sz, m[10] / sz, 0
+    ];
   }
 
   clone() {
     const t = new Transform();
     t.position = [...this.position];
     t.rotation = [...this.rotation];
+    t.rotationOrder = this.rotationOrder;
+    t.quaternion = this.quaternion ? [...this.quaternion] : null;
     t.scale = [...this.scale];
     t.parent = this.parent;
     return t;
   }
 }
 
+// Transform propagation: refreshes every Transform's worldMatrix, parents
+// before children, recomputing only what changed since the last call (local
+// values, parent link or an ancestor's world matrix). Cheap to call again
+// within a frame when nothing moved. Under World.tick, transforms moved by
+// fixed-step systems are blended by world.time.alpha (see savePrevious).
+function propagateTransforms(world) {
+  const alpha = world.time.alpha;
+  const visited = new Set();
+  const update = (transform) => {
+    // Also guards against parent cycles
+    if (visited.has(transform)) return transform._worldVersion;
+    visited.add(transform);
+
+    const parentEntity = transform.parent ? world.getEntity(transform.parent) : null;
+    const parent = parentEntity ? parentEntity.getComponent('transform') || null : null;
+    const parentVersion = parent ? update(parent) : 0;
+
+    const localChanged = transform.updateLocalMatrix(alpha);
+    if (localChanged || transform._worldVersion === 0 ||
+        parent !== transform._parentTransform || parentVersion !== transform._parentVersion) {
+      transform.worldMatrix.set(parent
+        ? Matrix4.multiply(parent.worldMatrix, transform.localMatrix)
+        : transform.localMatrix);
+      transform._parentTransform = parent;
+      transform._parentVersion = parentVersion;
+      transform._worldVersion++;
+    }
+    return transform._worldVersion;
+  };
+
+  for (const entity of world.query(['transform']).entities) {
+    update(entity.getComponent('transform'));
+  }
+}
+
+// Fixed-step system that starts each step by recording where every
+// transform is, the "from" side of render interpolation
+function saveTransformHistory(world) {
+  for (const entity of world.query(['transform']).entities) {
+    entity.getComponent('transform').savePrevious();
+  }
+}
+
 class Mesh extends Component {
   constructor(geometryId = null, materialId = null) {
     super();
@@ -264,6 +925,56 @@ class Material extends Component {
     // Transparency / opacity
     this.opacity = options.opacity ?? 1.0;
     this.transparent = options.transparent ?? (this.opacity < 1.0);
+    // Texture maps (Texture instances, may be shared between materials).
+    // map and emissiveMap are sRGB color; roughnessMap is read from the green
+    // channel and metalnessMap from blue (so one packed texture can serve
+    // both); aoMap from red and only darkens ambient/environment light.
+    this.map = options.map ?? null;
+    this.normalMap = options.normalMap ?? null;
+    this.normalScale = options.normalScale ?? 1;
+    this.roughnessMap = options.roughnessMap ?? null;
+    this.metalnessMap = options.metalnessMap ?? null;
+    this.emissiveMap = options.emissiveMap ?? null;
+    this.aoMap = options.aoMap ?? null;
+    this.aoMapIntensity = options.aoMapIntensity ?? 1;
+  }
+}
+
+// Image and sampling state for a material map. `image` is filled in by
+// load(); until then renderers skip the map.
+class Texture {
+  constructor(url = null, options = {}) {
+    this.url = url;
+    this.image = options.image ?? null;
+    // 'repeat' | 'clamp' | 'mirror'
+    this.wrapS = options.wrapS ?? 'repeat';
+    this.wrapT = options.wrapT ?? 'repeat';
+    // UV transform: uv * repeat + offset
+    this.repeat = options.repeat ?? [1, 1];
+    this.offset = options.offset ?? [0, 0];
+    // 'linear' | 'nearest'; mipmaps apply to minification
+    this.filter = options.filter ?? 'linear';
+    this.mipmaps = options.mipmaps ?? true;
+    this._glTexture = null;
+    this._loading = null;
+  }
+
+  // Fetch `url` into an Image once; resolves with this texture
+  load() {
+    if (this.image) return Promise.resolve(this);
+    if (!this._loading) {
+      this._loading = new Promise((resolve, reject) => {
+        const img = new Image();
+        if (!this.url.startsWith('data:')) img.crossOrigin = 'anonymous';
+        img.onload = () => {
+          this.image = img;
+          resolve(this);
+        };
+        img.onerror = () => reject(new Error(`Failed to load texture ${this.url}`));
+        img.src = this.url;
+      });
+    }
+    return this._loading;
   }
 }
 
@@ -280,18 +991,193 @@ class Animation extends Component {
     this.name = name;
     this.playing = false;
     this.currentTime = 0;
+    // Defaults for tracks added without their own duration / repeatCount
     this.duration = 1;
     this.loop = true;
     this.playbackRate = 1;
     this.tracks = [];
   }
 
-  addTrack(property, keyframes, values) {
-    this.tracks.push({ property, keyframes, values });
+  // property is a Transform field: 'position', 'rotation', 'scale' or
+  // 'quaternion' (slerped). keyframes are normalized key times (0..1)
+  // matching `values` one-to-one.
+  // options: calcMode ('linear' | 'discrete' | 'spline' | 'paced'),
+  // keySplines (one [x1, y1, x2, y2] per interval), duration (seconds;
+  // Infinity holds the first value),
+  // repeatCount (number or Infinity), begin (seconds), fill ('freeze' | 'remove')
+  // and baseValue (restored when fill is 'remove').
+  // Each track keeps its own clock (`time`, seconds since the animation
+  // started playing) and playback state (`playing`, `finished`).
+  addTrack(property, keyframes, values, options = {}) {
+    this.tracks.push({
+      property,
+      keyframes,
+      values,
+      calcMode: options.calcMode ?? 'linear',
+      keySplines: options.keySplines ?? null,
+      duration: options.duration ?? this.duration,
+      repeatCount: options.repeatCount ?? (this.loop ? Infinity : 1),
+      begin: options.begin ?? 0,
+      fill: options.fill ?? 'remove',
+      baseValue: options.baseValue ?? null,
+      time: 0,
+      playing: true,
+      finished: false
+    });
+    return this;
+  }
+
+  getTrack(property) {
+    return this.tracks.find(track => track.property === property) || null;
+  }
+
+  // Rewind every track to its start and resume playback
+  restart() {
+    this.currentTime = 0;
+    for (const track of this.tracks) {
+      track.time = 0;
+      track.playing = true;
+      track.finished = false;
+    }
+    this.playing = true;
     return this;
   }
 }
 
+class Camera extends Component {
+  constructor(type = 'perspective', options = {}) {
+    super();
+    this.type = type; // 'perspective' | 'orthographic'
+    // Vertical field of view in degrees (perspective only)
+    this.fov = options.fov ?? 45;
+    this.near = options.near ?? 0.01;
+    this.far = options.far ?? 1000;
+    // Fixed aspect ratio; null follows the canvas
+    this.aspect = options.aspect ?? null;
+    // Orthographic half-height of the view volume, used unless explicit
+    // bounds ({ left, right, bottom, top }) are given
+    this.size = options.size ?? 5;
+    this.bounds = options.bounds ?? null;
+    // Orientation: yaw/pitch (radians) win over target, which wins over the
+    // entity's Transform rotation (camera looks down -Z when unrotated). A
+    // Transform-oriented camera turns `up` with it, so Z rotation rolls the
+    // view; target and yaw/pitch cameras use `up` as given
+    this.target = options.target ?? null;
+    this.up = options.up ?? [0, 1, 0];
+    this.yaw = options.yaw ?? null;
+    this.pitch = options.pitch ?? null;
+  }
+
+  getProjectionMatrix(canvasAspect) {
+    const aspect = this.aspect || canvasAspect || 1;
+    if (this.type === 'orthographic') {
+      const b = this.bounds || {
+        left: -this.size * aspect,
+        right: this.size * aspect,
+        bottom: -this.size,
+        top: this.size
+      };
+      return Matrix4.orthographic(b.left, b.right, b.bottom, b.top, this.near, this.far);
+    }
+    return Matrix4.perspective(this.fov * Math.PI / 180, aspect, this.near, this.far);
+  }
+
+  // World-space unit view direction for a camera at `position` with Euler `rotation`
+  getForward(position, rotation = [0, 0, 0]) {
+    if (typeof this.yaw === 'number' && typeof this.pitch === 'number') {
+      return [
+        Math.sin(this.yaw) * Math.cos(this.pitch),
+        Math.sin(this.pitch),
+        Math.cos(this.yaw) * Math.cos(this.pitch)
+      ];
+    }
+
+    if (this.target) {
+      const d = [this.target[0] - position[0], this.target[1] - position[1], this.target[2] - position[2]];
+      const len = Math.sqrt(d[0] * d[0] + d[1] * d[1] + d[2] * d[2]);
+      if (len > 1e-6) return [d[0] / len, d[1] / len, d[2] / len];
+    }
+
+    // Rotate -Z by Z, then Y, then X (same order as object transforms)
+    let x = 0, y = 0, z = -1;
+    const ry = rotation[1] || 0;
+    if (ry !== 0) {
+      const c = Math.cos(ry), s = Math.sin(ry);
+      const nx = c * x + s * z;
+      z = -s * x + c * z; x = nx;
+    }
+    const rx = rotation[0] || 0;
+    if (rx !== 0) {
+      const c = Math.cos(rx), s = Math.sin(rx);
+      const ny = c * y - s * z;
+      z = s * y + c * z; y = ny;
+    }
+    return [x, y, z];
+  }
+
+  // World-space up vector for a camera with Euler `rotation`
+  getUp(rotation = [0, 0, 0]) {
+    if ((typeof this.yaw === 'number' && typeof this.pitch === 'number') || this.target) return this.up;
+    const m = Matrix4.compose([0, 0, 0], rotation, [1, 1, 1]);
+    const [x, y, z] = this.up;
+    return [
+      m[0] * x + m[4] * y + m[8] * z,
+      m[1] * x + m[5] * y + m[9] * z,
+      m[2] * x + m[6] * y + m[10] * z
+    ];
+  }
+
+  getViewMatrix(position, rotation) {
+    const f = this.getForward(position, rotation);
+    const cameraUp = this.getUp(rotation);
+    // Avoid a degenerate basis when looking straight along the up vector
+    const dot = f[0] * cameraUp[0] + f[1] * cameraUp[1] + f[2] * cameraUp[2];
+    const up = Math.abs(dot) > 0.999 ? [0, 0, -Math.sign(dot)] : cameraUp;
+    return Matrix4.lookAt(position, [position[0] + f[0], position[1] + f[1], position[2] + f[2]], up);
+  }
+}
+
+class Light extends Component {
+  constructor(type = 'point', options = {}) {
+    super();
+    this.type = type; // 'directional' | 'point' | 'spot' | 'hemisphere' | 'ambient'
+    this.color = options.color ?? [1, 1, 1];
+    this.intensity = options.intensity ?? 1;
+    // Point/spot falloff: intensity / distance^decay, faded to zero at range (0 = unlimited)
+    this.range = options.range ?? 0;
+    this.decay = options.decay ?? 2;
+    // Spot cone half-angles in degrees; full intensity inside innerAngle
+    this.angle = options.angle ?? 30;
+    this.innerAngle = options.innerAngle ?? this.angle;
+    // Directional/spot aim: explicit direction, otherwise from the light's position toward target
+    this.target = options.target ?? [0, 0, 0];
+    this.direction = options.direction ?? null;
+    // Hemisphere: color is the sky color, groundColor lights downward-facing surfaces
+    this.groundColor = options.groundColor ?? [0, 0, 0];
+    // Shadow mapping (directional and spot lights). shadowBias is in shadow-map
+    // depth units, shadowNormalBias offsets the lookup along the surface normal
+    // in world units and shadowRadius is the PCF filter radius in texels.
+    // shadowDistance bounds how far from the camera directional shadows reach
+    // (and the far plane of spot shadows without a range).
+    this.castShadow = options.castShadow ?? false;
+    this.shadowBias = options.shadowBias ?? 0.0005;
+    this.shadowNormalBias = options.shadowNormalBias ?? 0.02;
+    this.shadowRadius = options.shadowRadius ?? 1;
+    this.shadowDistance = options.shadowDistance ?? 30;
+  }
+
+  // Unit vector the light travels along, for a light placed at `position`
+  getDirection(position) {
+    const d = this.direction || [
+      this.target[0] - position[0],
+      this.target[1] - position[1],
+      this.target[2] - position[2]
+    ];
+    const len = Math.sqrt(d[0] * d[0] + d[1] * d[1] + d[2] * d[2]);
+    return len > 1e-6 ? [d[0] / len, d[1] / len, d[2] / len] : [0, -1, 0];
+  }
+}
+
 class Hierarchy extends Component {
   constructor() {
     super();
@@ -317,11 +1203,91 @@ class GeometryLibrary {
     this.nextId = 1;
   }
 
-  createBox(id = null, width = 1, height = 1, depth = 1) {
-    id = id || `box_${this.nextId++}`;
-    const w = width / 2;
-    const h = height / 2;
-    const d = depth / 2;
+  // Store a generated primitive. All generators emit counter-clockwise
+  // (outward-facing) triangles with per-vertex normals and UVs. `params` holds
+  // the SVG3 attributes the primitive was built from, so it can be written out
+  // again.
+  _register(id, type, vertices, indices, normals, uvs, params = null) {
+    const geometry = {
+      id,
+      type,
+      params,
+      vertices: new Float32Array(vertices),
+      indices: GeometryLibrary._indexArray(indices, vertices.length / 3),
+      normals: new Float32Array(normals),
+      uvs: new Float32Array(uvs),
+      vertexCount: vertices.length / 3,
+      indexCount: indices.length
+    };
+
+    this.geometries.set(id, geometry);
+    return id;
+  }
+
+  // Revolve a profile (ordered top to bottom) around the Y axis. Each profile
+  // point is { r, y, nr, ny, v }: radius, height, normal in the profile plane
+  // and texture v coordinate. Appends into the given arrays.
+  _lathe(profile, radialSegs, vertices, normals, uvs, indices) {
+    const base = vertices.length / 3;
+
+    for (let row = 0; row < profile.length; row++) {
+      const p = profile[row];
+      for (let i = 0; i <= radialSegs; i++) {
+        const u = i / radialSegs;
+        const angle = u * Math.PI * 2;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        vertices.push(p.r * cos, p.y, p.r * sin);
+        normals.push(p.nr * cos, p.ny, p.nr * sin);
+        uvs.push(u, p.v);
+      }
+    }
+
+    for (let row = 0; row < profile.length - 1; row++) {
+      for (let i = 0; i < radialSegs; i++) {
+        const a = base + row * (radialSegs + 1) + i;
+        const b = a + 1;
+        const c = a + radialSegs + 1;
+        const d = c + 1;
+        // Counter-clockwise when seen from outside (see Matrix4.lookAt)
+        indices.push(a, b, c);
+        indices.push(b, d, c);
+      }
+    }
+  }
+
+  // Flat disc at height y facing up (+1) or down (-1)
+  _cap(radius, y, facing, segments, vertices, normals, uvs, indices) {
+    const center = vertices.length / 3;
+    vertices.push(0, y, 0);
+    normals.push(0, facing, 0);
+    uvs.push(0.5, 0.5);
+
+    for (let i = 0; i <= segments; i++) {
+      const angle = (i / segments) * Math.PI * 2;
+      const cos = Math.cos(angle);
+      const sin = Math.sin(angle);
+      vertices.push(radius * cos, y, radius * sin);
+      normals.push(0, facing, 0);
+      uvs.push(cos * 0.5 + 0.5, sin * 0.5 + 0.5);
+    }
+
+    for (let i = 0; i < segments; i++) {
+      const p0 = center + 1 + i;
+      const p1 = p0 + 1;
+      if (facing > 0) {
+        indices.push(center, p1, p0);
+      } else {
+        indices.push(center, p0, p1);
+      }
+    }
+  }
+
+  createBox(id = null, width = 1, height = 1, depth = 1) {
+    id = id || `box_${this.nextId++}`;
+    const w = width / 2;
+    const h = height / 2;
+    const d = depth / 2;
 
     const vertices = [
       -w, -h, d, w, -h, d, w, h, d, -w, h, d,
@@ -341,107 +1307,363 @@ class GeometryLibrary {
       20, 22, 21, 20, 23, 22
     ];
 
-    const geometry = {
-      id,
-      type: 'box',
-      vertices: new Float32Array(vertices),
-      indices: new Uint16Array(indices),
-      vertexCount: vertices.length / 3,
-      indexCount: indices.length
-    };
+    const faceNormals = [[0, 0, 1], [0, 0, -1], [0, 1, 0], [0, -1, 0], [1, 0, 0], [-1, 0, 0]];
+    const normals = [];
+    for (const n of faceNormals) {
+      for (let i = 0; i < 4; i++) normals.push(...n);
+    }
 
-    this.geometries.set(id, geometry);
-    return id;
+    // Each face is mapped to the full 0..1 square, upright when viewed from outside
+    const uvs = [
+      0, 0, 1, 0, 1, 1, 0, 1,
+      1, 0, 0, 0, 0, 1, 1, 1,
+      0, 0, 1, 0, 1, 1, 0, 1,
+      0, 1, 1, 1, 1, 0, 0, 0,
+      0, 0, 1, 0, 1, 1, 0, 1,
+      1, 0, 0, 0, 0, 1, 1, 1
+    ];
+
+    return this._register(id, 'box', vertices, indices, normals, uvs, { width, height, depth });
   }
 
-  createSphere(id = null, radius = 1, segments = 32) {
+  createSphere(id = null, radius = 1, widthSegments = 32, heightSegments = widthSegments) {
     id = id || `sphere_${this.nextId++}`;
     const vertices = [];
+    const normals = [];
+    const uvs = [];
     const indices = [];
 
-    for (let lat = 0; lat <= segments; lat++) {
-      const theta = (lat * Math.PI) / segments;
+    for (let lat = 0; lat <= heightSegments; lat++) {
+      const theta = (lat * Math.PI) / heightSegments;
       const sinTheta = Math.sin(theta);
       const cosTheta = Math.cos(theta);
 
-      for (let lon = 0; lon <= segments; lon++) {
-        const phi = (lon * 2 * Math.PI) / segments;
+      for (let lon = 0; lon <= widthSegments; lon++) {
+        const phi = (lon * 2 * Math.PI) / widthSegments;
         const sinPhi = Math.sin(phi);
         const cosPhi = Math.cos(phi);
 
-        const x = radius * cosPhi * sinTheta;
-        const y = radius * cosTheta;
-        const z = radius * sinPhi * sinTheta;
+        const x = cosPhi * sinTheta;
+        const y = cosTheta;
+        const z = sinPhi * sinTheta;
 
-        vertices.push(x, y, z);
+        vertices.push(radius * x, radius * y, radius * z);
+        normals.push(x, y, z);
+        uvs.push(lon / widthSegments, 1 - lat / heightSegments);
       }
     }
 
-    for (let lat = 0; lat < segments; lat++) {
-      for (let lon = 0; lon < segments; lon++) {
-        const first = lat * (segments + 1) + lon;
-        const second = first + segments + 1;
+    for (let lat = 0; lat < heightSegments; lat++) {
+      for (let lon = 0; lon < widthSegments; lon++) {
+        const first = lat * (widthSegments + 1) + lon;
+        const second = first + widthSegments + 1;
 
-        indices.push(first, second, first + 1);
-        indices.push(second, second + 1, first + 1);
+        // Counter-clockwise when seen from outside (see Matrix4.lookAt)
+        indices.push(first, first + 1, second);
+        indices.push(second, first + 1, second + 1);
       }
     }
 
-    const geometry = {
-      id,
-      type: 'sphere',
-      vertices: new Float32Array(vertices),
-      indices: new Uint16Array(indices),
-      vertexCount: vertices.length / 3,
-      indexCount: indices.length
-    };
-
-    this.geometries.set(id, geometry);
-    return id;
+    return this._register(id, 'sphere', vertices, indices, normals, uvs, { radius, widthSegments, heightSegments });
   }
 
-  createCylinder(id = null, radiusTop = 1, radiusBottom = 1, height = 1, radialSegs = 32) {
+  createCylinder(id = null, radiusTop = 1, radiusBottom = 1, height = 1, radialSegs = 32, heightSegs = 1, openEnded = false) {
     id = id || `cylinder_${this.nextId++}`;
+    return this._createTaperedCylinder(id, 'cylinder', radiusTop, radiusBottom, height, radialSegs, heightSegs, openEnded,
+      { radiusTop, radiusBottom, height, radialSegments: radialSegs, heightSegments: heightSegs, openEnded });
+  }
+
+  // Cone with its apex at +height/2 and base at -height/2
+  createCone(id = null, radius = 1, height = 1, radialSegs = 32, heightSegs = 1, openEnded = false) {
+    id = id || `cone_${this.nextId++}`;
+    return this._createTaperedCylinder(id, 'cone', 0, radius, height, radialSegs, heightSegs, openEnded,
+      { radius, height, radialSegments: radialSegs, heightSegments: heightSegs, openEnded });
+  }
+
+  _createTaperedCylinder(id, type, radiusTop, radiusBottom, height, radialSegs, heightSegs, openEnded, params) {
     const vertices = [];
+    const normals = [];
+    const uvs = [];
     const indices = [];
 
     const halfHeight = height / 2;
+    // Side normals tilt outward/upward by the taper slope
+    const slope = height > 0 ? (radiusBottom - radiusTop) / height : 0;
+    const nLen = Math.sqrt(1 + slope * slope);
+
+    const profile = [];
+    for (let row = 0; row <= heightSegs; row++) {
+      const v = row / heightSegs;
+      profile.push({
+        r: radiusTop + (radiusBottom - radiusTop) * v,
+        y: halfHeight - v * height,
+        nr: 1 / nLen,
+        ny: slope / nLen,
+        v: 1 - v
+      });
+    }
+    this._lathe(profile, radialSegs, vertices, normals, uvs, indices);
+
+    if (!openEnded) {
+      if (radiusTop > 0) this._cap(radiusTop, halfHeight, 1, radialSegs, vertices, normals, uvs, indices);
+      if (radiusBottom > 0) this._cap(radiusBottom, -halfHeight, -1, radialSegs, vertices, normals, uvs, indices);
+    }
+
+    return this._register(id, type, vertices, indices, normals, uvs, params);
+  }
+
+  // Capsule along Y: a cylinder of `length` capped with hemispheres of `radius`
+  createCapsule(id = null, radius = 0.5, length = 1, capSegments = 8, radialSegs = 16) {
+    id = id || `capsule_${this.nextId++}`;
+    const vertices = [];
+    const normals = [];
+    const uvs = [];
+    const indices = [];
+
+    const half = length / 2;
+    const total = length + Math.PI * radius;
+    const profile = [];
+    // top hemisphere (pole to equator), then bottom hemisphere (equator to pole)
+    for (let i = 0; i <= capSegments; i++) {
+      const a = Math.PI / 2 - (i / capSegments) * (Math.PI / 2);
+      const arc = (Math.PI / 2 - a) * radius;
+      profile.push({ r: radius * Math.cos(a), y: half + radius * Math.sin(a), nr: Math.cos(a), ny: Math.sin(a), v: 1 - arc / total });
+    }
+    for (let i = 0; i <= capSegments; i++) {
+      const a = -(i / capSegments) * (Math.PI / 2);
+      const arc = (Math.PI / 2) * radius + length - a * radius;
+      profile.push({ r: radius * Math.cos(a), y: -half + radius * Math.sin(a), nr: Math.cos(a), ny: Math.sin(a), v: 1 - arc / total });
+    }
+    this._lathe(profile, radialSegs, vertices, normals, uvs, indices);
+
+    return this._register(id, 'capsule', vertices, indices, normals, uvs,
+      { radius, length, capSegments, radialSegments: radialSegs });
+  }
+
+  // Plane in XZ facing +Y, centered on the origin
+  createPlane(id = null, width = 1, depth = 1, widthSegs = 1, depthSegs = 1) {
+    id = id || `plane_${this.nextId++}`;
+    const vertices = [];
+    const normals = [];
+    const uvs = [];
+    const indices = [];
 
-    for (let i = 0; i <= radialSegs; i++) {
-      const angle = (i / radialSegs) * Math.PI * 2;
-      const x = Math.cos(angle) * radiusTop;
-      const z = Math.sin(angle) * radiusTop;
-      vertices.push(x, halfHeight, z);
+    for (let iz = 0; iz <= depthSegs; iz++) {
+      for (let ix = 0; ix <= widthSegs; ix++) {
+        vertices.push(-width / 2 + (ix / widthSegs) * width, 0, -depth / 2 + (iz / depthSegs) * depth);
+        normals.push(0, 1, 0);
+        uvs.push(ix / widthSegs, 1 - iz / depthSegs);
+      }
     }
 
-    for (let i = 0; i <= radialSegs; i++) {
-      const angle = (i / radialSegs) * Math.PI * 2;
-      const x = Math.cos(angle) * radiusBottom;
-      const z = Math.sin(angle) * radiusBottom;
-      vertices.push(x, -halfHeight, z);
+    for (let iz = 0; iz < depthSegs; iz++) {
+      for (let ix = 0; ix < widthSegs; ix++) {
+        const a = iz * (widthSegs + 1) + ix;
+        const b = a + 1;
+        const c = a + widthSegs + 1;
+        const d = c + 1;
+        indices.push(a, c, b);
+        indices.push(b, c, d);
+      }
     }
 
-    for (let i = 0; i < radialSegs; i++) {
-      const a = i;
-      const b = i + 1;
-      const c = radialSegs + 1 + i;
-      const d = radialSegs + 1 + i + 1;
+    return this._register(id, 'plane', vertices, indices, normals, uvs,
+      { width, depth, widthSegments: widthSegs, depthSegments: depthSegs });
+  }
+
+  // Disc in XZ facing +Y
+  createCircle(id = null, radius = 1, segments = 32) {
+    id = id || `circle_${this.nextId++}`;
+    const vertices = [];
+    const normals = [];
+    const uvs = [];
+    const indices = [];
+    this._cap(radius, 0, 1, segments, vertices, normals, uvs, indices);
+    return this._register(id, 'circle', vertices, indices, normals, uvs, { radius, segments });
+  }
+
+  // Flat annulus in XZ facing +Y
+  createRing(id = null, innerRadius = 0.5, outerRadius = 1, segments = 32) {
+    id = id || `ring_${this.nextId++}`;
+    const vertices = [];
+    const normals = [];
+    const uvs = [];
+    const indices = [];
+
+    for (let i = 0; i <= segments; i++) {
+      const angle = (i / segments) * Math.PI * 2;
+      const cos = Math.cos(angle);
+      const sin = Math.sin(angle);
+      for (const r of [innerRadius, outerRadius]) {
+        const t = r / outerRadius;
+        vertices.push(r * cos, 0, r * sin);
+        normals.push(0, 1, 0);
+        uvs.push(cos * t * 0.5 + 0.5, sin * t * 0.5 + 0.5);
+      }
+    }
 
-      indices.push(a, c, b);
-      indices.push(b, c, d);
+    for (let i = 0; i < segments; i++) {
+      const inner0 = i * 2;
+      const outer0 = inner0 + 1;
+      const inner1 = inner0 + 2;
+      const outer1 = inner0 + 3;
+      indices.push(inner0, inner1, outer0);
+      indices.push(outer0, inner1, outer1);
     }
 
-    const geometry = {
-      id,
-      type: 'cylinder',
-      vertices: new Float32Array(vertices),
-      indices: new Uint16Array(indices),
-      vertexCount: vertices.length / 3,
-      indexCount: indices.length
-    };
+    return this._register(id, 'ring', vertices, indices, normals, uvs, { innerRadius, outerRadius, segments });
+  }
 
-    this.geometries.set(id, geometry);
-    return id;
+  // Torus around the Y axis: `radius` to the tube center, `tube` radius
+  createTorus(id = null, radius = 1, tube = 0.4, radialSegs = 16, tubularSegs = 48) {
+    id = id || `torus_${this.nextId++}`;
+    const vertices = [];
+    const normals = [];
+    const uvs = [];
+    const indices = [];
+
+    for (let j = 0; j <= radialSegs; j++) {
+      const theta = (j / radialSegs) * Math.PI * 2;
+      const cosT = Math.cos(theta);
+      const sinT = Math.sin(theta);
+      for (let i = 0; i <= tubularSegs; i++) {
+        const phi = (i / tubularSegs) * Math.PI * 2;
+        const cosP = Math.cos(phi);
+        const sinP = Math.sin(phi);
+        const nx = cosT * cosP;
+        const ny = sinT;
+        const nz = cosT * sinP;
+        vertices.push(radius * cosP + tube * nx, tube * ny, radius * sinP + tube * nz);
+        normals.push(nx, ny, nz);
+        uvs.push(i / tubularSegs, j / radialSegs);
+      }
+    }
+
+    for (let j = 0; j < radialSegs; j++) {
+      for (let i = 0; i < tubularSegs; i++) {
+        const a = j * (tubularSegs + 1) + i;
+        const b = a + 1;
+        const c = a + tubularSegs + 1;
+        const d = c + 1;
+        indices.push(a, c, b);
+        indices.push(b, c, d);
+      }
+    }
+
+    return this._register(id, 'torus', vertices, indices, normals, uvs,
+      { radius, tube, radialSegments: radialSegs, tubularSegments: tubularSegs });
+  }
+
+  // Geodesic sphere: an icosahedron subdivided `detail` times (smooth normals)
+  createIcosphere(id = null, radius = 1, detail = 2) {
+    id = id || `icosphere_${this.nextId++}`;
+    const t = (1 + Math.sqrt(5)) / 2;
+    const points = [
+      [-1, t, 0], [1, t, 0], [-1, -t, 0], [1, -t, 0],
+      [0, -1, t], [0, 1, t], [0, -1, -t], [0, 1, -t],
+      [t, 0, -1], [t, 0, 1], [-t, 0, -1], [-t, 0, 1]
+    ].map(p => GeometryLibrary._normalize(p));
+    let faces = [
+      [0, 11, 5], [0, 5, 1], [0, 1, 7], [0, 7, 10], [0, 10, 11],
+      [1, 5, 9], [5, 11, 4], [11, 10, 2], [10, 7, 6], [7, 1, 8],
+      [3, 9, 4], [3, 4, 2], [3, 2, 6], [3, 6, 8], [3, 8, 9],
+      [4, 9, 5], [2, 4, 11], [6, 2, 10], [8, 6, 7], [9, 8, 1]
+    ];
+
+    for (let level = 0; level < detail; level++) {
+      const midpoints = new Map();
+      const midpoint = (a, b) => {
+        const key = a < b ? `${a}_${b}` : `${b}_${a}`;
+        if (!midpoints.has(key)) {
+          const pa = points[a], pb = points[b];
+          points.push(GeometryLibrary._normalize([(pa[0] + pb[0]) / 2, (pa[1] + pb[1]) / 2, (pa[2] + pb[2]) / 2]));
+          midpoints.set(key, points.length - 1);
+        }
+        return midpoints.get(key);
+      };
+      const next = [];
+      for (const [a, b, c] of faces) {
+        const ab = midpoint(a, b), bc = midpoint(b, c), ca = midpoint(c, a);
+        next.push([a, ab, ca], [b, bc, ab], [c, ca, bc], [ab, bc, ca]);
+      }
+      faces = next;
+    }
+
+    const vertices = [];
+    const normals = [];
+    const uvs = [];
+    for (const p of points) {
+      vertices.push(p[0] * radius, p[1] * radius, p[2] * radius);
+      normals.push(...p);
+      // Equirectangular mapping (a seam remains where u wraps)
+      uvs.push(0.5 + Math.atan2(p[2], p[0]) / (2 * Math.PI), 0.5 + Math.asin(Math.max(-1, Math.min(1, p[1]))) / Math.PI);
+    }
+
+    const indices = [];
+    for (const face of faces) {
+      indices.push(...GeometryLibrary._outward(points, face));
+    }
+
+    return this._register(id, 'icosphere', vertices, indices, normals, uvs, { radius, detail });
+  }
+
+  createTetrahedron(id = null, radius = 1) {
+    id = id || `tetrahedron_${this.nextId++}`;
+    const points = [[1, 1, 1], [-1, -1, 1], [-1, 1, -1], [1, -1, -1]];
+    const faces = [[2, 1, 0], [0, 3, 2], [1, 3, 0], [2, 3, 1]];
+    return this._createFlatPolyhedron(id, 'tetrahedron', points, faces, radius);
+  }
+
+  createOctahedron(id = null, radius = 1) {
+    id = id || `octahedron_${this.nextId++}`;
+    const points = [[1, 0, 0], [-1, 0, 0], [0, 1, 0], [0, -1, 0], [0, 0, 1], [0, 0, -1]];
+    const faces = [[0, 2, 4], [0, 4, 3], [0, 3, 5], [0, 5, 2], [1, 2, 5], [1, 5, 3], [1, 3, 4], [1, 4, 2]];
+    return this._createFlatPolyhedron(id, 'octahedron', points, faces, radius);
+  }
+
+  // Convex polyhedron with hard edges: every face gets its own vertices
+  _createFlatPolyhedron(id, type, points, faces, radius) {
+    points = points.map(p => GeometryLibrary._normalize(p));
+    const vertices = [];
+    const normals = [];
+    const uvs = [];
+    const indices = [];
+
+    for (const face of faces) {
+      const [a, b, c] = GeometryLibrary._outward(points, face).map(i => points[i]);
+      const n = GeometryLibrary._normalize(GeometryLibrary._faceNormal(a, b, c));
+      const base = vertices.length / 3;
+      for (const p of [a, b, c]) {
+        vertices.push(p[0] * radius, p[1] * radius, p[2] * radius);
+        normals.push(...n);
+      }
+      uvs.push(0, 0, 1, 0, 0.5, 1);
+      indices.push(base, base + 1, base + 2);
+    }
+
+    return this._register(id, type, vertices, indices, normals, uvs, { radius });
+  }
+
+  static _normalize(v) {
+    const len = Math.sqrt(v[0] * v[0] + v[1] * v[1] + v[2] * v[2]) || 1;
+    return [v[0] / len, v[1] / len, v[2] / len];
+  }
+
+  static _faceNormal(a, b, c) {
+    const e1 = [b[0] - a[0], b[1] - a[1], b[2] - a[2]];
+    const e2 = [c[0] - a[0], c[1] - a[1], c[2] - a[2]];
+    return [
+      e1[1] * e2[2] - e1[2] * e2[1],
+      e1[2] * e2[0] - e1[0] * e2[2],
+      e1[0] * e2[1] - e1[1] * e2[0]
+    ];
+  }
+
+  // Reorder a triangle of an origin-centered convex shape so it faces outward
+  static _outward(points, [a, b, c]) {
+    const n = GeometryLibrary._faceNormal(points[a], points[b], points[c]);
+    const centroid = [0, 1, 2].map(k => points[a][k] + points[b][k] + points[c][k]);
+    return n[0] * centroid[0] + n[1] * centroid[1] + n[2] * centroid[2] >= 0 ? [a, b, c] : [a, c, b];
   }
 
   getGeometry(id) {
@@ -452,27 +1674,255 @@ class GeometryLibrary {
     this.geometries.delete(id);
   }
 
-  // Register raw geometry (vertices Float32Array, indices Uint16Array)
-  // Optionally provide `uvs` as an array or Float32Array (length == vertexCount * 2)
-  addGeometry(id, vertices, indices, uvs) {
+  // Register raw geometry: `vertices` (x,y,z per vertex) and `indices` as
+  // arrays or typed arrays. Indices are stored as Uint16Array, or Uint32Array
+  // when there are more than 65,536 vertices (pass those as a plain array or
+  // Uint32Array; a Uint16Array has already wrapped). Optional per-vertex
+  // attributes, arrays or Float32Arrays:
+  //   uvs       u,v (vertexCount * 2)
+  //   normals   x,y,z (vertexCount * 3); computed from the faces when absent
+  //   tangents  x,y,z,w with w the bitangent sign (vertexCount * 4); computed
+  //             from the UVs when absent
+  //   colors    linear r,g,b or r,g,b,a (vertexCount * 3 or 4), multiplying
+  //             the material color and opacity
+  addGeometry(id, vertices, indices, uvs, { normals, tangents, colors } = {}) {
+    const vertexCount = (vertices.length / 3) | 0;
+    const attribute = (name, values, sizes) => {
+      if (!values) return null;
+      const size = sizes.find(n => values.length === vertexCount * n);
+      if (size === undefined) {
+        throw new Error(`GeometryLibrary.addGeometry: ${name} of "${id}" has ${values.length} values, ` +
+          `expected ${sizes.map(n => vertexCount * n).join(' or ')}`);
+      }
+      return values instanceof Float32Array ? values : new Float32Array(values);
+    };
+
     const geometry = {
       id,
       type: 'raw',
+      params: null,
       vertices: vertices instanceof Float32Array ? vertices : new Float32Array(vertices),
-      indices: indices instanceof Uint16Array ? indices : new Uint16Array(indices),
-      // optional uvs (Float32Array length = vertexCount * 2)
-      uvs: null,
-      vertexCount: (vertices.length / 3) | 0,
+      indices: GeometryLibrary._indexArray(indices, vertexCount),
+      uvs: attribute('uvs', uvs, [2]),
+      normals: attribute('normals', normals, [3]),
+      tangents: attribute('tangents', tangents, [4]),
+      colors: null,
+      vertexCount,
       indexCount: indices.length
     };
 
-    if (uvs) {
-      geometry.uvs = uvs instanceof Float32Array ? uvs : new Float32Array(uvs);
+    // Colors are stored as RGBA
+    const rgba = attribute('colors', colors, [4, 3]);
+    if (rgba && rgba.length === vertexCount * 3) {
+      geometry.colors = new Float32Array(vertexCount * 4);
+      for (let v = 0; v < vertexCount; v++) {
+        geometry.colors.set(rgba.subarray(v * 3, v * 3 + 3), v * 4);
+        geometry.colors[v * 4 + 3] = 1;
+      }
+    } else {
+      geometry.colors = rgba;
     }
 
     this.geometries.set(id, geometry);
     return id;
   }
+
+  // Concatenate geometries into one raw geometry under `id`. UVs and colors
+  // some sources lack are filled with 0 and white; normals and tangents are
+  // kept only when every source has them (otherwise they are computed).
+  mergeGeometries(id, sourceIds) {
+    const sources = sourceIds.map(sourceId => {
+      const geometry = this.geometries.get(sourceId);
+      if (!geometry) throw new Error(`GeometryLibrary.mergeGeometries: no geometry "${sourceId}"`);
+      return geometry;
+    });
+    const vertexCount = sources.reduce((sum, g) => sum + g.vertexCount, 0);
+    const indexCount = sources.reduce((sum, g) => sum + g.indexCount, 0);
+    const merged = (name, size, some) => (some ? sources.some(g => g[name]) : sources.every(g => g[name]))
+      ? new Float32Array(vertexCount * size)
+      : null;
+    const vertices = new Float32Array(vertexCount * 3);
+    const indices = new Uint32Array(indexCount);
+    const uvs = merged('uvs', 2, true);
+    const normals = merged('normals', 3, false);
+    const tangents = merged('tangents', 4, false);
+    const colors = merged('colors', 4, true);
+
+    let base = 0;
+    let offset = 0;
+    for (const g of sources) {
+      vertices.set(g.vertices, base * 3);
+      for (let i = 0; i < g.indexCount; i++) indices[offset + i] = g.indices[i] + base;
+      if (uvs && g.uvs) uvs.set(g.uvs, base * 2);
+      if (normals) normals.set(g.normals, base * 3);
+      if (tangents) tangents.set(g.tangents, base * 4);
+      if (colors) {
+        if (g.colors) colors.set(g.colors, base * 4);
+        else colors.fill(1, base * 4, (base + g.vertexCount) * 4);
+      }
+      base += g.vertexCount;
+      offset += g.indexCount;
+    }
+    return this.addGeometry(id, vertices, indices, uvs, { normals, tangents, colors });
+  }
+
+  // Recompute a geometry's normals. 'flat' gives each triangle its face
+  // normal; 'smooth' averages the normals of all faces meeting at a position
+  // (weighted by corner angle, and across UV seams), except that faces more
+  // than `creaseAngle` degrees apart keep a hard edge between them. Vertices
+  // are split where their corners end up with different normals; tangents
+  // are dropped so they are rebuilt from the new normals. Primitives record
+  // the mode in their params. Returns the id. For a geometry already drawn,
+  // renderer.deleteGeometryBuffers(id) makes it upload again.
+  setNormalMode(id, mode = 'smooth', creaseAngle = null) {
+    const geometry = this.geometries.get(id);
+    if (!geometry) throw new Error(`GeometryLibrary.setNormalMode: no geometry "${id}"`);
+    const { vertices, indices, uvs, colors } = geometry;
+    const cornerCount = Math.floor(geometry.indexCount / 3) * 3;
+    const point = v => [vertices[v * 3], vertices[v * 3 + 1], vertices[v * 3 + 2]];
+
+    // Unit face normal per triangle and interior angle per corner
+    const faceNormals = [];
+    const cornerAngles = new Float64Array(cornerCount);
+    for (let i = 0; i < cornerCount; i += 3) {
+      const p = [point(indices[i]), point(indices[i + 1]), point(indices[i + 2])];
+      faceNormals.push(GeometryLibrary._normalize(GeometryLibrary._faceNormal(p[0], p[1], p[2])));
+      for (let k = 0; k < 3; k++) {
+        const a = p[k], b = p[(k + 1) % 3], c = p[(k + 2) % 3];
+        const e1 = GeometryLibrary._normalize([b[0] - a[0], b[1] - a[1], b[2] - a[2]]);
+        const e2 = GeometryLibrary._normalize([c[0] - a[0], c[1] - a[1], c[2] - a[2]]);
+        cornerAngles[i + k] = Math.acos(Math.max(-1, Math.min(1, e1[0] * e2[0] + e1[1] * e2[1] + e1[2] * e2[2])));
+      }
+    }
+
+    // Corners by position, welded to a millionth of the geometry's size so
+    // seams that differ by rounding (a sphere's at 2π) still join
+    const cornersAt = new Map();
+    let size = 0;
+    for (let k = 0; k < 3; k++) {
+      let min = Infinity, max = -Infinity;
+      for (let v = k; v < vertices.length; v += 3) {
+        min = Math.min(min, vertices[v]);
+        max = Math.max(max, vertices[v]);
+      }
+      size = Math.max(size, max - min);
+    }
+    const scale = 1e6 / (size || 1);
+    const positionKey = v => `${Math.round(vertices[v * 3] * scale)},${Math.round(vertices[v * 3 + 1] * scale)},` +
+      `${Math.round(vertices[v * 3 + 2] * scale)}`;
+    if (mode !== 'flat') {
+      for (let i = 0; i < cornerCount; i++) {
+        const key = positionKey(indices[i]);
+        if (!cornersAt.has(key)) cornersAt.set(key, []);
+        cornersAt.get(key).push(i);
+      }
+    }
+    const minCos = creaseAngle === null ? -Infinity : Math.cos(creaseAngle * Math.PI / 180) - 1e-9;
+
+    const outVertices = [];
+    const outNormals = [];
+    const outUvs = uvs ? [] : null;
+    const outColors = colors ? [] : null;
+    const outIndices = [];
+    const split = new Map();
+    for (let i = 0; i < cornerCount; i++) {
+      const v = indices[i];
+      const face = faceNormals[Math.floor(i / 3)];
+      let n = face;
+      if (mode !== 'flat') {
+        const sum = [0, 0, 0];
+        for (const j of cornersAt.get(positionKey(v))) {
+          const other = faceNormals[Math.floor(j / 3)];
+          if (face[0] * other[0] + face[1] * other[1] + face[2] * other[2] < minCos) continue;
+          for (let k = 0; k < 3; k++) sum[k] += other[k] * cornerAngles[j];
+        }
+        if (sum.some(c => c !== 0)) n = GeometryLibrary._normalize(sum);
+      }
+      const key = `${v}/${n.map(c => Math.round(c * 1e6)).join(',')}`;
+      let out = split.get(key);
+      if (out === undefined) {
+        out = outVertices.length / 3;
+        split.set(key, out);
+        outVertices.push(...point(v));
+        outNormals.push(...n);
+        if (outUvs) outUvs.push(uvs[v * 2], uvs[v * 2 + 1]);
+        if (outColors) outColors.push(...colors.subarray(v * 4, v * 4 + 4));
+      }
+      outIndices.push(out);
+    }
+
+    const vertexCount = outVertices.length / 3;
+    Object.assign(geometry, {
+      vertices: new Float32Array(outVertices),
+      indices: GeometryLibrary._indexArray(outIndices, vertexCount),
+      normals: new Float32Array(outNormals),
+      uvs: outUvs && new Float32Array(outUvs),
+      tangents: null,
+      colors: outColors && new Float32Array(outColors),
+      vertexCount,
+      indexCount: outIndices.length
+    });
+    if (geometry.params) {
+      const { normals, creaseAngle: previous, ...params } = geometry.params;
+      geometry.params = { ...params, normals: mode };
+      if (creaseAngle !== null && mode !== 'flat') geometry.params.creaseAngle = creaseAngle;
+    }
+    return id;
+  }
+
+  // Indices as Uint16Array, or Uint32Array when they can address more than
+  // 65,536 vertices. Typed arrays of the right width are kept as they are.
+  static _indexArray(indices, vertexCount) {
+    const Type = vertexCount > 65536 ? Uint32Array : Uint16Array;
+    return indices instanceof Type ? indices : Type.from(indices);
+  }
+
+  // Split an indexed geometry into pieces of at most `maxVertices` vertices
+  // each, with Uint16Array indices, for drawing Uint32Array-indexed meshes
+  // where 32-bit indices are not available. Per-vertex attributes (`normals`,
+  // `uvs`, `tangents`, `colors`, taken from `attributes` over the geometry's
+  // own) are carried into each piece.
+  static splitIndexed(geometry, attributes = {}, maxVertices = 65536) {
+    const sources = { vertices: geometry.vertices, normals: geometry.normals, uvs: geometry.uvs,
+      tangents: geometry.tangents, colors: geometry.colors, ...attributes };
+    const sizes = { vertices: 3, normals: 3, uvs: 2, tangents: 4, colors: 4 };
+    const names = Object.keys(sizes).filter(name => sources[name]);
+    const chunks = [];
+    const indices = geometry.indices;
+    let remap = new Map();
+    let chunkIndices = [];
+    let order = [];
+
+    const flush = () => {
+      if (chunkIndices.length === 0) return;
+      const chunk = { indices: new Uint16Array(chunkIndices), indexCount: chunkIndices.length, vertexCount: order.length };
+      for (const name of names) {
+        const size = sizes[name];
+        const out = new Float32Array(order.length * size);
+        order.forEach((source, v) => out.set(sources[name].subarray(source * size, source * size + size), v * size));
+        chunk[name] = out;
+      }
+      chunks.push(chunk);
+      remap = new Map();
+      chunkIndices = [];
+      order = [];
+    };
+
+    for (let i = 0; i + 2 < indices.length; i += 3) {
+      const triangle = [indices[i], indices[i + 1], indices[i + 2]];
+      const added = triangle.filter((v, k) => !remap.has(v) && triangle.indexOf(v) === k).length;
+      if (order.length + added > maxVertices) flush();
+      for (const v of triangle) {
+        if (!remap.has(v)) {
+          remap.set(v, order.length);
+          order.push(v);
+        }
+        chunkIndices.push(remap.get(v));
+      }
+    }
+    flush();
+    return chunks;
+  }
 }
 
 // ============================================================================
@@ -483,6 +1933,10 @@ const VERTEX_SHADER = `
   attribute vec3 position;
   attribute vec3 normal;
   attribute vec2 uv;
+  // xyz tangent, w handedness of the bitangent; (0,0,0,1) when the mesh has none
+  attribute vec4 tangent;
+  // Linear RGBA vertex color; (1,1,1,1) when the mesh has none
+  attribute vec4 vertexColor;
   
   uniform mat4 modelMatrix;
   uniform mat4 viewMatrix;
@@ -491,58 +1945,248 @@ const VERTEX_SHADER = `
   varying vec3 vNormal;
   varying vec3 vWorldPos;
   varying vec2 vUv;
+  varying vec4 vTangent;
+  varying vec4 vColor;
   
   void main() {
     vec4 worldPos = modelMatrix * vec4(position, 1.0);
     vWorldPos = worldPos.xyz;
     vNormal = normalize(mat3(modelMatrix) * normal);
+    vTangent = vec4(mat3(modelMatrix) * tangent.xyz, tangent.w);
     vUv = uv;
+    vColor = vertexColor;
     gl_Position = projectionMatrix * viewMatrix * worldPos;
   }
 `;
 
+// Upper bound of directional/point/spot lights fed to the shader per frame
+const MAX_LIGHTS = 8;
+// Prefiltered environment: roughness levels in the specular atlas, and the
+// largest linear value RGBM-encoded texels can hold
+const ENV_LEVELS = 6;
+const RGBM_RANGE = 16.0;
+// Shadow-casting lights share one depth atlas split into a 2x2 grid of tiles
+const MAX_SHADOWS = 4;
+
+// Authored colors (hex, material/light rgb) are sRGB; lighting runs in linear space
+function srgbToLinear(c) {
+  return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+}
+
+// Inverse of srgbToLinear, odd-extended for out-of-gamut (negative) values
+function linearToSrgb(c) {
+  const a = Math.abs(c);
+  return Math.sign(c) * (a <= 0.0031308 ? a * 12.92 : 1.055 * Math.pow(a, 1 / 2.4) - 0.055);
+}
+
+// sRGB transfer functions and the tonemapper, shared by the lit, sky and
+// bloom composite shaders
+const COLOR_SPACE_GLSL = `
+  vec3 srgbToLinear(vec3 c) {
+    return mix(c / 12.92, pow((c + 0.055) / 1.055, vec3(2.4)), step(0.04045, c));
+  }
+
+  vec3 linearToSrgb(vec3 c) {
+    return mix(c * 12.92, 1.055 * pow(c, vec3(1.0 / 2.4)) - 0.055, step(0.0031308, c));
+  }
+
+  // Khronos PBR Neutral: leaves base colors untouched below the compression
+  // knee so authored albedo reads the same as in other glTF-based tools
+  vec3 toneMapNeutral(vec3 c) {
+    const float startCompression = 0.8 - 0.04;
+    const float desaturation = 0.15;
+    float x = min(c.r, min(c.g, c.b));
+    float offset = x < 0.08 ? x - 6.25 * x * x : 0.04;
+    c -= offset;
+    float peak = max(c.r, max(c.g, c.b));
+    if (peak < startCompression) return c;
+    const float d = 1.0 - startCompression;
+    float newPeak = 1.0 - d * d / (peak + d - startCompression);
+    c *= newPeak / peak;
+    float g = 1.0 - 1.0 / (desaturation * (peak - newPeak) + 1.0);
+    return mix(c, vec3(newPeak), g);
+  }
+`;
+
 const FRAGMENT_SHADER = `
+  #ifdef GL_FRAGMENT_PRECISION_HIGH
+  precision highp float;
+  #else
   precision mediump float;
+  #endif
+
+  #define MAX_LIGHTS ${MAX_LIGHTS}
+  #define ENV_LEVELS ${ENV_LEVELS}
+  #define MAX_SHADOWS ${MAX_SHADOWS}
+  #define PI 3.14159265359
   
   varying vec3 vNormal;
   varying vec3 vWorldPos;
   varying vec2 vUv;
+  varying vec4 vTangent;
+  varying vec4 vColor;
   
+  // Material and light colors arrive in linear space (converted from sRGB on upload)
   uniform vec3 color;
   uniform float metalness;
   uniform float roughness;
   uniform float isGrass;
   uniform float opacity;
-  uniform vec3 lightPos;
-  uniform vec3 lightColor;
+  // Per light: lightParams = (type: 0 directional / 1 point / 2 spot, range, decay,
+  // shadow slot or -1), lightCones = (cos outer angle, cos inner angle); colors
+  // are premultiplied by intensity
+  uniform int lightCount;
+  uniform vec3 lightPositions[MAX_LIGHTS];
+  uniform vec3 lightDirections[MAX_LIGHTS];
+  uniform vec3 lightColors[MAX_LIGHTS];
+  uniform vec4 lightParams[MAX_LIGHTS];
+  uniform vec2 lightCones[MAX_LIGHTS];
+  uniform vec3 ambientColor;
+  uniform vec3 hemiSkyColor;
+  uniform vec3 hemiGroundColor;
   uniform vec3 viewPos;
   uniform sampler2D uTexture;
   uniform int hasTexture;
   uniform int isSky;
+  // Emissive color premultiplied by emissiveIntensity (may exceed 1.0)
+  uniform vec3 emissive;
+  // Material maps; mapTransforms holds (repeat.xy, offset.xy) for, in order,
+  // the color map (uTexture), normal, roughness, metalness, emissive and AO maps
+  uniform sampler2D normalMap;
+  uniform sampler2D roughnessMap;
+  uniform sampler2D metalnessMap;
+  uniform sampler2D emissiveMap;
+  uniform sampler2D aoMap;
+  uniform int hasNormalMap;
+  uniform int hasRoughnessMap;
+  uniform int hasMetalnessMap;
+  uniform int hasEmissiveMap;
+  uniform int hasAoMap;
+  uniform vec4 mapTransforms[6];
+  uniform float normalScale;
+  uniform float aoMapIntensity;
+  // 1 when drawing into the HDR bloom target: output stays linear and the
+  // composite pass applies exposure, tonemapping and sRGB encoding instead
+  uniform int hdrOutput;
+  uniform float exposure;
+  // Image-based lighting: envSH holds SH9 irradiance / PI, envSpecular the
+  // RGBM atlas of GGX-prefiltered levels located by envRects (offset, scale)
+  uniform int hasEnvironment;
+  uniform vec3 envSH[9];
+  uniform sampler2D envSpecular;
+  uniform vec4 envRects[ENV_LEVELS];
+  uniform float envIntensity;
+  // Shadow atlas with packed depth; per slot the light's view-projection, its
+  // atlas tile (offset, scale), (depth bias, normal bias, PCF radius, texel size)
+  // and the linear depth range of perspective shadows (far = 0 for orthographic)
+  uniform sampler2D shadowMap;
+  uniform mat4 shadowMatrices[MAX_SHADOWS];
+  uniform vec4 shadowTiles[MAX_SHADOWS];
+  uniform vec4 shadowParams[MAX_SHADOWS];
+  uniform vec2 shadowDepthRanges[MAX_SHADOWS];
+  uniform int receiveShadow;
+
+  ${COLOR_SPACE_GLSL}
+
+  vec4 encodeOutput(vec3 c, float alpha) {
+    if (hdrOutput == 1) return vec4(c, alpha);
+    return vec4(linearToSrgb(clamp(toneMapNeutral(c * exposure), 0.0, 1.0)), alpha);
+  }
+
+  // Trowbridge-Reitz (GGX) normal distribution
+  float distributionGGX(float NdotH, float a) {
+    float a2 = a * a;
+    float d = NdotH * NdotH * (a2 - 1.0) + 1.0;
+    return a2 / (PI * d * d);
+  }
+
+  // Height-correlated Smith visibility term (G / (4 NdotL NdotV))
+  float visibilitySmithGGX(float NdotL, float NdotV, float a) {
+    float a2 = a * a;
+    float gv = NdotL * sqrt(NdotV * NdotV * (1.0 - a2) + a2);
+    float gl = NdotV * sqrt(NdotL * NdotL * (1.0 - a2) + a2);
+    return 0.5 / max(gv + gl, 0.00001);
+  }
+
+  vec3 fresnelSchlick(float cosTheta, vec3 F0) {
+    return F0 + (1.0 - F0) * pow(1.0 - cosTheta, 5.0);
+  }
+
+  // Analytic fit of the split-sum environment BRDF (Karis, mobile approximation)
+  vec2 envBRDFApprox(float perceptualRoughness, float NdotV) {
+    const vec4 c0 = vec4(-1.0, -0.0275, -0.572, 0.022);
+    const vec4 c1 = vec4(1.0, 0.0425, 1.04, -0.04);
+    vec4 r = perceptualRoughness * c0 + c1;
+    float a004 = min(r.x * r.x, exp2(-9.28 * NdotV)) * r.x + r.y;
+    return vec2(-1.04, 1.04) * a004 + r.zw;
+  }
+  
+  float unpackDepth(vec4 rgba) {
+    return dot(rgba, vec4(1.0, 1.0 / 255.0, 1.0 / 65025.0, 1.0 / 16581375.0));
+  }
+
+  // Fraction of light from the given shadow slot reaching this fragment (5x5 PCF)
+  float shadowVisibility(float slot, vec3 N) {
+    for (int s = 0; s < MAX_SHADOWS; s++) {
+      if (float(s) != slot) continue;
+      vec4 clip = shadowMatrices[s] * vec4(vWorldPos + N * shadowParams[s].y, 1.0);
+      vec3 coord = clip.xyz / clip.w * 0.5 + 0.5;
+      if (coord.x < 0.0 || coord.x > 1.0 || coord.y < 0.0 || coord.y > 1.0 || coord.z > 1.0) return 1.0;
+
+      vec2 range = shadowDepthRanges[s];
+      float depth = (range.y > 0.0 ? (clip.w - range.x) / (range.y - range.x) : coord.z) - shadowParams[s].x;
+      float texel = shadowParams[s].w;
+      vec2 center = shadowTiles[s].xy + coord.xy * shadowTiles[s].zw;
+      vec2 lo = shadowTiles[s].xy + 0.5 * texel;
+      vec2 hi = shadowTiles[s].xy + shadowTiles[s].zw - 0.5 * texel;
+      float lit = 0.0;
+      for (int x = -2; x <= 2; x++) {
+        for (int y = -2; y <= 2; y++) {
+          vec2 uv = center + vec2(float(x), float(y)) * 0.5 * shadowParams[s].z * texel;
+          lit += step(depth, unpackDepth(texture2D(shadowMap, clamp(uv, lo, hi))));
+        }
+      }
+      return lit / 25.0;
+    }
+    return 1.0;
+  }
+
+  vec3 evalSH(vec3 n) {
+    return envSH[0]
+      + envSH[1] * n.y + envSH[2] * n.z + envSH[3] * n.x
+      + envSH[4] * n.x * n.y + envSH[5] * n.y * n.z + envSH[6] * (3.0 * n.z * n.z - 1.0)
+      + envSH[7] * n.x * n.z + envSH[8] * (n.x * n.x - n.y * n.y);
+  }
+
+  // Blend the two atlas levels bracketing the requested roughness
+  vec3 sampleEnvSpecular(vec3 dir, float perceptualRoughness) {
+    vec2 uv = vec2(atan(dir.z, dir.x) / (2.0 * PI) + 0.5, acos(clamp(dir.y, -1.0, 1.0)) / PI);
+    float lod = perceptualRoughness * float(ENV_LEVELS - 1);
+    float base = floor(lod);
+    vec3 result = vec3(0.0);
+    for (int i = 0; i < ENV_LEVELS; i++) {
+      float w = float(i) == base ? 1.0 - (lod - base) : (float(i) == base + 1.0 ? lod - base : 0.0);
+      if (w <= 0.0) continue;
+      vec4 rgbm = texture2D(envSpecular, envRects[i].xy + uv * envRects[i].zw);
+      result += w * rgbm.rgb * rgbm.a * ${RGBM_RANGE.toFixed(1)};
+    }
+    return result;
+  }
   
   void main() {
     if (hasTexture == 1 && isSky == 1) {
       vec3 tex = texture2D(uTexture, vUv).rgb;
-      gl_FragColor = vec4(tex, opacity);
+      gl_FragColor = vec4(hdrOutput == 1 ? srgbToLinear(tex) : tex, opacity);
       return;
     }
-    vec3 norm = normalize(vNormal);
-    vec3 lightDir = normalize(lightPos - vWorldPos);
-    
-    float diff = max(dot(norm, lightDir), 0.0);
-    vec3 diffuse = diff * lightColor;
-    
-    vec3 viewDir = normalize(viewPos - vWorldPos);
-    vec3 reflectDir = reflect(-lightDir, norm);
-    float spec = pow(max(dot(viewDir, reflectDir), 0.0), (1.0 - roughness) * 32.0);
-    vec3 specular = spec * lightColor * metalness;
     
     // Determine base color (texture if present, otherwise solid color)
     vec3 texColor = vec3(1.0);
     if (hasTexture == 1) {
-      texColor = texture2D(uTexture, vUv).rgb;
+      texColor = srgbToLinear(texture2D(uTexture, vUv * mapTransforms[0].xy + mapTransforms[0].zw).rgb);
     }
-    vec3 baseColor = texColor * color;
+    vec3 baseColor = texColor * color * vColor.rgb;
+    float alpha = opacity * vColor.a;
 
     // Procedural grass: if flagged, render a constant green-like surface
     if (isGrass > 0.5) {
@@ -555,14 +2199,108 @@ const FRAGMENT_SHADER = `
       vec3 ambient = grassColor * 0.9;
       vec3 mod = grassColor * 0.12 * nUp;
       vec3 result = ambient + mod;
-      gl_FragColor = vec4(result, opacity);
+
+      // Unlit, so shadows from any shadowed light simply darken the grass
+      float shade = 1.0;
+      if (receiveShadow == 1) {
+        for (int i = 0; i < MAX_LIGHTS; i++) {
+          if (i >= lightCount) break;
+          if (lightParams[i].w >= 0.0) {
+            shade = min(shade, shadowVisibility(lightParams[i].w, normalize(vNormal)));
+          }
+        }
+      }
+      result *= mix(0.35, 1.0, shade);
+      gl_FragColor = encodeOutput(result, alpha);
       return;
     }
 
-    // Non-grass fallback: lit PBR-ish shading
-    vec3 ambient = baseColor * 0.35;
-    vec3 result = ambient + diffuse * baseColor + specular;
-    gl_FragColor = vec4(result, opacity);
+    vec3 N = normalize(vNormal);
+    // Tangent-space normal map, with a Gram-Schmidt re-orthogonalized TBN
+    if (hasNormalMap == 1 && dot(vTangent.xyz, vTangent.xyz) > 0.0) {
+      vec3 T = normalize(vTangent.xyz - N * dot(N, vTangent.xyz));
+      vec3 B = cross(N, T) * vTangent.w;
+      vec3 mapN = texture2D(normalMap, vUv * mapTransforms[1].xy + mapTransforms[1].zw).xyz * 2.0 - 1.0;
+      mapN.xy *= normalScale;
+      N = normalize(mat3(T, B, N) * mapN);
+    }
+    vec3 V = normalize(viewPos - vWorldPos);
+    float NdotV = max(dot(N, V), 0.0001);
+
+    float roughnessValue = roughness;
+    if (hasRoughnessMap == 1) {
+      roughnessValue *= texture2D(roughnessMap, vUv * mapTransforms[2].xy + mapTransforms[2].zw).g;
+    }
+    float metalnessValue = metalness;
+    if (hasMetalnessMap == 1) {
+      metalnessValue *= texture2D(metalnessMap, vUv * mapTransforms[3].xy + mapTransforms[3].zw).b;
+    }
+    // Clamp so the GGX lobe stays representable at mediump precision
+    float perceptualRoughness = clamp(roughnessValue, 0.089, 1.0);
+    float a = perceptualRoughness * perceptualRoughness;
+    vec3 diffuseColor = baseColor * (1.0 - metalnessValue);
+    vec3 F0 = mix(vec3(0.04), baseColor, metalnessValue);
+
+    vec3 direct = vec3(0.0);
+    for (int i = 0; i < MAX_LIGHTS; i++) {
+      if (i >= lightCount) break;
+
+      vec3 L;
+      float attenuation = 1.0;
+      if (lightParams[i].x < 0.5) {
+        L = -lightDirections[i];
+      } else {
+        vec3 toLight = lightPositions[i] - vWorldPos;
+        float dist = length(toLight);
+        L = toLight / max(dist, 0.0001);
+        attenuation = 1.0 / max(pow(dist, lightParams[i].z), 0.0001);
+        if (lightParams[i].y > 0.0) {
+          float window = clamp(1.0 - pow(dist / lightParams[i].y, 4.0), 0.0, 1.0);
+          attenuation *= window * window;
+        }
+        if (lightParams[i].x > 1.5) {
+          attenuation *= smoothstep(lightCones[i].x, lightCones[i].y, dot(-L, lightDirections[i]));
+        }
+      }
+
+      float NdotL = max(dot(N, L), 0.0);
+      if (NdotL <= 0.0) continue;
+      if (receiveShadow == 1 && lightParams[i].w >= 0.0) {
+        attenuation *= shadowVisibility(lightParams[i].w, N);
+      }
+      vec3 H = normalize(L + V);
+      float NdotH = max(dot(N, H), 0.0);
+      float VdotH = max(dot(V, H), 0.0);
+
+      vec3 F = fresnelSchlick(VdotH, F0);
+      vec3 specular = F * distributionGGX(NdotH, a) * visibilitySmithGGX(NdotL, NdotV, a);
+      // Lambert weighted by (1 - F) so diffuse + specular never exceed the incoming energy
+      vec3 diffuse = (1.0 - F) * diffuseColor / PI;
+      // Light intensity is expressed so that 1.0 fully lights a white surface facing it
+      direct += (diffuse + specular) * lightColors[i] * attenuation * NdotL * PI;
+    }
+
+    // Ambient and hemisphere lights act as uniform irradiance; metals pick up
+    // their tint through the split-sum specular term
+    vec3 irradiance = ambientColor + mix(hemiGroundColor, hemiSkyColor, 0.5 + 0.5 * N.y);
+    vec3 radiance = irradiance;
+    if (hasEnvironment == 1) {
+      irradiance += max(evalSH(N), 0.0) * envIntensity;
+      radiance += sampleEnvSpecular(reflect(-V, N), perceptualRoughness) * envIntensity;
+    }
+    vec2 envBRDF = envBRDFApprox(perceptualRoughness, NdotV);
+    vec3 indirect = irradiance * diffuseColor + radiance * (F0 * envBRDF.x + envBRDF.y);
+    if (hasAoMap == 1) {
+      float ao = texture2D(aoMap, vUv * mapTransforms[5].xy + mapTransforms[5].zw).r;
+      indirect *= mix(1.0, ao, aoMapIntensity);
+    }
+
+    vec3 emitted = emissive;
+    if (hasEmissiveMap == 1) {
+      emitted *= srgbToLinear(texture2D(emissiveMap, vUv * mapTransforms[4].xy + mapTransforms[4].zw).rgb);
+    }
+
+    gl_FragColor = encodeOutput(direct + indirect + emitted, alpha);
   }
 `;
 
@@ -581,35 +2319,321 @@ const SKY_FRAGMENT_SHADER = `
   precision mediump float;
   varying vec2 vUv;
   uniform sampler2D uTexture;
+  // Sky images are display-referred; linearize them when the frame is
+  // tonemapped later by the bloom composite
+  uniform int hdrOutput;
+  ${COLOR_SPACE_GLSL}
   void main() {
-    gl_FragColor = texture2D(uTexture, vUv);
+    vec4 tex = texture2D(uTexture, vUv);
+    gl_FragColor = hdrOutput == 1 ? vec4(srgbToLinear(tex.rgb), tex.a) : tex;
   }
 `;
 
-class Matrix4 {
-  static multiply(a, b) {
-    const result = new Float32Array(16);
-    for (let i = 0; i < 4; i++) {
-      for (let j = 0; j < 4; j++) {
-        result[i * 4 + j] = 0;
-        for (let k = 0; k < 4; k++) {
-          result[i * 4 + j] += a[i * 4 + k] * b[k * 4 + j];
-        }
-      }
-    }
-    return result;
+// Bloom post-process passes (drawn with SKY_VERTEX_SHADER on the fullscreen quad)
+const BLOOM_BRIGHT_FRAGMENT_SHADER = `
+  precision mediump float;
+  varying vec2 vUv;
+  uniform sampler2D uTexture;
+  uniform float threshold;
+  void main() {
+    vec3 c = texture2D(uTexture, vUv).rgb;
+    float brightness = max(c.r, max(c.g, c.b));
+    float contribution = max(brightness - threshold, 0.0) / max(brightness, 0.0001);
+    gl_FragColor = vec4(c * contribution, 1.0);
   }
+`;
 
-  static perspective(fov, aspect, near, far) {
-    const f = 1 / Math.tan(fov / 2);
-    const nf = 1 / (near - far);
-    const out = new Float32Array(16);
-    out[0] = f / aspect;
-    out[5] = f;
-    out[10] = (far + near) * nf;
-    out[11] = -1;
-    out[14] = (2 * far * near) * nf;
-    return out;
+// Separable 9-tap Gaussian using linear filtering (5 fetches per direction)
+const BLOOM_BLUR_FRAGMENT_SHADER = `
+  precision mediump float;
+  varying vec2 vUv;
+  uniform sampler2D uTexture;
+  uniform vec2 direction;
+  void main() {
+    vec3 sum = texture2D(uTexture, vUv).rgb * 0.2270270270;
+    sum += texture2D(uTexture, vUv + direction * 1.3846153846).rgb * 0.3162162162;
+    sum += texture2D(uTexture, vUv - direction * 1.3846153846).rgb * 0.3162162162;
+    sum += texture2D(uTexture, vUv + direction * 3.2307692308).rgb * 0.0702702703;
+    sum += texture2D(uTexture, vUv - direction * 3.2307692308).rgb * 0.0702702703;
+    gl_FragColor = vec4(sum, 1.0);
+  }
+`;
+
+const BLOOM_COMPOSITE_FRAGMENT_SHADER = `
+  precision mediump float;
+  varying vec2 vUv;
+  uniform sampler2D uTexture;
+  uniform sampler2D uBloom;
+  uniform float strength;
+  // 1 when the scene target holds linear HDR values that still need
+  // exposure, tonemapping and sRGB encoding
+  uniform int toneMap;
+  uniform float exposure;
+  ${COLOR_SPACE_GLSL}
+  void main() {
+    vec4 scene = texture2D(uTexture, vUv);
+    vec3 bloom = texture2D(uBloom, vUv).rgb * strength;
+    vec3 c = scene.rgb + bloom;
+    if (toneMap == 1) {
+      c = linearToSrgb(clamp(toneMapNeutral(c * exposure), 0.0, 1.0));
+    }
+    gl_FragColor = vec4(c, scene.a);
+  }
+`;
+
+// Shadow depth pass: depth is packed into RGBA8 so no depth-texture extension is needed
+// Perspective (spot) shadows store linear depth between depthRange (near, far)
+// so the bias means the same distance everywhere; depthRange.y = 0 keeps the
+// orthographic depth, which is linear already.
+const SHADOW_VERTEX_SHADER = `
+  attribute vec3 position;
+  uniform mat4 modelMatrix;
+  uniform mat4 lightViewProjection;
+  uniform vec2 depthRange;
+  varying float vDepth;
+  void main() {
+    gl_Position = lightViewProjection * modelMatrix * vec4(position, 1.0);
+    vDepth = depthRange.y > 0.0
+      ? (gl_Position.w - depthRange.x) / (depthRange.y - depthRange.x)
+      : gl_Position.z * 0.5 + 0.5;
+  }
+`;
+
+const SHADOW_FRAGMENT_SHADER = `
+  #ifdef GL_FRAGMENT_PRECISION_HIGH
+  precision highp float;
+  #else
+  precision mediump float;
+  #endif
+  varying float vDepth;
+  void main() {
+    vec4 enc = fract(clamp(vDepth, 0.0, 1.0) * vec4(1.0, 255.0, 65025.0, 16581375.0));
+    enc -= enc.yzww * vec4(1.0 / 255.0, 1.0 / 255.0, 1.0 / 255.0, 0.0);
+    gl_FragColor = enc;
+  }
+`;
+
+// Unit quaternions as [x, y, z, w] arrays, rotating like the matching
+// Matrix4 rotations (right-handed, positive angles counter-clockwise).
+class Quaternion {
+  // Axis rotations multiplied in `order`, matching Matrix4.compose
+  static fromEuler(rotation, order = 'XYZ') {
+    let q = [0, 0, 0, 1];
+    for (const axis of order) {
+      const i = 'XYZ'.indexOf(axis);
+      const half = (rotation[i] || 0) / 2;
+      const r = [0, 0, 0, Math.cos(half)];
+      r[i] = Math.sin(half);
+      q = Quaternion.multiply(q, r);
+    }
+    return q;
+  }
+
+  static toEuler(q, order = 'XYZ') {
+    return Matrix4.toEuler(Matrix4.composeQuaternion([0, 0, 0], q, [1, 1, 1]), order);
+  }
+
+  // Rotation in the upper 3x3 of a column-major matrix, which must be free
+  // of scale
+  static fromMatrix(m) {
+    // Shepperd's method: pivot on the largest diagonal term
+    const trace = m[0] + m[5] + m[10];
+    let q;
+    if (trace > 0) {
+      const s = 0.5 / Math.sqrt(trace + 1);
+      q = [(m[6] - m[9]) * s, (m[8] - m[2]) * s, (m[1] - m[4]) * s, 0.25 / s];
+    } else if (m[0] > m[5] && m[0] > m[10]) {
+      const s = 2 * Math.sqrt(1 + m[0] - m[5] - m[10]);
+      q = [0.25 * s, (m[4] + m[1]) / s, (m[8] + m[2]) / s, (m[6] - m[9]) / s];
+    } else if (m[5] > m[10]) {
+      const s = 2 * Math.sqrt(1 + m[5] - m[0] - m[10]);
+      q = [(m[4] + m[1]) / s, 0.25 * s, (m[9] + m[6]) / s, (m[8] - m[2]) / s];
+    } else {
+      const s = 2 * Math.sqrt(1 + m[10] - m[0] - m[5]);
+      q = [(m[8] + m[2]) / s, (m[9] + m[6]) / s, 0.25 * s, (m[1] - m[4]) / s];
+    }
+    return Quaternion.normalize(q);
+  }
+
+  // a * b: b is applied first, then a
+  static multiply(a, b) {
+    const [ax, ay, az, aw] = a;
+    const [bx, by, bz, bw] = b;
+    return [
+      aw * bx + ax * bw + ay * bz - az * by,
+      aw * by - ax * bz + ay * bw + az * bx,
+      aw * bz + ax * by - ay * bx + az * bw,
+      aw * bw - ax * bx - ay * by - az * bz
+    ];
+  }
+
+  // Unit length; null for a zero or non-finite quaternion
+  static normalize(q) {
+    const len = Math.hypot(q[0], q[1], q[2], q[3]);
+    if (!(len > 0) || !Number.isFinite(len)) return null;
+    return [q[0] / len, q[1] / len, q[2] / len, q[3] / len];
+  }
+
+  // Shortest-path spherical interpolation from a (t = 0) to b (t = 1)
+  static slerp(a, b, t) {
+    let [bx, by, bz, bw] = b;
+    let cos = a[0] * bx + a[1] * by + a[2] * bz + a[3] * bw;
+    if (cos < 0) {
+      bx = -bx; by = -by; bz = -bz; bw = -bw;
+      cos = -cos;
+    }
+    let wa = 1 - t, wb = t;
+    if (cos < 0.9995) {
+      const angle = Math.acos(cos);
+      const sin = Math.sin(angle);
+      wa = Math.sin((1 - t) * angle) / sin;
+      wb = Math.sin(t * angle) / sin;
+    }
+    return Quaternion.normalize([
+      a[0] * wa + bx * wb, a[1] * wa + by * wb, a[2] * wa + bz * wb, a[3] * wa + bw * wb
+    ]);
+  }
+}
+
+// Column-major 4x4 matrices acting on column vectors (WebGL layout).
+// multiply(a, b) is a * b: b is applied first, then a.
+class Matrix4 {
+  static identity() {
+    return new Float32Array([1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1]);
+  }
+
+  static multiply(a, b) {
+    const result = new Float32Array(16);
+    for (let col = 0; col < 4; col++) {
+      for (let row = 0; row < 4; row++) {
+        let sum = 0;
+        for (let k = 0; k < 4; k++) {
+          sum += a[k * 4 + row] * b[col * 4 + k];
+        }
+        result[col * 4 + row] = sum;
+      }
+    }
+    return result;
+  }
+
+  // T * R * S from a position, Euler rotation (radians) and scale. R is the
+  // product of the axis rotations in `order`: 'XYZ' is Rx * Ry * Rz, so Z is
+  // applied first.
+  static compose(position, rotation, scale, order = 'XYZ') {
+    if (order !== 'XYZ') {
+      return Matrix4.composeQuaternion(position, Quaternion.fromEuler(rotation, order), scale);
+    }
+    const a = Math.cos(rotation[0] || 0), b = Math.sin(rotation[0] || 0);
+    const c = Math.cos(rotation[1] || 0), d = Math.sin(rotation[1] || 0);
+    const e = Math.cos(rotation[2] || 0), f = Math.sin(rotation[2] || 0);
+    const ae = a * e, af = a * f, be = b * e, bf = b * f;
+    const sx = scale[0], sy = scale[1], sz = scale[2];
+    return new Float32Array([
+      c * e * sx, (af + be * d) * sx, (bf - ae * d) * sx, 0,
+      -c * f * sy, (ae - bf * d) * sy, (be + af * d) * sy, 0,
+      d * sz, -b * c * sz, a * c * sz, 0,
+      position[0] || 0, position[1] || 0, position[2] || 0, 1
+    ]);
+  }
+
+  // T * R * S with R from a unit quaternion [x, y, z, w]
+  static composeQuaternion(position, q, scale) {
+    const [x, y, z, w] = q;
+    const x2 = x + x, y2 = y + y, z2 = z + z;
+    const xx = x * x2, xy = x * y2, xz = x * z2;
+    const yy = y * y2, yz = y * z2, zz = z * z2;
+    const wx = w * x2, wy = w * y2, wz = w * z2;
+    const sx = scale[0], sy = scale[1], sz = scale[2];
+    return new Float32Array([
+      (1 - (yy + zz)) * sx, (xy + wz) * sx, (xz - wy) * sx, 0,
+      (xy - wz) * sy, (1 - (xx + zz)) * sy, (yz + wx) * sy, 0,
+      (xz + wy) * sz, (yz - wx) * sz, (1 - (xx + yy)) * sz, 0,
+      position[0] || 0, position[1] || 0, position[2] || 0, 1
+    ]);
+  }
+
+  // Euler angles (radians) in `order` of the rotation in m's upper 3x3, which
+  // must be free of scale. In gimbal lock the last axis is folded into the first.
+  static toEuler(m, order = 'XYZ') {
+    const m11 = m[0], m12 = m[4], m13 = m[8];
+    const m21 = m[1], m22 = m[5], m23 = m[9];
+    const m31 = m[2], m32 = m[6], m33 = m[10];
+    const clamp = v => Math.max(-1, Math.min(1, v));
+    const lock = 0.9999999;
+    switch (order) {
+      case 'YXZ': {
+        const x = Math.asin(-clamp(m23));
+        return Math.abs(m23) < lock
+          ? [x, Math.atan2(m13, m33), Math.atan2(m21, m22)]
+          : [x, Math.atan2(-m31, m11), 0];
+      }
+      case 'ZXY': {
+        const x = Math.asin(clamp(m32));
+        return Math.abs(m32) < lock
+          ? [x, Math.atan2(-m31, m33), Math.atan2(-m12, m22)]
+          : [x, 0, Math.atan2(m21, m11)];
+      }
+      case 'ZYX': {
+        const y = Math.asin(-clamp(m31));
+        return Math.abs(m31) < lock
+          ? [Math.atan2(m32, m33), y, Math.atan2(m21, m11)]
+          : [0, y, Math.atan2(-m12, m22)];
+      }
+      case 'YZX': {
+        const z = Math.asin(clamp(m21));
+        return Math.abs(m21) < lock
+          ? [Math.atan2(-m23, m22), Math.atan2(-m31, m11), z]
+          : [0, Math.atan2(m13, m33), z];
+      }
+      case 'XZY': {
+        const z = Math.asin(-clamp(m12));
+        return Math.abs(m12) < lock
+          ? [Math.atan2(m32, m22), Math.atan2(m13, m11), z]
+          : [Math.atan2(-m23, m33), 0, z];
+      }
+      default: {
+        const y = Math.asin(clamp(m13));
+        return Math.abs(m13) < lock
+          ? [Math.atan2(-m23, m33), y, Math.atan2(-m12, m11)]
+          : [Math.atan2(m32, m22), y, 0];
+      }
+    }
+  }
+
+  static transformPoint(m, p) {
+    const x = p[0], y = p[1], z = p[2];
+    return [
+      m[0] * x + m[4] * y + m[8] * z + m[12],
+      m[1] * x + m[5] * y + m[9] * z + m[13],
+      m[2] * x + m[6] * y + m[10] * z + m[14]
+    ];
+  }
+
+  static perspective(fov, aspect, near, far) {
+    const f = 1 / Math.tan(fov / 2);
+    const nf = 1 / (near - far);
+    const out = new Float32Array(16);
+    out[0] = f / aspect;
+    out[5] = f;
+    out[10] = (far + near) * nf;
+    out[11] = -1;
+    out[14] = (2 * far * near) * nf;
+    return out;
+  }
+
+  static orthographic(left, right, bottom, top, near, far) {
+    const lr = 1 / (left - right);
+    const bt = 1 / (bottom - top);
+    const nf = 1 / (near - far);
+    const out = new Float32Array(16);
+    out[0] = -2 * lr;
+    out[5] = -2 * bt;
+    out[10] = 2 * nf;
+    out[12] = (left + right) * lr;
+    out[13] = (top + bottom) * bt;
+    out[14] = (far + near) * nf;
+    out[15] = 1;
+    return out;
   }
 
   static translate(x, y, z) {
@@ -628,7 +2652,7 @@ class Matrix4 {
     const c = Math.cos(angle);
     const s = Math.sin(angle);
     return new Float32Array([
-      c, 0, s, 0, 0, 1, 0, 0, -s, 0, c, 0, 0, 0, 0, 1
+      c, 0, -s, 0, 0, 1, 0, 0, s, 0, c, 0, 0, 0, 0, 1
     ]);
   }
 
@@ -637,8 +2661,8 @@ class Matrix4 {
     const s = Math.sin(angle);
     return new Float32Array([
       1, 0, 0, 0,
-      0, c, -s, 0,
-      0, s, c, 0,
+      0, c, s, 0,
+      0, -s, c, 0,
       0, 0, 0, 1
     ]);
   }
@@ -647,13 +2671,18 @@ class Matrix4 {
     const c = Math.cos(angle);
     const s = Math.sin(angle);
     return new Float32Array([
-      c, -s, 0, 0,
-      s, c, 0, 0,
+      c, s, 0, 0,
+      -s, c, 0, 0,
       0, 0, 1, 0,
       0, 0, 0, 1
     ]);
   }
 
+  // Right-handed view matrix: the camera looks down -Z with +X to the right
+  // of the screen. Earlier versions took right = up x forward, which mirrored
+  // the image left to right and with it every triangle's on-screen winding;
+  // sphere and cylinder indices were wound clockwise to suit. Both were
+  // corrected together, so primitives are counter-clockwise from outside.
   static lookAt(eye, center, up) {
     const ex = eye[0], ey = eye[1], ez = eye[2];
     const cx = center[0], cy = center[1], cz = center[2];
@@ -663,15 +2692,16 @@ class Matrix4 {
     let len = Math.sqrt(fx * fx + fy * fy + fz * fz);
     fx /= len; fy /= len; fz /= len;
 
-    let rx = uy * fz - uz * fy;
-    let ry = uz * fx - ux * fz;
-    let rz = ux * fy - uy * fx;
+    // right = forward x up (right-handed; screen-right is +X when looking down -Z)
+    let rx = fy * uz - fz * uy;
+    let ry = fz * ux - fx * uz;
+    let rz = fx * uy - fy * ux;
     len = Math.sqrt(rx * rx + ry * ry + rz * rz);
     rx /= len; ry /= len; rz /= len;
 
-    let ux2 = fy * rz - fz * ry;
-    let uy2 = fz * rx - fx * rz;
-    let uz2 = fx * ry - fy * rx;
+    let ux2 = ry * fz - rz * fy;
+    let uy2 = rz * fx - rx * fz;
+    let uz2 = rx * fy - ry * fx;
 
     return new Float32Array([
       rx, ux2, -fx, 0, ry, uy2, -fy, 0, rz, uz2, -fz, 0,
@@ -682,6 +2712,371 @@ class Matrix4 {
   }
 }
 
+// Equirectangular environment used for image-based lighting. Holds linear RGB
+// radiance and prefilters it on the CPU into 9 spherical harmonic coefficients
+// (diffuse irradiance) and an atlas of GGX-filtered levels, one per roughness
+// step, stored RGBM-encoded so it uploads as a plain RGBA8 texture.
+// Direction mapping: u = atan(z, x) / 2PI + 0.5, v = acos(y) / PI (row 0 is +Y).
+class EnvironmentMap {
+  constructor(width, height, data) {
+    this.width = width;
+    this.height = height;
+    this.data = data; // Float32Array, linear RGB, rows top to bottom
+    this.sh = null;
+    this.atlas = null;
+    this._glTexture = null;
+  }
+
+  // Decode a Radiance .hdr (RGBE) file, flat or new-style RLE scanlines
+  static decodeHDR(buffer) {
+    const bytes = new Uint8Array(buffer);
+    let pos = 0;
+    const readLine = () => {
+      let s = '';
+      while (pos < bytes.length) {
+        const c = bytes[pos++];
+        if (c === 10) break;
+        s += String.fromCharCode(c);
+      }
+      return s;
+    };
+
+    const magic = readLine();
+    if (!/^#\?(RADIANCE|RGBE)/.test(magic)) {
+      throw new Error('EnvironmentMap: not a Radiance HDR file');
+    }
+    let line;
+    while ((line = readLine()).trim() !== '') {
+      if (line.startsWith('FORMAT=') && line !== 'FORMAT=32-bit_rle_rgbe') {
+        throw new Error(`EnvironmentMap: unsupported HDR ${line}`);
+      }
+      if (pos >= bytes.length) throw new Error('EnvironmentMap: truncated HDR header');
+    }
+
+    const res = readLine().trim().match(/^([+-])Y\s+(\d+)\s+([+-])X\s+(\d+)$/);
+    if (!res) throw new Error('EnvironmentMap: unsupported HDR resolution line');
+    const height = parseInt(res[2]);
+    const width = parseInt(res[4]);
+    const bottomUp = res[1] === '+';
+
+    const data = new Float32Array(width * height * 3);
+    const scan = new Uint8Array(width * 4);
+    for (let y = 0; y < height; y++) {
+      const rle = width >= 8 && width < 32768 &&
+        bytes[pos] === 2 && bytes[pos + 1] === 2 && !(bytes[pos + 2] & 0x80);
+      if (rle) {
+        if (((bytes[pos + 2] << 8) | bytes[pos + 3]) !== width) {
+          throw new Error('EnvironmentMap: HDR scanline width mismatch');
+        }
+        pos += 4;
+        // Components are stored one after another, each run-length encoded
+        for (let comp = 0; comp < 4; comp++) {
+          let x = 0;
+          while (x < width) {
+            let count = bytes[pos++];
+            if (count > 128) {
+              count -= 128;
+              const value = bytes[pos++];
+              for (let k = 0; k < count; k++) scan[(x++) * 4 + comp] = value;
+            } else {
+              for (let k = 0; k < count; k++) scan[(x++) * 4 + comp] = bytes[pos++];
+            }
+          }
+        }
+      } else {
+        scan.set(bytes.subarray(pos, pos + width * 4));
+        pos += width * 4;
+      }
+      if (pos > bytes.length) throw new Error('EnvironmentMap: truncated HDR data');
+
+      const row = bottomUp ? height - 1 - y : y;
+      for (let x = 0; x < width; x++) {
+        const e = scan[x * 4 + 3];
+        const idx = (row * width + x) * 3;
+        if (e === 0) continue;
+        const f = Math.pow(2, e - (128 + 8));
+        data[idx] = scan[x * 4] * f;
+        data[idx + 1] = scan[x * 4 + 1] * f;
+        data[idx + 2] = scan[x * 4 + 2] * f;
+      }
+    }
+    return { width, height, data };
+  }
+
+  static fromHDR(buffer) {
+    const { width, height, data } = EnvironmentMap.decodeHDR(buffer);
+    return new EnvironmentMap(width, height, data);
+  }
+
+  // LDR images are treated as sRGB; they are resampled to at most `maxWidth`
+  static fromImage(image, maxWidth = 1024) {
+    const srcWidth = image.naturalWidth || image.width;
+    const srcHeight = image.naturalHeight || image.height;
+    const width = Math.min(srcWidth, maxWidth);
+    const height = Math.max(1, Math.round(srcHeight * width / srcWidth));
+    const canvas = typeof OffscreenCanvas !== 'undefined'
+      ? new OffscreenCanvas(width, height)
+      : Object.assign(document.createElement('canvas'), { width, height });
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(image, 0, 0, width, height);
+    const pixels = ctx.getImageData(0, 0, width, height).data;
+
+    const lut = new Float32Array(256);
+    for (let i = 0; i < 256; i++) lut[i] = srgbToLinear(i / 255);
+    const data = new Float32Array(width * height * 3);
+    for (let i = 0; i < width * height; i++) {
+      data[i * 3] = lut[pixels[i * 4]];
+      data[i * 3 + 1] = lut[pixels[i * 4 + 1]];
+      data[i * 3 + 2] = lut[pixels[i * 4 + 2]];
+    }
+    return new EnvironmentMap(width, height, data);
+  }
+
+  static directionToUv(x, y, z) {
+    return [
+      Math.atan2(z, x) / (2 * Math.PI) + 0.5,
+      Math.acos(Math.max(-1, Math.min(1, y))) / Math.PI
+    ];
+  }
+
+  // Box-downsample by two in each direction. Each output texel averages the
+  // whole source texels under it, so odd sizes give footprints of one or
+  // two texels (three at the far edge) instead of fractional indices.
+  static _downsample(level) {
+    const width = Math.max(1, level.width >> 1);
+    const height = Math.max(1, level.height >> 1);
+    const data = new Float32Array(width * height * 3);
+    const span = (i, from, to) => {
+      const start = Math.floor(i * from / to);
+      const end = i === to - 1 ? from : Math.max(start + 1, Math.floor((i + 1) * from / to));
+      return [start, Math.min(end, from)];
+    };
+    for (let y = 0; y < height; y++) {
+      const [y0, y1] = span(y, level.height, height);
+      for (let x = 0; x < width; x++) {
+        const [x0, x1] = span(x, level.width, width);
+        const count = (y1 - y0) * (x1 - x0);
+        for (let c = 0; c < 3; c++) {
+          let sum = 0;
+          for (let j = y0; j < y1; j++) {
+            for (let i = x0; i < x1; i++) {
+              sum += level.data[(j * level.width + i) * 3 + c];
+            }
+          }
+          data[(y * width + x) * 3 + c] = sum / count;
+        }
+      }
+    }
+    return { width, height, data };
+  }
+
+  // Bilinear lookup that wraps horizontally and clamps at the poles
+  static _sample(level, u, v, out) {
+    const fx = u * level.width - 0.5;
+    const fy = Math.min(Math.max(v * level.height - 0.5, 0), level.height - 1);
+    const x0 = Math.floor(fx);
+    const y0 = Math.floor(fy);
+    const tx = fx - x0;
+    const ty = fy - y0;
+    const xa = ((x0 % level.width) + level.width) % level.width;
+    const xb = (xa + 1) % level.width;
+    const ya = y0;
+    const yb = Math.min(y0 + 1, level.height - 1);
+    const d = level.data;
+    for (let c = 0; c < 3; c++) {
+      const top = d[(ya * level.width + xa) * 3 + c] * (1 - tx) + d[(ya * level.width + xb) * 3 + c] * tx;
+      const bottom = d[(yb * level.width + xa) * 3 + c] * (1 - tx) + d[(yb * level.width + xb) * 3 + c] * tx;
+      out[c] = top * (1 - ty) + bottom * ty;
+    }
+    return out;
+  }
+
+  // Build `sh` and `atlas`. Level i of the atlas is filtered for roughness
+  // i / (ENV_LEVELS - 1) using `samples` GGX importance samples per texel, read
+  // from a box-filtered pyramid so few samples stay noise free.
+  prefilter({ size = 256, samples = 64 } = {}) {
+    let source = { width: this.width, height: this.height, data: this.data };
+    while (source.width > size * 2) source = EnvironmentMap._downsample(source);
+    if (source.width !== size) {
+      // resample odd-sized sources onto a size x size/2 grid
+      const width = size;
+      const height = size / 2;
+      const data = new Float32Array(width * height * 3);
+      const texel = [0, 0, 0];
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+          EnvironmentMap._sample(source, (x + 0.5) / width, (y + 0.5) / height, texel);
+          data.set(texel, (y * width + x) * 3);
+        }
+      }
+      source = { width, height, data };
+    }
+    const pyramid = [source];
+    while (pyramid[pyramid.length - 1].width > 8) {
+      pyramid.push(EnvironmentMap._downsample(pyramid[pyramid.length - 1]));
+    }
+
+    this.sh = EnvironmentMap._projectSH(pyramid[Math.min(2, pyramid.length - 1)]);
+
+    const faces = [];
+    for (let i = 0; i < ENV_LEVELS; i++) {
+      const width = Math.max(size >> i, 16);
+      const roughness = i / (ENV_LEVELS - 1);
+      faces.push(i === 0
+        ? pyramid[0]
+        : EnvironmentMap._filterGGX(pyramid, width, width / 2, roughness, samples));
+    }
+    this.atlas = EnvironmentMap._packAtlas(faces);
+    return this;
+  }
+
+  // Project radiance onto SH9 and fold in the clamped-cosine convolution, so
+  // that evaluating the basis at a normal gives irradiance / PI
+  static _projectSH(level) {
+    const coeffs = new Float64Array(27);
+    const { width, height, data } = level;
+    for (let y = 0; y < height; y++) {
+      const theta = (y + 0.5) / height * Math.PI;
+      const sinTheta = Math.sin(theta);
+      const dOmega = (2 * Math.PI / width) * (Math.PI / height) * sinTheta;
+      const dy = Math.cos(theta);
+      for (let x = 0; x < width; x++) {
+        const phi = ((x + 0.5) / width - 0.5) * 2 * Math.PI;
+        const dx = Math.cos(phi) * sinTheta;
+        const dz = Math.sin(phi) * sinTheta;
+        const basis = [
+          0.282095,
+          0.488603 * dy, 0.488603 * dz, 0.488603 * dx,
+          1.092548 * dx * dy, 1.092548 * dy * dz, 0.315392 * (3 * dz * dz - 1),
+          1.092548 * dx * dz, 0.546274 * (dx * dx - dy * dy)
+        ];
+        const idx = (y * width + x) * 3;
+        for (let k = 0; k < 9; k++) {
+          const w = basis[k] * dOmega;
+          coeffs[k * 3] += data[idx] * w;
+          coeffs[k * 3 + 1] += data[idx + 1] * w;
+          coeffs[k * 3 + 2] += data[idx + 2] * w;
+        }
+      }
+    }
+    // band weights A_l / PI and the constant factors of each basis function
+    const scale = [
+      0.282095,
+      0.488603 * 2 / 3, 0.488603 * 2 / 3, 0.488603 * 2 / 3,
+      1.092548 / 4, 1.092548 / 4, 0.315392 / 4, 1.092548 / 4, 0.546274 / 4
+    ];
+    const sh = new Float32Array(27);
+    for (let k = 0; k < 27; k++) sh[k] = coeffs[k] * scale[Math.floor(k / 3)];
+    return sh;
+  }
+
+  static _filterGGX(pyramid, width, height, roughness, samples) {
+    const a = roughness * roughness;
+    const a2 = a * a;
+    const texelSolidAngle = 4 * Math.PI / (pyramid[0].width * pyramid[0].height);
+    const data = new Float32Array(width * height * 3);
+    const texel = [0, 0, 0];
+
+    // Hammersley points are shared by every texel
+    const points = [];
+    for (let i = 0; i < samples; i++) {
+      let bits = i;
+      bits = ((bits << 16) | (bits >>> 16)) >>> 0;
+      bits = (((bits & 0x55555555) << 1) | ((bits & 0xAAAAAAAA) >>> 1)) >>> 0;
+      bits = (((bits & 0x33333333) << 2) | ((bits & 0xCCCCCCCC) >>> 2)) >>> 0;
+      bits = (((bits & 0x0F0F0F0F) << 4) | ((bits & 0xF0F0F0F0) >>> 4)) >>> 0;
+      bits = (((bits & 0x00FF00FF) << 8) | ((bits & 0xFF00FF00) >>> 8)) >>> 0;
+      const phi = 2 * Math.PI * i / samples;
+      const cosTheta = Math.sqrt((1 - bits / 4294967296) / (1 + (a2 - 1) * bits / 4294967296));
+      const sinTheta = Math.sqrt(1 - cosTheta * cosTheta);
+      const d = (cosTheta * cosTheta * (a2 - 1) + 1);
+      const pdf = a2 / (Math.PI * d * d) / 4; // D * NdotH / (4 VdotH) with N = V
+      const lod = Math.max(0.5 * Math.log2(1 / (samples * pdf * texelSolidAngle)) + 1, 0);
+      points.push([Math.cos(phi) * sinTheta, Math.sin(phi) * sinTheta, cosTheta, lod]);
+    }
+
+    for (let y = 0; y < height; y++) {
+      const theta = (y + 0.5) / height * Math.PI;
+      for (let x = 0; x < width; x++) {
+        const phi = ((x + 0.5) / width - 0.5) * 2 * Math.PI;
+        const n = [Math.cos(phi) * Math.sin(theta), Math.cos(theta), Math.sin(phi) * Math.sin(theta)];
+        // tangent frame around the reflection direction
+        const up = Math.abs(n[1]) < 0.999 ? [0, 1, 0] : [1, 0, 0];
+        const t = EnvironmentMap._normalize([
+          up[1] * n[2] - up[2] * n[1], up[2] * n[0] - up[0] * n[2], up[0] * n[1] - up[1] * n[0]
+        ]);
+        const b = [n[1] * t[2] - n[2] * t[1], n[2] * t[0] - n[0] * t[2], n[0] * t[1] - n[1] * t[0]];
+
+        let r = 0, g = 0, bl = 0, total = 0;
+        for (const [hx, hy, hz, lod] of points) {
+          const h = [
+            t[0] * hx + b[0] * hy + n[0] * hz,
+            t[1] * hx + b[1] * hy + n[1] * hz,
+            t[2] * hx + b[2] * hy + n[2] * hz
+          ];
+          const ndoth = hz;
+          const l = [2 * ndoth * h[0] - n[0], 2 * ndoth * h[1] - n[1], 2 * ndoth * h[2] - n[2]];
+          const ndotl = 2 * ndoth * ndoth - 1;
+          if (ndotl <= 0) continue;
+          const [u, v] = EnvironmentMap.directionToUv(l[0], l[1], l[2]);
+          EnvironmentMap._sample(pyramid[Math.min(Math.round(lod), pyramid.length - 1)], u, v, texel);
+          r += texel[0] * ndotl;
+          g += texel[1] * ndotl;
+          bl += texel[2] * ndotl;
+          total += ndotl;
+        }
+        const idx = (y * width + x) * 3;
+        data[idx] = r / total;
+        data[idx + 1] = g / total;
+        data[idx + 2] = bl / total;
+      }
+    }
+    return { width, height, data };
+  }
+
+  static _normalize(v) {
+    const len = Math.hypot(v[0], v[1], v[2]) || 1;
+    return [v[0] / len, v[1] / len, v[2] / len];
+  }
+
+  // Stack levels vertically, each with a one-texel border copied from the
+  // wrapped/clamped neighbours so bilinear filtering never bleeds between
+  // levels and the longitude seam stays continuous. `rects` holds per level
+  // (offsetU, offsetV, scaleU, scaleV) mapping equirect uv into the atlas.
+  static _packAtlas(faces) {
+    const width = faces[0].width + 2;
+    const height = faces.reduce((sum, f) => sum + f.height + 2, 0);
+    const data = new Uint8Array(width * height * 4);
+    const rects = new Float32Array(faces.length * 4);
+    let top = 0;
+    faces.forEach((face, i) => {
+      for (let y = -1; y <= face.height; y++) {
+        const sy = Math.min(Math.max(y, 0), face.height - 1);
+        for (let x = -1; x <= face.width; x++) {
+          const sx = (x + face.width) % face.width;
+          const src = (sy * face.width + sx) * 3;
+          EnvironmentMap._encodeRGBM(face.data, src, data, ((top + y + 1) * width + x + 1) * 4);
+        }
+      }
+      rects.set([1 / width, (top + 1) / height, face.width / width, face.height / height], i * 4);
+      top += face.height + 2;
+    });
+    return { width, height, data, rects };
+  }
+
+  static _encodeRGBM(src, s, out, o) {
+    const r = src[s] / RGBM_RANGE;
+    const g = src[s + 1] / RGBM_RANGE;
+    const b = src[s + 2] / RGBM_RANGE;
+    let m = Math.min(Math.max(r, g, b, 1e-6), 1);
+    m = Math.ceil(m * 255) / 255;
+    out[o] = Math.round(Math.min(r / m, 1) * 255);
+    out[o + 1] = Math.round(Math.min(g / m, 1) * 255);
+    out[o + 2] = Math.round(Math.min(b / m, 1) * 255);
+    out[o + 3] = Math.round(m * 255);
+  }
+}
+
 class SVG3NexusRenderer {
   constructor(canvas, world, geometryLibrary) {
     this.canvas = canvas;
@@ -713,6 +3108,9 @@ class SVG3NexusRenderer {
     if (!this.gl) {
       throw new Error('WebGL not supported');
     }
+    // Uint32Array-indexed geometry draws directly with this extension and is
+    // split into 16-bit chunks without it (see getGeometryBuffers)
+    this.uintIndices = !!this.gl.getExtension('OES_element_index_uint');
 
     // Depth / culling / blending defaults to ensure proper occlusion
     this.gl.enable(this.gl.DEPTH_TEST);
@@ -738,6 +3136,8 @@ class SVG3NexusRenderer {
     this.positionLoc = this.gl.getAttribLocation(this.program, 'position');
     this.normalLoc = this.gl.getAttribLocation(this.program, 'normal');
     this.uvLoc = this.gl.getAttribLocation(this.program, 'uv');
+    this.tangentLoc = this.gl.getAttribLocation(this.program, 'tangent');
+    this.vertexColorLoc = this.gl.getAttribLocation(this.program, 'vertexColor');
     this.modelMatrixLoc = this.gl.getUniformLocation(this.program, 'modelMatrix');
     this.viewMatrixLoc = this.gl.getUniformLocation(this.program, 'viewMatrix');
     this.projectionMatrixLoc = this.gl.getUniformLocation(this.program, 'projectionMatrix');
@@ -746,18 +3146,52 @@ class SVG3NexusRenderer {
     this.roughLoc = this.gl.getUniformLocation(this.program, 'roughness');
     this.isGrassLoc = this.gl.getUniformLocation(this.program, 'isGrass');
     this.opacityLoc = this.gl.getUniformLocation(this.program, 'opacity');
-    this.lightPosLoc = this.gl.getUniformLocation(this.program, 'lightPos');
-    this.lightColorLoc = this.gl.getUniformLocation(this.program, 'lightColor');
+    this.lightCountLoc = this.gl.getUniformLocation(this.program, 'lightCount');
+    this.lightPositionsLoc = this.gl.getUniformLocation(this.program, 'lightPositions');
+    this.lightDirectionsLoc = this.gl.getUniformLocation(this.program, 'lightDirections');
+    this.lightColorsLoc = this.gl.getUniformLocation(this.program, 'lightColors');
+    this.lightParamsLoc = this.gl.getUniformLocation(this.program, 'lightParams');
+    this.lightConesLoc = this.gl.getUniformLocation(this.program, 'lightCones');
+    this.ambientColorLoc = this.gl.getUniformLocation(this.program, 'ambientColor');
+    this.hemiSkyColorLoc = this.gl.getUniformLocation(this.program, 'hemiSkyColor');
+    this.hemiGroundColorLoc = this.gl.getUniformLocation(this.program, 'hemiGroundColor');
     this.viewPosLoc = this.gl.getUniformLocation(this.program, 'viewPos');
     this.uTextureLoc = this.gl.getUniformLocation(this.program, 'uTexture');
     this.hasTextureLoc = this.gl.getUniformLocation(this.program, 'hasTexture');
     this.isSkyLoc = this.gl.getUniformLocation(this.program, 'isSky');
+    this.emissiveLoc = this.gl.getUniformLocation(this.program, 'emissive');
+    this.hdrOutputLoc = this.gl.getUniformLocation(this.program, 'hdrOutput');
+    this.exposureLoc = this.gl.getUniformLocation(this.program, 'exposure');
+    this.hasEnvironmentLoc = this.gl.getUniformLocation(this.program, 'hasEnvironment');
+    this.envSHLoc = this.gl.getUniformLocation(this.program, 'envSH');
+    this.envSpecularLoc = this.gl.getUniformLocation(this.program, 'envSpecular');
+    this.envRectsLoc = this.gl.getUniformLocation(this.program, 'envRects');
+    this.envIntensityLoc = this.gl.getUniformLocation(this.program, 'envIntensity');
+    this.shadowMapLoc = this.gl.getUniformLocation(this.program, 'shadowMap');
+    this.shadowMatricesLoc = this.gl.getUniformLocation(this.program, 'shadowMatrices');
+    this.shadowTilesLoc = this.gl.getUniformLocation(this.program, 'shadowTiles');
+    this.shadowParamsLoc = this.gl.getUniformLocation(this.program, 'shadowParams');
+    this.shadowDepthRangesLoc = this.gl.getUniformLocation(this.program, 'shadowDepthRanges');
+    this.receiveShadowLoc = this.gl.getUniformLocation(this.program, 'receiveShadow');
+    // Material maps beyond the color map: [material field, texture unit, sampler, flag]
+    this.mapSlots = [
+      ['normalMap', 3], ['roughnessMap', 4], ['metalnessMap', 5], ['emissiveMap', 6], ['aoMap', 7]
+    ].map(([name, unit]) => ({
+      name,
+      unit,
+      sampler: this.gl.getUniformLocation(this.program, name),
+      flag: this.gl.getUniformLocation(this.program, 'has' + name[0].toUpperCase() + name.slice(1))
+    }));
+    this.mapTransformsLoc = this.gl.getUniformLocation(this.program, 'mapTransforms');
+    this.normalScaleLoc = this.gl.getUniformLocation(this.program, 'normalScale');
+    this.aoMapIntensityLoc = this.gl.getUniformLocation(this.program, 'aoMapIntensity');
 
     // Setup a simple program and buffers for a fullscreen sky quad (robust fallback)
     this.skyProgram = this.createShaderProgram(SKY_VERTEX_SHADER, SKY_FRAGMENT_SHADER);
     this.skyPosLoc = this.gl.getAttribLocation(this.skyProgram, 'position');
     this.skyUvLoc = this.gl.getAttribLocation(this.skyProgram, 'uv');
     this.skyTextureLoc = this.gl.getUniformLocation(this.skyProgram, 'uTexture');
+    this.skyHdrOutputLoc = this.gl.getUniformLocation(this.skyProgram, 'hdrOutput');
 
     // quad covering normalized device coords (-1..1)
     this._skyQuadBuffer = this.gl.createBuffer();
@@ -771,14 +3205,43 @@ class SVG3NexusRenderer {
       1, 1, 1, 1
     ]), this.gl.STATIC_DRAW);
 
+    // Optional bloom post-process: bright pass above `threshold`, blurred
+    // `iterations` times at half resolution and added back with `strength`.
+    // Programs and render targets are created on first use.
+    this.bloom = { enabled: false, threshold: 1.0, strength: 0.8, iterations: 4 };
+    this._bloomPrograms = null;
+    this._bloomTargets = null;
+    // Linear scene color is scaled by `exposure` before tonemapping to sRGB
+    this.exposure = 1.0;
+    // Prefiltered EnvironmentMap for ambient light and reflections (see setEnvironment)
+    this.environment = null;
+    this.environmentIntensity = 1.0;
+
+    // Shadow maps for lights with castShadow, rendered each frame into a
+    // mapSize x mapSize atlas (one tile per light, up to MAX_SHADOWS)
+    this.shadows = { enabled: true, mapSize: 2048 };
+    this._shadowProgram = null;
+    this._shadowTarget = null;
+    this._shadowSlots = new Map();
+
     this.geometryBuffers = new Map();
-    this.camera = { position: [0, 0.5, 3] };
-    this.light = { position: [3, 3, 3], color: [1, 1, 1] };
+    // Mesh entity -> geometry id it holds, geometry id -> number of holders;
+    // buffers are freed when the last mesh using a geometry goes away
+    this._geometryUsers = new Map();
+    this._geometryRefs = new Map();
+    // Entity with 'transform' + 'camera' components the scene is drawn from
+    this.activeCamera = null;
+    // Used when the world has no 'light' entities (matches the original fixed rig)
+    this.defaultLights = [
+      { light: new Light('point', { decay: 0 }), position: [3, 3, 3] },
+      { light: new Light('ambient', { intensity: 0.35 }), position: [0, 0, 0] }
+    ];
 
     window.addEventListener('resize', () => this.onWindowResize());
     this.onWindowResize();
 
     this.setupRenderSystem();
+    this.trackGeometryUsage();
 
     // Create a small debug overlay for runtime diagnostics
     try {
@@ -836,6 +3299,51 @@ class SVG3NexusRenderer {
     return program;
   }
 
+  trackGeometryUsage() {
+    const use = (entity, mesh) => {
+      const previous = this._geometryUsers.get(entity);
+      const next = (mesh && mesh.geometryId) || undefined;
+      if (previous === next) return;
+      if (next !== undefined) {
+        this._geometryUsers.set(entity, next);
+        this._geometryRefs.set(next, (this._geometryRefs.get(next) || 0) + 1);
+      } else {
+        this._geometryUsers.delete(entity);
+      }
+      if (previous === undefined) return;
+      const count = this._geometryRefs.get(previous) - 1;
+      if (count > 0) {
+        this._geometryRefs.set(previous, count);
+      } else {
+        this._geometryRefs.delete(previous);
+        this.deleteGeometryBuffers(previous);
+      }
+    };
+
+    for (const entity of this.world.query(['mesh']).entities) {
+      use(entity, entity.getComponent('mesh'));
+    }
+    this.world.onAdded('mesh', (entity, mesh) => use(entity, mesh));
+    this.world.onChanged('mesh', (entity, mesh) => use(entity, mesh));
+    this.world.onRemoved('mesh', (entity) => use(entity, null));
+  }
+
+  // Frees a geometry's GPU buffers; they are re-uploaded if it is drawn again
+  deleteGeometryBuffers(geometryId) {
+    const buffers = this.geometryBuffers.get(geometryId);
+    if (!buffers) return;
+    for (const part of buffers.parts) {
+      for (const buffer of [part.position, part.normal, part.uv, part.tangent, part.color, part.index]) {
+        if (buffer) this.gl.deleteBuffer(buffer);
+      }
+    }
+    this.geometryBuffers.delete(geometryId);
+  }
+
+  // GPU buffers for a geometry, uploaded on first use. `parts` holds one
+  // entry per draw call: a single one unless the geometry has 32-bit indices
+  // and OES_element_index_uint is missing, in which case it is split into
+  // pieces that 16-bit indices can address.
   getGeometryBuffers(geometryId) {
     if (this.geometryBuffers.has(geometryId)) {
       return this.geometryBuffers.get(geometryId);
@@ -844,38 +3352,77 @@ class SVG3NexusRenderer {
     const geometry = this.geometryLibrary.getGeometry(geometryId);
     if (!geometry) return null;
 
-    const positionBuffer = this.gl.createBuffer();
-    this.gl.bindBuffer(this.gl.ARRAY_BUFFER, positionBuffer);
-    this.gl.bufferData(this.gl.ARRAY_BUFFER, geometry.vertices, this.gl.STATIC_DRAW);
-
-    const indexBuffer = this.gl.createBuffer();
-    this.gl.bindBuffer(this.gl.ELEMENT_ARRAY_BUFFER, indexBuffer);
-    this.gl.bufferData(this.gl.ELEMENT_ARRAY_BUFFER, geometry.indices, this.gl.STATIC_DRAW);
-
-    const normals = this.calculateNormals(geometry.vertices, geometry.indices);
-    const normalBuffer = this.gl.createBuffer();
-    this.gl.bindBuffer(this.gl.ARRAY_BUFFER, normalBuffer);
-    this.gl.bufferData(this.gl.ARRAY_BUFFER, normals, this.gl.STATIC_DRAW);
-
-    let uvBuffer = null;
-    if (geometry.uvs && geometry.uvs.length > 0) {
-      uvBuffer = this.gl.createBuffer();
-      this.gl.bindBuffer(this.gl.ARRAY_BUFFER, uvBuffer);
-      this.gl.bufferData(this.gl.ARRAY_BUFFER, geometry.uvs, this.gl.STATIC_DRAW);
-    }
+    // Prefer normals supplied with the geometry (primitives generate exact ones)
+    const normals = geometry.normals || this.calculateNormals(geometry.vertices, geometry.indices);
+    const hasUvs = geometry.uvs && geometry.uvs.length > 0;
+    // Tangents for normal mapping follow the UV layout
+    const tangents = hasUvs
+      ? geometry.tangents || this.calculateTangents(geometry.vertices, normals, geometry.uvs, geometry.indices)
+      : null;
+    const attributes = { normals, uvs: hasUvs ? geometry.uvs : null, tangents };
+
+    const pieces = geometry.indices instanceof Uint32Array && !this.uintIndices
+      ? GeometryLibrary.splitIndexed(geometry, attributes)
+      : [{ ...geometry, ...attributes }];
+
+    const upload = (target, data) => {
+      if (!data) return null;
+      const buffer = this.gl.createBuffer();
+      this.gl.bindBuffer(target, buffer);
+      this.gl.bufferData(target, data, this.gl.STATIC_DRAW);
+      return buffer;
+    };
 
     const buffers = {
-      position: positionBuffer,
-      normal: normalBuffer,
-      uv: uvBuffer,
-      index: indexBuffer,
-      indexCount: geometry.indexCount
+      parts: pieces.map(piece => ({
+        position: upload(this.gl.ARRAY_BUFFER, piece.vertices),
+        normal: upload(this.gl.ARRAY_BUFFER, piece.normals),
+        uv: upload(this.gl.ARRAY_BUFFER, piece.uvs),
+        tangent: upload(this.gl.ARRAY_BUFFER, piece.tangents),
+        color: upload(this.gl.ARRAY_BUFFER, piece.colors),
+        index: upload(this.gl.ELEMENT_ARRAY_BUFFER, piece.indices),
+        indexCount: piece.indexCount,
+        indexType: piece.indices instanceof Uint32Array ? this.gl.UNSIGNED_INT : this.gl.UNSIGNED_SHORT
+      })),
+      indexCount: geometry.indexCount,
+      bounds: this.computeBoundingSphere(geometry.vertices)
     };
 
     this.geometryBuffers.set(geometryId, buffers);
     return buffers;
   }
 
+  // Point the lit program's attributes at one part of getGeometryBuffers and
+  // bind its index buffer. Optional attributes fall back to constant values.
+  bindGeometryPart(part) {
+    const gl = this.gl;
+    gl.bindBuffer(gl.ARRAY_BUFFER, part.position);
+    gl.vertexAttribPointer(this.positionLoc, 3, gl.FLOAT, false, 0, 0);
+    gl.enableVertexAttribArray(this.positionLoc);
+
+    gl.bindBuffer(gl.ARRAY_BUFFER, part.normal);
+    gl.vertexAttribPointer(this.normalLoc, 3, gl.FLOAT, false, 0, 0);
+    gl.enableVertexAttribArray(this.normalLoc);
+
+    for (const [loc, buffer, size, fallback] of [
+      [this.uvLoc, part.uv, 2, null],
+      [this.tangentLoc, part.tangent, 4, null],
+      [this.vertexColorLoc, part.color, 4, [1, 1, 1, 1]]
+    ]) {
+      if (loc === -1) continue;
+      if (buffer) {
+        gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+        gl.vertexAttribPointer(loc, size, gl.FLOAT, false, 0, 0);
+        gl.enableVertexAttribArray(loc);
+      } else {
+        gl.disableVertexAttribArray(loc);
+        if (fallback) gl.vertexAttrib4fv(loc, fallback);
+      }
+    }
+
+    gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, part.index);
+  }
+
   calculateNormals(vertices, indices) {
     const normals = new Float32Array(vertices.length);
 
@@ -913,6 +3460,101 @@ class SVG3NexusRenderer {
     return normals;
   }
 
+  // Per-vertex tangents (xyz) and bitangent sign (w) from triangle UV
+  // gradients, orthogonalized against the vertex normals
+  calculateTangents(vertices, normals, uvs, indices) {
+    const count = vertices.length / 3;
+    const tan = new Float32Array(count * 3);
+    const bitan = new Float32Array(count * 3);
+
+    for (let i = 0; i < indices.length; i += 3) {
+      const a = indices[i], b = indices[i + 1], c = indices[i + 2];
+      const e1 = [0, 1, 2].map(k => vertices[b * 3 + k] - vertices[a * 3 + k]);
+      const e2 = [0, 1, 2].map(k => vertices[c * 3 + k] - vertices[a * 3 + k]);
+      const du1 = uvs[b * 2] - uvs[a * 2], dv1 = uvs[b * 2 + 1] - uvs[a * 2 + 1];
+      const du2 = uvs[c * 2] - uvs[a * 2], dv2 = uvs[c * 2 + 1] - uvs[a * 2 + 1];
+      const det = du1 * dv2 - du2 * dv1;
+      if (Math.abs(det) < 1e-12) continue;
+      const r = 1 / det;
+      for (let k = 0; k < 3; k++) {
+        const t = (e1[k] * dv2 - e2[k] * dv1) * r;
+        const bt = (e2[k] * du1 - e1[k] * du2) * r;
+        for (const v of [a, b, c]) {
+          tan[v * 3 + k] += t;
+          bitan[v * 3 + k] += bt;
+        }
+      }
+    }
+
+    const tangents = new Float32Array(count * 4);
+    for (let v = 0; v < count; v++) {
+      const n = [normals[v * 3], normals[v * 3 + 1], normals[v * 3 + 2]];
+      const t = [tan[v * 3], tan[v * 3 + 1], tan[v * 3 + 2]];
+      const nDotT = n[0] * t[0] + n[1] * t[1] + n[2] * t[2];
+      let x = t[0] - n[0] * nDotT, y = t[1] - n[1] * nDotT, z = t[2] - n[2] * nDotT;
+      let len = Math.sqrt(x * x + y * y + z * z);
+      if (len < 1e-8) {
+        // Degenerate UVs: any vector perpendicular to the normal
+        const axis = Math.abs(n[0]) < 0.9 ? [1, 0, 0] : [0, 1, 0];
+        const d = axis[0] * n[0] + axis[1] * n[1] + axis[2] * n[2];
+        x = axis[0] - n[0] * d; y = axis[1] - n[1] * d; z = axis[2] - n[2] * d;
+        len = Math.sqrt(x * x + y * y + z * z);
+      }
+      // handedness: does (n x t) point along the accumulated bitangent?
+      const cx = n[1] * z - n[2] * y, cy = n[2] * x - n[0] * z, cz = n[0] * y - n[1] * x;
+      const w = cx * bitan[v * 3] + cy * bitan[v * 3 + 1] + cz * bitan[v * 3 + 2] < 0 ? -1 : 1;
+      tangents.set([x / len, y / len, z / len, w], v * 4);
+    }
+    return tangents;
+  }
+
+  // GL texture for a Texture, uploaded on first use with its wrap/filter
+  // settings. WebGL 1 only repeats and mipmaps power-of-two images, so other
+  // sizes are resampled to the next power of two when either is needed.
+  getTexture(texture) {
+    if (texture._glTexture) return texture._glTexture;
+    const gl = this.gl;
+    const wrapModes = { repeat: gl.REPEAT, clamp: gl.CLAMP_TO_EDGE, mirror: gl.MIRRORED_REPEAT };
+    const wrapS = wrapModes[texture.wrapS] || gl.REPEAT;
+    const wrapT = wrapModes[texture.wrapT] || gl.REPEAT;
+    const nearest = texture.filter === 'nearest';
+
+    let image = texture.image;
+    const isPOT = (v) => v > 0 && (v & (v - 1)) === 0;
+    const needsPOT = texture.mipmaps || wrapS !== gl.CLAMP_TO_EDGE || wrapT !== gl.CLAMP_TO_EDGE;
+    if (needsPOT && !(isPOT(image.width) && isPOT(image.height))) {
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.pow(2, Math.ceil(Math.log2(image.width)));
+      canvas.height = Math.pow(2, Math.ceil(Math.log2(image.height)));
+      canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+      image = canvas;
+    }
+
+    const glTexture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, glTexture);
+    gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, true);
+    try {
+      gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, image);
+    } catch (err) {
+      // e.g. a cross-origin image without CORS headers; drop the map
+      console.warn('Texture upload failed for', texture.url, err);
+      gl.deleteTexture(glTexture);
+      texture.image = null;
+      return null;
+    }
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, wrapS);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, wrapT);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, nearest ? gl.NEAREST : gl.LINEAR);
+    if (texture.mipmaps) {
+      gl.generateMipmap(gl.TEXTURE_2D);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, nearest ? gl.NEAREST_MIPMAP_NEAREST : gl.LINEAR_MIPMAP_LINEAR);
+    } else {
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, nearest ? gl.NEAREST : gl.LINEAR);
+    }
+    texture._glTexture = glTexture;
+    return glTexture;
+  }
+
   onWindowResize() {
     this.canvas.width = window.innerWidth;
     this.canvas.height = window.innerHeight;
@@ -920,38 +3562,36 @@ class SVG3NexusRenderer {
   }
 
   render() {
+    if (!this.activeCamera) {
+      this.setActiveCamera(this.createDefaultCamera());
+    }
+    const camera = this.activeCamera.getComponent('camera');
+    const cameraTransform = this.activeCamera.getComponent('transform');
+    const cameraPosition = cameraTransform.getWorldPosition();
+
+    this.renderShadowMaps(camera, cameraTransform);
+
+    // With bloom enabled the scene is drawn into an offscreen target first
+    const bloomActive = this.bloom.enabled && this.ensureBloomTargets();
+    if (bloomActive) {
+      this.gl.bindFramebuffer(this.gl.FRAMEBUFFER, this._bloomTargets.scene.framebuffer);
+    }
+    // A float target keeps the frame linear; tonemapping then happens after bloom
+    const hdrOutput = bloomActive && this._bloomTargets.hdr ? 1 : 0;
+
     // Clear color + depth each frame to reset the depth buffer for correct occlusion
     this.gl.clear(this.gl.COLOR_BUFFER_BIT | this.gl.DEPTH_BUFFER_BIT);
 
-    const projectionMatrix = Matrix4.perspective(
-      Math.PI / 4,
-      this.canvas.width / this.canvas.height,
-      0.01,
-      1000
-    );
-
-    const viewMatrix = Matrix4.lookAt(
-      this.camera.position,
-      // If camera provides yaw/pitch, compute a forward-looking center point.
-      (function(cam) {
-        if (cam && typeof cam.yaw === 'number' && typeof cam.pitch === 'number') {
-          const yaw = cam.yaw;
-          const pitch = cam.pitch;
-          const fcx = Math.sin(yaw) * Math.cos(pitch);
-          const fcy = Math.sin(pitch);
-          const fcz = Math.cos(yaw) * Math.cos(pitch);
-          return [cam.position[0] + fcx, cam.position[1] + fcy, cam.position[2] + fcz];
-        }
-        return [0, 0, 0];
-      })(this.camera),
-      [0, 1, 0]
-    );
+    const projectionMatrix = camera.getProjectionMatrix(this.canvas.width / this.canvas.height);
+    const viewMatrix = camera.getViewMatrix(cameraPosition, cameraTransform.getWorldRotation());
 
     this.gl.uniformMatrix4fv(this.projectionMatrixLoc, false, projectionMatrix);
     this.gl.uniformMatrix4fv(this.viewMatrixLoc, false, viewMatrix);
-    this.gl.uniform3fv(this.viewPosLoc, this.camera.position);
-    this.gl.uniform3fv(this.lightPosLoc, this.light.position);
-    this.gl.uniform3fv(this.lightColorLoc, this.light.color);
+    this.gl.uniform3fv(this.viewPosLoc, cameraPosition);
+    this.gl.uniform1i(this.hdrOutputLoc, hdrOutput);
+    this.gl.uniform1f(this.exposureLoc, this.exposure);
+    this.uploadLights();
+    this.bindEnvironment();
     // Render any sky-ish entities first (materials flagged with isSky)
     const skyQuery = this.world.query(['transform','mesh','material']);
     const skyRendered = new Set();
@@ -1022,6 +3662,7 @@ class SVG3NexusRenderer {
           this.gl.activeTexture(this.gl.TEXTURE0);
           this.gl.bindTexture(this.gl.TEXTURE_2D, mat._glTexture);
           this.gl.uniform1i(this.skyTextureLoc, 0);
+          this.gl.uniform1i(this.skyHdrOutputLoc, hdrOutput);
 
           this.gl.drawArrays(this.gl.TRIANGLES, 0, 6);
 
@@ -1060,19 +3701,6 @@ class SVG3NexusRenderer {
     const opaqueList = [];
     const transparentList = [];
 
-    // helper: compute local model matrix (copied from renderEntity)
-    const computeLocalModel = (tr) => {
-      let m = Matrix4.translate(...tr.position);
-      const rx = (tr.rotation[0] || 0);
-      const ry = (tr.rotation[1] || 0);
-      const rz = (tr.rotation[2] || 0);
-      m = Matrix4.multiply(m, Matrix4.rotationX(rx));
-      m = Matrix4.multiply(m, Matrix4.rotationY(ry));
-      m = Matrix4.multiply(m, Matrix4.rotationZ(rz));
-      m = Matrix4.multiply(m, Matrix4.scale(...tr.scale));
-      return m;
-    };
-
     for (const entity of renderables.entities) {
       try {
         if (skyRendered && skyRendered.has && skyRendered.has(entity.id)) continue;
@@ -1087,36 +3715,27 @@ class SVG3NexusRenderer {
         // any shadow generation code (shadows remain unchanged).
         if (mat.isSky) continue;
 
-        // compose world model matrix
-        let modelMatrix = computeLocalModel(tr);
-        let parentId = tr.parent;
-        while (parentId) {
-          const parentEntity = this.world.getEntity(parentId);
-          if (!parentEntity) break;
-          const parentTransform = parentEntity.getComponent('transform');
-          if (!parentTransform) break;
-          const parentLocal = computeLocalModel(parentTransform);
-          modelMatrix = Matrix4.multiply(parentLocal, modelMatrix);
-          parentId = parentTransform.parent;
-        }
+        // world model matrix cached by propagateTransforms()
+        let modelMatrix = tr.worldMatrix;
 
         // If this material is a sky and we didn't draw the fullscreen quad,
         // keep the sky geometry centered on the camera to avoid parallax
         // when moving the camera (first-person). This makes the sphere
         // effectively infinite from the camera's perspective.
         if (mat.isSky && !(skyRendered && skyRendered.has && skyRendered.has(entity.id))) {
-          modelMatrix[12] = this.camera.position[0];
-          modelMatrix[13] = this.camera.position[1];
-          modelMatrix[14] = this.camera.position[2];
+          modelMatrix = new Float32Array(modelMatrix);
+          modelMatrix[12] = cameraPosition[0];
+          modelMatrix[13] = cameraPosition[1];
+          modelMatrix[14] = cameraPosition[2];
         }
 
         // compute world position for sorting (transform origin)
         const wx = modelMatrix[12];
         const wy = modelMatrix[13];
         const wz = modelMatrix[14];
-        const dx = wx - this.camera.position[0];
-        const dy = wy - this.camera.position[1];
-        const dz = wz - this.camera.position[2];
+        const dx = wx - cameraPosition[0];
+        const dy = wy - cameraPosition[1];
+        const dz = wz - cameraPosition[2];
         const dist2 = dx*dx + dy*dy + dz*dz;
 
         const isTransparent = !!mat.transparent || (typeof mat.opacity === 'number' && mat.opacity < 1.0);
@@ -1162,40 +3781,9 @@ class SVG3NexusRenderer {
         const mat = e.getComponent('material');
         if (!mat || !mat.isShadow) continue;
 
-        // compute model matrix as usual
         const tr = e.getComponent('transform');
         if (!tr) continue;
-        let modelMatrix = (function computeLocalModel(tr) {
-          let m = Matrix4.translate(...tr.position);
-          const rx = (tr.rotation[0] || 0);
-          const ry = (tr.rotation[1] || 0);
-          const rz = (tr.rotation[2] || 0);
-          m = Matrix4.multiply(m, Matrix4.rotationX(rx));
-          m = Matrix4.multiply(m, Matrix4.rotationY(ry));
-          m = Matrix4.multiply(m, Matrix4.rotationZ(rz));
-          m = Matrix4.multiply(m, Matrix4.scale(...tr.scale));
-          return m;
-        })(tr);
-        let parentId = tr.parent;
-        while (parentId) {
-          const parentEntity = this.world.getEntity(parentId);
-          if (!parentEntity) break;
-          const parentTransform = parentEntity.getComponent('transform');
-          if (!parentTransform) break;
-          const parentLocal = (function computeLocalModel(tr) {
-            let m = Matrix4.translate(...tr.position);
-            const rx = (tr.rotation[0] || 0);
-            const ry = (tr.rotation[1] || 0);
-            const rz = (tr.rotation[2] || 0);
-            m = Matrix4.multiply(m, Matrix4.rotationX(rx));
-            m = Matrix4.multiply(m, Matrix4.rotationY(ry));
-            m = Matrix4.multiply(m, Matrix4.rotationZ(rz));
-            m = Matrix4.multiply(m, Matrix4.scale(...tr.scale));
-            return m;
-          })(parentTransform);
-          modelMatrix = Matrix4.multiply(parentLocal, modelMatrix);
-          parentId = parentTransform.parent;
-        }
+        const modelMatrix = tr.worldMatrix;
 
         // render shadow with polygon offset and blending
         this.gl.enable(this.gl.BLEND);
@@ -1214,6 +3802,10 @@ class SVG3NexusRenderer {
     } catch (err) {
       console.warn('Shadow pass failed:', err);
     }
+
+    if (bloomActive) {
+      this.applyBloom();
+    }
   }
 
   renderEntity(entity, precomputedModelMatrix) {
@@ -1226,54 +3818,7 @@ class SVG3NexusRenderer {
     const buffers = this.getGeometryBuffers(mesh.geometryId);
     if (!buffers) return;
 
-    let modelMatrix = precomputedModelMatrix;
-    if (!modelMatrix) {
-      // Compute local model matrix for this entity
-      const computeLocalModel = (tr) => {
-        let m = Matrix4.translate(...tr.position);
-        // Rotation values are expected to be in radians (SVG3 spec or auto-converted)
-        const rx = (tr.rotation[0] || 0);
-        const ry = (tr.rotation[1] || 0);
-        const rz = (tr.rotation[2] || 0);
-        m = Matrix4.multiply(m, Matrix4.rotationX(rx));
-        m = Matrix4.multiply(m, Matrix4.rotationY(ry));
-        m = Matrix4.multiply(m, Matrix4.rotationZ(rz));
-        m = Matrix4.multiply(m, Matrix4.scale(...tr.scale));
-        return m;
-      };
-
-      // Compose world model matrix by walking parent chain (parentModel * ... * localModel)
-      modelMatrix = computeLocalModel(transform);
-      let parentId = transform.parent;
-      while (parentId) {
-        const parentEntity = this.world.getEntity(parentId);
-        if (!parentEntity) break;
-        const parentTransform = parentEntity.getComponent('transform');
-        if (!parentTransform) break;
-        const parentLocal = computeLocalModel(parentTransform);
-        modelMatrix = Matrix4.multiply(parentLocal, modelMatrix);
-        parentId = parentTransform.parent;
-      }
-    }
-
-    this.gl.bindBuffer(this.gl.ARRAY_BUFFER, buffers.position);
-    this.gl.vertexAttribPointer(this.positionLoc, 3, this.gl.FLOAT, false, 0, 0);
-    this.gl.enableVertexAttribArray(this.positionLoc);
-
-    this.gl.bindBuffer(this.gl.ARRAY_BUFFER, buffers.normal);
-    this.gl.vertexAttribPointer(this.normalLoc, 3, this.gl.FLOAT, false, 0, 0);
-    this.gl.enableVertexAttribArray(this.normalLoc);
-
-    // UV attribute (optional)
-    if (buffers.uv && this.uvLoc !== -1) {
-      this.gl.bindBuffer(this.gl.ARRAY_BUFFER, buffers.uv);
-      this.gl.vertexAttribPointer(this.uvLoc, 2, this.gl.FLOAT, false, 0, 0);
-      this.gl.enableVertexAttribArray(this.uvLoc);
-    } else if (this.uvLoc !== -1) {
-      this.gl.disableVertexAttribArray(this.uvLoc);
-    }
-
-    this.gl.bindBuffer(this.gl.ELEMENT_ARRAY_BUFFER, buffers.index);
+    const modelMatrix = precomputedModelMatrix || transform.worldMatrix;
 
     // If this is a shadow material, override appearance to a dark translucent
     // black so shadows appear strong on the ground. Otherwise use material.
@@ -1283,17 +3828,22 @@ class SVG3NexusRenderer {
       this.gl.uniform1f(this.metalLoc, 0.0);
       this.gl.uniform1f(this.roughLoc, 1.0);
       this.gl.uniform1f(this.isGrassLoc, 0.0);
+      this.gl.uniform3fv(this.emissiveLoc, new Float32Array([0.0, 0.0, 0.0]));
       // Use a strong alpha (make darker): if material.opacity provided, weight it
       const baseOpacity = (typeof material.opacity === 'number') ? material.opacity : 1.0;
       // Use the material-provided opacity directly for shadows so the
       // configured shadow strength in `app.js` is respected.
       this.gl.uniform1f(this.opacityLoc, baseOpacity);
+      this.gl.uniform1i(this.receiveShadowLoc, 0);
     } else {
-      this.gl.uniform3fv(this.colorLoc, material.color);
+      this.gl.uniform3fv(this.colorLoc, new Float32Array(material.color.map(srgbToLinear)));
       this.gl.uniform1f(this.metalLoc, material.metalness);
       this.gl.uniform1f(this.roughLoc, material.roughness);
       this.gl.uniform1f(this.isGrassLoc, material.isGrass ? 1.0 : 0.0);
+      const emissiveIntensity = material.emissiveIntensity || 0;
+      this.gl.uniform3fv(this.emissiveLoc, new Float32Array((material.emissive || [0, 0, 0]).map(v => srgbToLinear(v) * emissiveIntensity)));
       this.gl.uniform1f(this.opacityLoc, typeof material.opacity === 'number' ? material.opacity : 1.0);
+      this.gl.uniform1i(this.receiveShadowLoc, mesh.receiveShadow && !material.isSky ? 1 : 0);
     }
 
     this.gl.uniformMatrix4fv(this.modelMatrixLoc, false, modelMatrix);
@@ -1303,8 +3853,34 @@ class SVG3NexusRenderer {
 
     this.gl.uniformMatrix4fv(this.modelMatrixLoc, false, modelMatrix);
 
-    // Texture handling: if the material provides an image, upload once and bind
-    if (material.textureImage && !isShadowMat) {
+    // Material maps (skipped until their image has loaded)
+    const colorMap = !isShadowMat && material.map && material.map.image ? material.map : null;
+    const transforms = new Float32Array(24);
+    for (let i = 0; i < 6; i++) transforms.set([1, 1, 0, 0], i * 4);
+    if (colorMap) transforms.set([...colorMap.repeat, ...colorMap.offset], 0);
+    this.mapSlots.forEach((slot, i) => {
+      const texture = isShadowMat ? null : material[slot.name];
+      const ready = !!(texture && texture.image);
+      this.gl.uniform1i(slot.flag, ready ? 1 : 0);
+      if (!ready) return;
+      this.gl.activeTexture(this.gl.TEXTURE0 + slot.unit);
+      this.gl.bindTexture(this.gl.TEXTURE_2D, this.getTexture(texture));
+      this.gl.uniform1i(slot.sampler, slot.unit);
+      transforms.set([...texture.repeat, ...texture.offset], (i + 1) * 4);
+    });
+    this.gl.activeTexture(this.gl.TEXTURE0);
+    this.gl.uniform4fv(this.mapTransformsLoc, transforms);
+    this.gl.uniform1f(this.normalScaleLoc, material.normalScale ?? 1);
+    this.gl.uniform1f(this.aoMapIntensityLoc, material.aoMapIntensity ?? 1);
+
+    // Texture handling: a loaded color map, else a code-assigned image
+    // (uploaded once on first use)
+    if (colorMap) {
+      this.gl.bindTexture(this.gl.TEXTURE_2D, this.getTexture(colorMap));
+      this.gl.uniform1i(this.uTextureLoc, 0);
+      this.gl.uniform1i(this.hasTextureLoc, 1);
+      this.gl.uniform1i(this.isSkyLoc, material.isSky ? 1 : 0);
+    } else if (material.textureImage && !isShadowMat) {
       try {
         if (!material._glTexture) {
           const tex = this.gl.createTexture();
@@ -1381,7 +3957,10 @@ class SVG3NexusRenderer {
       this.gl.cullFace(this.gl.BACK);
     }
 
-    this.gl.drawElements(this.gl.TRIANGLES, buffers.indexCount, this.gl.UNSIGNED_SHORT, 0);
+    for (const part of buffers.parts) {
+      this.bindGeometryPart(part);
+      this.gl.drawElements(this.gl.TRIANGLES, part.indexCount, part.indexType, 0);
+    }
 
     // Restore default culling and depth write state for subsequent draws
     this.gl.enable(this.gl.CULL_FACE);
@@ -1390,44 +3969,1053 @@ class SVG3NexusRenderer {
     this.gl.disable(this.gl.BLEND);
   }
 
-  setupRenderSystem() {
-    this.world.addSystem('svg3-render', (world, dt) => {
-      this.render();
-    }, 100);
-  }
-
-  startAnimationLoop() {
-    let lastTime = performance.now();
+  // Gather light entities (or the default rig) into the shader's light arrays.
+  // Ambient and hemisphere lights are summed; the rest fill up to MAX_LIGHTS slots.
+  uploadLights() {
+    const lightEntities = this.world.query(['light', 'transform']).entities;
+    const lights = lightEntities.length > 0
+      ? lightEntities.map(e => ({ light: e.getComponent('light'), position: e.getComponent('transform').getWorldPosition() }))
+      : this.defaultLights;
+
+    const positions = new Float32Array(MAX_LIGHTS * 3);
+    const directions = new Float32Array(MAX_LIGHTS * 3);
+    const colors = new Float32Array(MAX_LIGHTS * 3);
+    const params = new Float32Array(MAX_LIGHTS * 4);
+    const cones = new Float32Array(MAX_LIGHTS * 2);
+    const ambient = [0, 0, 0];
+    const hemiSky = [0, 0, 0];
+    const hemiGround = [0, 0, 0];
+    let count = 0;
+
+    for (const { light, position } of lights) {
+      const c = light.color.map(v => srgbToLinear(v) * light.intensity);
+
+      if (light.type === 'ambient') {
+        for (let k = 0; k < 3; k++) ambient[k] += c[k];
+        continue;
+      }
+      if (light.type === 'hemisphere') {
+        for (let k = 0; k < 3; k++) {
+          hemiSky[k] += c[k];
+          hemiGround[k] += srgbToLinear(light.groundColor[k]) * light.intensity;
+        }
+        continue;
+      }
 
-    const animate = (currentTime) => {
-      const deltaTime = (currentTime - lastTime) / 1000;
-      lastTime = currentTime;
+      if (count >= MAX_LIGHTS) {
+        if (!this._lightLimitWarned) {
+          console.warn(`Renderer: more than ${MAX_LIGHTS} lights, extra lights ignored`);
+          this._lightLimitWarned = true;
+        }
+        continue;
+      }
 
-      this.world.update(deltaTime);
+      const type = light.type === 'directional' ? 0 : light.type === 'spot' ? 2 : 1;
+      const dir = light.getDirection(position);
+      const cosOuter = Math.cos(light.angle * Math.PI / 180);
+      const cosInner = Math.max(Math.cos(light.innerAngle * Math.PI / 180), cosOuter + 1e-4);
+
+      positions.set(position, count * 3);
+      directions.set(dir, count * 3);
+      colors.set(c, count * 3);
+      const shadowSlot = this._shadowSlots.has(light) ? this._shadowSlots.get(light) : -1;
+      params.set([type, light.range, light.decay, shadowSlot], count * 4);
+      cones.set([cosOuter, cosInner], count * 2);
+      count++;
+    }
 
-      requestAnimationFrame(animate);
-    };
+    this.gl.uniform1i(this.lightCountLoc, count);
+    this.gl.uniform3fv(this.lightPositionsLoc, positions);
+    this.gl.uniform3fv(this.lightDirectionsLoc, directions);
+    this.gl.uniform3fv(this.lightColorsLoc, colors);
+    this.gl.uniform4fv(this.lightParamsLoc, params);
+    this.gl.uniform2fv(this.lightConesLoc, cones);
+    this.gl.uniform3fv(this.ambientColorLoc, ambient);
+    this.gl.uniform3fv(this.hemiSkyColorLoc, hemiSky);
+    this.gl.uniform3fv(this.hemiGroundColorLoc, hemiGround);
+  }
 
-    requestAnimationFrame(animate);
+  // Use an equirectangular EnvironmentMap for image-based lighting; it is
+  // prefiltered here unless that already happened. Pass null to remove it.
+  setEnvironment(environment, { intensity = 1.0 } = {}) {
+    const gl = this.gl;
+    if (this.environment && this.environment !== environment && this.environment._glTexture) {
+      gl.deleteTexture(this.environment._glTexture);
+      this.environment._glTexture = null;
+    }
+    this.environment = environment;
+    this.environmentIntensity = intensity;
+    if (!environment) return this;
+
+    if (!environment.atlas) environment.prefilter();
+    if (!environment._glTexture) {
+      const { width, height, data } = environment.atlas;
+      const texture = gl.createTexture();
+      gl.bindTexture(gl.TEXTURE_2D, texture);
+      gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, false);
+      gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, data);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+      environment._glTexture = texture;
+    }
+    return this;
   }
-}
+
+  // Fetch an .hdr (RGBE) or LDR image URL and make it the environment
+  async loadEnvironment(url, options = {}) {
+    let environment;
+    if (/\.hdr(\?|#|$)/i.test(url)) {
+      const response = await fetch(url);
+      if (!response.ok) throw new Error(`Failed to load environment ${url}: ${response.status}`);
+      environment = EnvironmentMap.fromHDR(await response.arrayBuffer());
+    } else {
+      const image = await new Promise((resolve, reject) => {
+        const img = new Image();
+        img.onload = () => resolve(img);
+        img.onerror = () => reject(new Error(`Failed to load environment ${url}`));
+        img.src = url;
+      });
+      environment = EnvironmentMap.fromImage(image);
+    }
+    return this.setEnvironment(environment, options);
+  }
+
+  // The environment atlas lives on texture unit 1; unit 0 is the material texture
+  bindEnvironment() {
+    const gl = this.gl;
+    const env = this.environment;
+    gl.uniform1i(this.hasEnvironmentLoc, env ? 1 : 0);
+    if (!env) return;
+    gl.activeTexture(gl.TEXTURE1);
+    gl.bindTexture(gl.TEXTURE_2D, env._glTexture);
+    gl.uniform1i(this.envSpecularLoc, 1);
+    gl.activeTexture(gl.TEXTURE0);
+    gl.uniform3fv(this.envSHLoc, env.sh);
+    gl.uniform4fv(this.envRectsLoc, env.atlas.rects);
+    gl.uniform1f(this.envIntensityLoc, this.environmentIntensity);
+  }
+
+  // Local-space bounding sphere { center, radius } of a position array
+  computeBoundingSphere(vertices) {
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    for (let i = 0; i < vertices.length; i += 3) {
+      for (let k = 0; k < 3; k++) {
+        min[k] = Math.min(min[k], vertices[i + k]);
+        max[k] = Math.max(max[k], vertices[i + k]);
+      }
+    }
+    if (vertices.length === 0) return { center: [0, 0, 0], radius: 0 };
+    const center = [(min[0] + max[0]) / 2, (min[1] + max[1]) / 2, (min[2] + max[2]) / 2];
+    let radius2 = 0;
+    for (let i = 0; i < vertices.length; i += 3) {
+      const dx = vertices[i] - center[0], dy = vertices[i + 1] - center[1], dz = vertices[i + 2] - center[2];
+      radius2 = Math.max(radius2, dx * dx + dy * dy + dz * dz);
+    }
+    return { center, radius: Math.sqrt(radius2) };
+  }
+
+  setShadows(options = {}) {
+    Object.assign(this.shadows, options);
+    return this;
+  }
+
+  // Create (or resize) the shadow atlas: RGBA8 color holding packed depth
+  // plus a depth renderbuffer for occlusion while rendering casters
+  ensureShadowTarget() {
+    const gl = this.gl;
+    const size = this.shadows.mapSize;
+    if (this._shadowTarget && this._shadowTarget.size === size) return this._shadowTarget;
+
+    if (!this._shadowProgram) {
+      const program = this.createShaderProgram(SHADOW_VERTEX_SHADER, SHADOW_FRAGMENT_SHADER);
+      this._shadowProgram = {
+        program,
+        position: gl.getAttribLocation(program, 'position'),
+        modelMatrix: gl.getUniformLocation(program, 'modelMatrix'),
+        lightViewProjection: gl.getUniformLocation(program, 'lightViewProjection'),
+        depthRange: gl.getUniformLocation(program, 'depthRange')
+      };
+    }
+    if (this._shadowTarget) {
+      gl.deleteFramebuffer(this._shadowTarget.framebuffer);
+      gl.deleteTexture(this._shadowTarget.texture);
+      gl.deleteRenderbuffer(this._shadowTarget.depth);
+    }
+
+    const texture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, size, size, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+    // packed depth must not be interpolated
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+
+    const depth = gl.createRenderbuffer();
+    gl.bindRenderbuffer(gl.RENDERBUFFER, depth);
+    gl.renderbufferStorage(gl.RENDERBUFFER, gl.DEPTH_COMPONENT16, size, size);
+
+    const framebuffer = gl.createFramebuffer();
+    gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+    gl.framebufferRenderbuffer(gl.FRAMEBUFFER, gl.DEPTH_ATTACHMENT, gl.RENDERBUFFER, depth);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+    this._shadowTarget = { framebuffer, texture, depth, size };
+    return this._shadowTarget;
+  }
+
+  // Light view-projection ({ matrix, depthRange }) for a shadow-casting light.
+  // Directional lights fit
+  // an orthographic box around the camera frustum up to shadowDistance (snapped
+  // to whole texels so shadows do not shimmer) and extend it toward the light
+  // to include every caster; spot lights use their cone as a perspective frustum.
+  computeShadowMatrix(light, position, camera, cameraTransform, casters, tileSize) {
+    const dir = light.getDirection(position);
+    const up = Math.abs(dir[1]) > 0.99 ? [0, 0, 1] : [0, 1, 0];
+
+    if (light.type === 'spot') {
+      const view = Matrix4.lookAt(position, [position[0] + dir[0], position[1] + dir[1], position[2] + dir[2]], up);
+      const far = light.range > 0 ? light.range : light.shadowDistance;
+      const near = Math.max(far * 0.001, 0.05);
+      const projection = Matrix4.perspective(Math.min(light.angle * 2, 170) * Math.PI / 180, 1, near, far);
+      return { matrix: Matrix4.multiply(projection, view), depthRange: [near, far] };
+    }
+
+    const camPos = cameraTransform.getWorldPosition();
+    const forward = camera.getForward(camPos, cameraTransform.getWorldRotation());
+    const near = camera.near;
+    const far = Math.max(Math.min(camera.far, light.shadowDistance), near + 1e-3);
+    const aspect = camera.aspect || this.canvas.width / this.canvas.height || 1;
+    let halfH, halfW;
+    if (camera.type === 'orthographic') {
+      const b = camera.bounds;
+      halfH = b ? Math.max(Math.abs(b.top), Math.abs(b.bottom)) : camera.size;
+      halfW = b ? Math.max(Math.abs(b.left), Math.abs(b.right)) : camera.size * aspect;
+    } else {
+      halfH = far * Math.tan(camera.fov * Math.PI / 360);
+      halfW = halfH * aspect;
+    }
+    const mid = (near + far) / 2;
+    const center = [camPos[0] + forward[0] * mid, camPos[1] + forward[1] * mid, camPos[2] + forward[2] * mid];
+    const radius = Math.sqrt(((far - near) / 2) ** 2 + halfW * halfW + halfH * halfH);
+
+    // Light space axes (rows of the rotation-only view matrix)
+    const view = Matrix4.lookAt([0, 0, 0], dir, up);
+    const axis = (p, k) => view[k] * p[0] + view[4 + k] * p[1] + view[8 + k] * p[2];
+    const texel = (2 * radius) / tileSize;
+    const cx = Math.floor(axis(center, 0) / texel) * texel;
+    const cy = Math.floor(axis(center, 1) / texel) * texel;
+    const cz = axis(center, 2);
+
+    let zMax = cz + radius;
+    for (const { matrix, bounds } of casters) {
+      const wc = Matrix4.transformPoint(matrix, bounds.center);
+      const scale = Math.max(
+        Math.hypot(matrix[0], matrix[1], matrix[2]),
+        Math.hypot(matrix[4], matrix[5], matrix[6]),
+        Math.hypot(matrix[8], matrix[9], matrix[10])
+      );
+      const r = bounds.radius * scale;
+      if (Math.abs(axis(wc, 0) - cx) > radius + r || Math.abs(axis(wc, 1) - cy) > radius + r) continue;
+      zMax = Math.max(zMax, axis(wc, 2) + r);
+    }
+
+    const projection = Matrix4.orthographic(cx - radius, cx + radius, cy - radius, cy + radius, -zMax, -(cz - radius));
+    return { matrix: Matrix4.multiply(projection, view), depthRange: [0, 0] };
+  }
+
+  // Render depth for every shadow-casting light into its atlas tile and
+  // upload the matrices the main pass uses to look them up
+  renderShadowMaps(camera, cameraTransform) {
+    const gl = this.gl;
+    this._shadowSlots = new Map();
+    if (!this.shadows.enabled) return;
+
+    const shadowLights = this.world.query(['light', 'transform']).entities
+      .map(e => ({ light: e.getComponent('light'), position: e.getComponent('transform').getWorldPosition() }))
+      .filter(({ light }) => light.castShadow && (light.type === 'directional' || light.type === 'spot'));
+    if (shadowLights.length === 0) return;
+    if (shadowLights.length > MAX_SHADOWS && !this._shadowLimitWarned) {
+      console.warn(`Renderer: more than ${MAX_SHADOWS} shadow-casting lights, extra shadows ignored`);
+      this._shadowLimitWarned = true;
+    }
+
+    const casters = [];
+    for (const entity of this.world.query(['transform', 'mesh', 'material']).entities) {
+      const mesh = entity.getComponent('mesh');
+      const material = entity.getComponent('material');
+      if (!mesh.castShadow || !mesh.visible || !mesh.geometryId || material.isSky || material.isShadow) continue;
+      const buffers = this.getGeometryBuffers(mesh.geometryId);
+      if (!buffers) continue;
+      casters.push({
+        buffers,
+        bounds: buffers.bounds,
+        matrix: entity.getComponent('transform').worldMatrix,
+        doubleSided: !!material.doubleSided
+      });
+    }
+
+    const target = this.ensureShadowTarget();
+    const pass = this._shadowProgram;
+    const tileSize = target.size / 2;
+    const clearColor = gl.getParameter(gl.COLOR_CLEAR_VALUE);
+
+    gl.bindFramebuffer(gl.FRAMEBUFFER, target.framebuffer);
+    gl.viewport(0, 0, target.size, target.size);
+    gl.clearColor(1, 1, 1, 1);
+    gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+    gl.useProgram(pass.program);
+    gl.enable(gl.DEPTH_TEST);
+    gl.depthMask(true);
+    gl.disable(gl.BLEND);
+    for (const loc of [this.normalLoc, this.uvLoc, this.tangentLoc, this.vertexColorLoc]) {
+      if (loc !== -1 && loc !== pass.position) gl.disableVertexAttribArray(loc);
+    }
+
+    const matrices = new Float32Array(MAX_SHADOWS * 16);
+    const tiles = new Float32Array(MAX_SHADOWS * 4);
+    const params = new Float32Array(MAX_SHADOWS * 4);
+    const depthRanges = new Float32Array(MAX_SHADOWS * 2);
+    shadowLights.slice(0, MAX_SHADOWS).forEach(({ light, position }, slot) => {
+      const col = slot % 2;
+      const row = Math.floor(slot / 2);
+      const { matrix: viewProjection, depthRange } = this.computeShadowMatrix(light, position, camera, cameraTransform, casters, tileSize);
+      gl.viewport(col * tileSize, row * tileSize, tileSize, tileSize);
+      gl.uniformMatrix4fv(pass.lightViewProjection, false, viewProjection);
+      gl.uniform2fv(pass.depthRange, depthRange);
+
+      for (const caster of casters) {
+        if (caster.doubleSided) gl.disable(gl.CULL_FACE);
+        else gl.enable(gl.CULL_FACE);
+        gl.uniformMatrix4fv(pass.modelMatrix, false, caster.matrix);
+        for (const part of caster.buffers.parts) {
+          gl.bindBuffer(gl.ARRAY_BUFFER, part.position);
+          gl.vertexAttribPointer(pass.position, 3, gl.FLOAT, false, 0, 0);
+          gl.enableVertexAttribArray(pass.position);
+          gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, part.index);
+          gl.drawElements(gl.TRIANGLES, part.indexCount, part.indexType, 0);
+        }
+      }
+
+      matrices.set(viewProjection, slot * 16);
+      tiles.set([col * 0.5, row * 0.5, 0.5, 0.5], slot * 4);
+      params.set([light.shadowBias, light.shadowNormalBias, light.shadowRadius, 1 / target.size], slot * 4);
+      depthRanges.set(depthRange, slot * 2);
+      this._shadowSlots.set(light, slot);
+    });
+
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    gl.viewport(0, 0, this.canvas.width, this.canvas.height);
+    gl.clearColor(clearColor[0], clearColor[1], clearColor[2], clearColor[3]);
+    gl.enable(gl.CULL_FACE);
+
+    // The shadow atlas lives on texture unit 2
+    gl.useProgram(this.program);
+    gl.activeTexture(gl.TEXTURE2);
+    gl.bindTexture(gl.TEXTURE_2D, target.texture);
+    gl.uniform1i(this.shadowMapLoc, 2);
+    gl.activeTexture(gl.TEXTURE0);
+    gl.uniformMatrix4fv(this.shadowMatricesLoc, false, matrices);
+    gl.uniform4fv(this.shadowTilesLoc, tiles);
+    gl.uniform4fv(this.shadowParamsLoc, params);
+    gl.uniform2fv(this.shadowDepthRangesLoc, depthRanges);
+  }
+
+  setBloom(options = {}) {
+    Object.assign(this.bloom, options);
+    return this;
+  }
+
+  // Create (or resize) the bloom render targets. Half-float color buffers
+  // keep emissive values above 1.0; without them an 8-bit target is used and
+  // the threshold is lowered so saturated surfaces still bloom.
+  // Returns false when bloom cannot run on this context.
+  ensureBloomTargets() {
+    const gl = this.gl;
+    const width = this.canvas.width;
+    const height = this.canvas.height;
+    if (this._bloomTargets && this._bloomTargets.width === width && this._bloomTargets.height === height) {
+      return true;
+    }
+    if (this._bloomTargets === false) return false;
+
+    if (!this._bloomPrograms) {
+      const bright = this.createShaderProgram(SKY_VERTEX_SHADER, BLOOM_BRIGHT_FRAGMENT_SHADER);
+      const blur = this.createShaderProgram(SKY_VERTEX_SHADER, BLOOM_BLUR_FRAGMENT_SHADER);
+      const composite = this.createShaderProgram(SKY_VERTEX_SHADER, BLOOM_COMPOSITE_FRAGMENT_SHADER);
+      this._bloomPrograms = {
+        bright: { program: bright, threshold: gl.getUniformLocation(bright, 'threshold') },
+        blur: { program: blur, direction: gl.getUniformLocation(blur, 'direction') },
+        composite: {
+          program: composite,
+          bloom: gl.getUniformLocation(composite, 'uBloom'),
+          strength: gl.getUniformLocation(composite, 'strength'),
+          toneMap: gl.getUniformLocation(composite, 'toneMap'),
+          exposure: gl.getUniformLocation(composite, 'exposure')
+        }
+      };
+    }
+
+    if (this._bloomTargets) {
+      for (const target of [this._bloomTargets.scene, ...this._bloomTargets.ping]) {
+        gl.deleteFramebuffer(target.framebuffer);
+        gl.deleteTexture(target.texture);
+        if (target.depth) gl.deleteRenderbuffer(target.depth);
+      }
+    }
+
+    const halfFloat = gl.getExtension('OES_texture_half_float');
+    const halfFloatLinear = gl.getExtension('OES_texture_half_float_linear');
+    gl.getExtension('EXT_color_buffer_half_float');
+
+    const createTarget = (w, h, type, withDepth) => {
+      const texture = gl.createTexture();
+      gl.bindTexture(gl.TEXTURE_2D, texture);
+      gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, w, h, 0, gl.RGBA, type, null);
+      const filter = type === gl.UNSIGNED_BYTE || halfFloatLinear ? gl.LINEAR : gl.NEAREST;
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, filter);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, filter);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+
+      const framebuffer = gl.createFramebuffer();
+      gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+      gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+
+      let depth = null;
+      if (withDepth) {
+        depth = gl.createRenderbuffer();
+        gl.bindRenderbuffer(gl.RENDERBUFFER, depth);
+        gl.renderbufferStorage(gl.RENDERBUFFER, gl.DEPTH_COMPONENT16, w, h);
+        gl.framebufferRenderbuffer(gl.FRAMEBUFFER, gl.DEPTH_ATTACHMENT, gl.RENDERBUFFER, depth);
+      }
+
+      const complete = gl.checkFramebufferStatus(gl.FRAMEBUFFER) === gl.FRAMEBUFFER_COMPLETE;
+      gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+      return complete ? { framebuffer, texture, depth, width: w, height: h } : null;
+    };
+
+    const halfW = Math.max(1, width >> 1);
+    const halfH = Math.max(1, height >> 1);
+    let type = halfFloat ? halfFloat.HALF_FLOAT_OES : gl.UNSIGNED_BYTE;
+    let scene = createTarget(width, height, type, true);
+    if (!scene && type !== gl.UNSIGNED_BYTE) {
+      type = gl.UNSIGNED_BYTE;
+      scene = createTarget(width, height, type, true);
+    }
+    const ping = scene ? [createTarget(halfW, halfH, type, false), createTarget(halfW, halfH, type, false)] : [];
+
+    if (!scene || ping.some(t => !t)) {
+      console.warn('Renderer: bloom render targets unavailable, bloom disabled');
+      this._bloomTargets = false;
+      return false;
+    }
+
+    this._bloomTargets = { width, height, scene, ping, hdr: type !== gl.UNSIGNED_BYTE };
+    return true;
+  }
+
+  drawPostPass(program, sourceTexture, target) {
+    const gl = this.gl;
+    gl.bindFramebuffer(gl.FRAMEBUFFER, target ? target.framebuffer : null);
+    gl.viewport(0, 0, target ? target.width : this.canvas.width, target ? target.height : this.canvas.height);
+    gl.useProgram(program);
+
+    const posLoc = gl.getAttribLocation(program, 'position');
+    const uvLoc = gl.getAttribLocation(program, 'uv');
+    const stride = 4 * Float32Array.BYTES_PER_ELEMENT;
+    gl.bindBuffer(gl.ARRAY_BUFFER, this._skyQuadBuffer);
+    gl.enableVertexAttribArray(posLoc);
+    gl.vertexAttribPointer(posLoc, 2, gl.FLOAT, false, stride, 0);
+    gl.enableVertexAttribArray(uvLoc);
+    gl.vertexAttribPointer(uvLoc, 2, gl.FLOAT, false, stride, 2 * Float32Array.BYTES_PER_ELEMENT);
+
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, sourceTexture);
+    gl.uniform1i(gl.getUniformLocation(program, 'uTexture'), 0);
+
+    gl.drawArrays(gl.TRIANGLES, 0, 6);
+  }
+
+  // Bright pass -> ping-pong Gaussian blur -> additive composite onto the canvas
+  applyBloom() {
+    const gl = this.gl;
+    const { scene, ping, hdr } = this._bloomTargets;
+    const passes = this._bloomPrograms;
+
+    gl.disable(gl.DEPTH_TEST);
+    gl.disable(gl.CULL_FACE);
+    gl.disable(gl.BLEND);
+    gl.depthMask(false);
+
+    gl.useProgram(passes.bright.program);
+    gl.uniform1f(passes.bright.threshold, hdr ? this.bloom.threshold : Math.min(this.bloom.threshold, 0.9));
+    this.drawPostPass(passes.bright.program, scene.texture, ping[0]);
+
+    gl.useProgram(passes.blur.program);
+    for (let i = 0; i < this.bloom.iterations; i++) {
+      gl.uniform2f(passes.blur.direction, 1 / ping[0].width, 0);
+      this.drawPostPass(passes.blur.program, ping[0].texture, ping[1]);
+      gl.uniform2f(passes.blur.direction, 0, 1 / ping[0].height);
+      this.drawPostPass(passes.blur.program, ping[1].texture, ping[0]);
+    }
+
+    gl.useProgram(passes.composite.program);
+    gl.activeTexture(gl.TEXTURE1);
+    gl.bindTexture(gl.TEXTURE_2D, ping[0].texture);
+    gl.uniform1i(passes.composite.bloom, 1);
+    gl.uniform1f(passes.composite.strength, this.bloom.strength);
+    gl.uniform1i(passes.composite.toneMap, hdr ? 1 : 0);
+    gl.uniform1f(passes.composite.exposure, this.exposure);
+    gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+    this.drawPostPass(passes.composite.program, scene.texture, null);
+
+    // restore default state for the next frame
+    gl.enable(gl.DEPTH_TEST);
+    gl.enable(gl.CULL_FACE);
+    gl.depthMask(true);
+    gl.useProgram(this.program);
+  }
+
+  setActiveCamera(entity) {
+    this.activeCamera = entity;
+    return this;
+  }
+
+  // Fallback camera used when the scene does not declare one
+  createDefaultCamera() {
+    const entity = this.world.createEntity();
+    this.world.addComponent(entity, 'transform', new Transform(0, 0.5, 3));
+    this.world.addComponent(entity, 'camera', new Camera('perspective', {
+      fov: 45,
+      near: 0.01,
+      far: 1000,
+      target: [0, 0, 0]
+    }));
+    this.world.addComponent(entity, 'tag', new Tag('default-camera'));
+    return entity;
+  }
+
+  setupRenderSystem() {
+    this.world.addSystem('svg3-render', (world, dt) => {
+      this.render();
+    }, { phase: 'render' });
+  }
+
+  // Drives World.tick: fixed-step systems catch up with real time, then the
+  // per-frame systems (transforms, render) run once with interpolation
+  startAnimationLoop() {
+    let lastTime = null;
+
+    const animate = (currentTime) => {
+      const deltaTime = lastTime === null ? 0 : (currentTime - lastTime) / 1000;
+      lastTime = currentTime;
+
+      this.world.tick(deltaTime);
+
+      requestAnimationFrame(animate);
+    };
+
+    requestAnimationFrame(animate);
+  }
+}
 
 // ============================================================================
-// PART 5: SVG3 PARSER FOR NEXUS
+// PART 5: SVG3 PARSER AND WRITER FOR NEXUS
 // ============================================================================
 
+// Angle units for rotationUnits and unit suffixes, in radians per unit
+const ANGLE_UNITS = { rad: 1, deg: Math.PI / 180, grad: Math.PI / 200, turn: 2 * Math.PI };
+
+// Euler orders for rotationOrder (see Matrix4.compose)
+const ROTATION_ORDERS = ['XYZ', 'XZY', 'YXZ', 'YZX', 'ZXY', 'ZYX'];
+
+// Encodings for colorSpace: untagged colors (hex, names, rgb(), hsl(), hwb())
+// are sRGB unless declared srgb-linear
+const COLOR_SPACES = ['srgb', 'srgb-linear'];
+
+// CSS named colors (CSS Color 4), as 0xrrggbb
+const CSS_NAMED_COLORS = {
+  aliceblue: 0xf0f8ff, antiquewhite: 0xfaebd7, aqua: 0x00ffff, aquamarine: 0x7fffd4, azure: 0xf0ffff,
+  beige: 0xf5f5dc, bisque: 0xffe4c4, black: 0x000000, blanchedalmond: 0xffebcd, blue: 0x0000ff,
+  blueviolet: 0x8a2be2, brown: 0xa52a2a, burlywood: 0xdeb887, cadetblue: 0x5f9ea0, chartreuse: 0x7fff00,
+  chocolate: 0xd2691e, coral: 0xff7f50, cornflowerblue: 0x6495ed, cornsilk: 0xfff8dc, crimson: 0xdc143c,
+  cyan: 0x00ffff, darkblue: 0x00008b, darkcyan: 0x008b8b, darkgoldenrod: 0xb8860b, darkgray: 0xa9a9a9,
+  darkgreen: 0x006400, darkgrey: 0xa9a9a9, darkkhaki: 0xbdb76b, darkmagenta: 0x8b008b, darkolivegreen: 0x556b2f,
+  darkorange: 0xff8c00, darkorchid: 0x9932cc, darkred: 0x8b0000, darksalmon: 0xe9967a, darkseagreen: 0x8fbc8f,
+  darkslateblue: 0x483d8b, darkslategray: 0x2f4f4f, darkslategrey: 0x2f4f4f, darkturquoise: 0x00ced1,
+  darkviolet: 0x9400d3, deeppink: 0xff1493, deepskyblue: 0x00bfff, dimgray: 0x696969, dimgrey: 0x696969,
+  dodgerblue: 0x1e90ff, firebrick: 0xb22222, floralwhite: 0xfffaf0, forestgreen: 0x228b22, fuchsia: 0xff00ff,
+  gainsboro: 0xdcdcdc, ghostwhite: 0xf8f8ff, gold: 0xffd700, goldenrod: 0xdaa520, gray: 0x808080,
+  green: 0x008000, greenyellow: 0xadff2f, grey: 0x808080, honeydew: 0xf0fff0, hotpink: 0xff69b4,
+  indianred: 0xcd5c5c, indigo: 0x4b0082, ivory: 0xfffff0, khaki: 0xf0e68c, lavender: 0xe6e6fa,
+  lavenderblush: 0xfff0f5, lawngreen: 0x7cfc00, lemonchiffon: 0xfffacd, lightblue: 0xadd8e6, lightcoral: 0xf08080,
+  lightcyan: 0xe0ffff, lightgoldenrodyellow: 0xfafad2, lightgray: 0xd3d3d3, lightgreen: 0x90ee90, lightgrey: 0xd3d3d3,
+  lightpink: 0xffb6c1, lightsalmon: 0xffa07a, lightseagreen: 0x20b2aa, lightskyblue: 0x87cefa,
+  lightslategray: 0x778899, lightslategrey: 0x778899, lightsteelblue: 0xb0c4de, lightyellow: 0xffffe0,
+  lime: 0x00ff00, limegreen: 0x32cd32, linen: 0xfaf0e6, magenta: 0xff00ff, maroon: 0x800000,
+  mediumaquamarine: 0x66cdaa, mediumblue: 0x0000cd, mediumorchid: 0xba55d3, mediumpurple: 0x9370db,
+  mediumseagreen: 0x3cb371, mediumslateblue: 0x7b68ee, mediumspringgreen: 0x00fa9a, mediumturquoise: 0x48d1cc,
+  mediumvioletred: 0xc71585, midnightblue: 0x191970, mintcream: 0xf5fffa, mistyrose: 0xffe4e1, moccasin: 0xffe4b5,
+  navajowhite: 0xffdead, navy: 0x000080, oldlace: 0xfdf5e6, olive: 0x808000, olivedrab: 0x6b8e23,
+  orange: 0xffa500, orangered: 0xff4500, orchid: 0xda70d6, palegoldenrod: 0xeee8aa, palegreen: 0x98fb98,
+  paleturquoise: 0xafeeee, palevioletred: 0xdb7093, papayawhip: 0xffefd5, peachpuff: 0xffdab9, peru: 0xcd853f,
+  pink: 0xffc0cb, plum: 0xdda0dd, powderblue: 0xb0e0e6, purple: 0x800080, rebeccapurple: 0x663399,
+  red: 0xff0000, rosybrown: 0xbc8f8f, royalblue: 0x4169e1, saddlebrown: 0x8b4513, salmon: 0xfa8072,
+  sandybrown: 0xf4a460, seagreen: 0x2e8b57, seashell: 0xfff5ee, sienna: 0xa0522d, silver: 0xc0c0c0,
+  skyblue: 0x87ceeb, slateblue: 0x6a5acd, slategray: 0x708090, slategrey: 0x708090, snow: 0xfffafa,
+  springgreen: 0x00ff7f, steelblue: 0x4682b4, tan: 0xd2b48c, teal: 0x008080, thistle: 0xd8bfd8,
+  tomato: 0xff6347, turquoise: 0x40e0d0, violet: 0xee82ee, wheat: 0xf5deb3, white: 0xffffff,
+  whitesmoke: 0xf5f5f5, yellow: 0xffff00, yellowgreen: 0x9acd32
+};
+
+// Linear-light RGB to CIE XYZ (D65) for the predefined RGB spaces of color(),
+// and the way back to linear sRGB
+const XYZ_FROM_LINEAR = {
+  'srgb': [
+    [0.41239079926595934, 0.357584339383878, 0.1804807884018343],
+    [0.21263900587151027, 0.715168678767756, 0.07219231536073371],
+    [0.01933081871559182, 0.11919477979462598, 0.9505321522496607]
+  ],
+  'display-p3': [
+    [0.4865709486482162, 0.26566769316909306, 0.1982172852343625],
+    [0.2289745640697488, 0.6917385218365064, 0.079286914093745],
+    [0, 0.04511338185890264, 1.043944368900976]
+  ],
+  'a98-rgb': [
+    [0.5766690429101305, 0.1855582379065463, 0.1882286462349947],
+    [0.29734497525053605, 0.6273635662554661, 0.07529145849399788],
+    [0.02703136138641234, 0.07068885253582723, 0.9913375368376388]
+  ],
+  'rec2020': [
+    [0.6369580483012914, 0.14461690358620832, 0.1688809751641721],
+    [0.2627002120112671, 0.6779980715188708, 0.05930171646986196],
+    [0, 0.028072693049087428, 1.060985057710791]
+  ]
+};
+const LINEAR_SRGB_FROM_XYZ = [
+  [3.2409699419045226, -1.537383177570094, -0.4986107602930034],
+  [-0.9692436362808796, 1.8759675015077202, 0.04155505740717559],
+  [0.05563007969699366, -0.20397695888897652, 1.0569715142428786]
+];
+// Bradford adaptation from the D50 white (Lab, LCH, ProPhoto, xyz-d50) to D65
+const D65_FROM_D50 = [
+  [0.955473421488075, -0.02309845494876471, 0.06325924320057072],
+  [-0.0283697093338637, 1.0099953980813041, 0.021041441191917323],
+  [0.012314014864481998, -0.020507649298898964, 1.330365926242124]
+];
+const PROPHOTO_TO_XYZ_D50 = [
+  [0.7977666449006423, 0.13518129740053308, 0.0313477341283922],
+  [0.2880748288194013, 0.711835234241873, 0.00008993693872564],
+  [0, 0, 0.8251046025104602]
+];
+
+function mat3MulVec(m, v) {
+  return m.map(row => row[0] * v[0] + row[1] * v[1] + row[2] * v[2]);
+}
+
+// Transfer functions of the predefined spaces, encoded value -> linear
+// light, extended to negative values by symmetry
+const COLOR_SPACE_DECODE = {
+  'srgb': c => Math.sign(c) * srgbToLinear(Math.abs(c)),
+  'display-p3': c => Math.sign(c) * srgbToLinear(Math.abs(c)),
+  'a98-rgb': c => Math.sign(c) * Math.pow(Math.abs(c), 563 / 256),
+  'prophoto-rgb': c => Math.abs(c) <= 16 / 512 ? c / 16 : Math.sign(c) * Math.pow(Math.abs(c), 1.8),
+  'rec2020': c => {
+    const a = 1.09929682680944, b = 0.018053968510807;
+    return Math.abs(c) < b * 4.5 ? c / 4.5 : Math.sign(c) * Math.pow((Math.abs(c) + a - 1) / a, 1 / 0.45);
+  }
+};
+
+function linearSrgbFromXyzD50(xyz) {
+  return mat3MulVec(LINEAR_SRGB_FROM_XYZ, mat3MulVec(D65_FROM_D50, xyz));
+}
+
+function linearSrgbFromLab(L, a, b) {
+  const kappa = 24389 / 27, epsilon = 216 / 24389;
+  const white = [0.3457 / 0.3585, 1, (1 - 0.3457 - 0.3585) / 0.3585];
+  const fy = (L + 16) / 116;
+  const fx = a / 500 + fy;
+  const fz = fy - b / 200;
+  const xyz = [
+    (fx ** 3 > epsilon ? fx ** 3 : (116 * fx - 16) / kappa) * white[0],
+    (L > kappa * epsilon ? fy ** 3 : L / kappa) * white[1],
+    (fz ** 3 > epsilon ? fz ** 3 : (116 * fz - 16) / kappa) * white[2]
+  ];
+  return linearSrgbFromXyzD50(xyz);
+}
+
+function linearSrgbFromOklab(L, a, b) {
+  const l = (L + 0.3963377774 * a + 0.2158037573 * b) ** 3;
+  const m = (L - 0.1055613458 * a - 0.0638541728 * b) ** 3;
+  const s = (L - 0.0894841775 * a - 1.2914855480 * b) ** 3;
+  return [
+    4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+    -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+    -0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s
+  ];
+}
+
+// hsl() in sRGB, hue in degrees, saturation/lightness 0..1
+function srgbFromHsl(h, s, l) {
+  h = ((h % 360) + 360) % 360;
+  const f = n => {
+    const k = (n + h / 30) % 12;
+    const a = s * Math.min(l, 1 - l);
+    return l - a * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+  };
+  return [f(0), f(8), f(4)];
+}
+
+function srgbFromHwb(h, w, b) {
+  if (w + b >= 1) {
+    const gray = w / (w + b);
+    return [gray, gray, gray];
+  }
+  return srgbFromHsl(h, 1, 0.5).map(c => c * (1 - w - b) + w);
+}
+
+// Parses a CSS Color 4 value: hex (#rgb, #rgba, #rrggbb, #rrggbbaa), named
+// colors and transparent, rgb()/rgba(), hsl()/hsla(), hwb(), lab(), lch(),
+// oklab(), oklch() and color() with srgb, srgb-linear, display-p3, a98-rgb,
+// prophoto-rgb, rec2020, xyz, xyz-d50 and xyz-d65. Returns
+// { rgb, alpha, tagged } with rgb sRGB-encoded and clamped to 0..1 and
+// tagged true when the syntax names its color space (color(), lab and
+// friends), or null when the value is not a color.
+function parseCSSColor(str) {
+  if (typeof str !== 'string') return null;
+  const text = str.trim().toLowerCase();
+
+  if (text[0] === '#') {
+    const hex = text.slice(1);
+    if (!/^([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/.test(hex)) return null;
+    const digits = hex.length <= 4 ? [...hex].map(d => d + d) : hex.match(/../g);
+    const values = digits.map(d => parseInt(d, 16) / 255);
+    return { rgb: values.slice(0, 3), alpha: values.length > 3 ? values[3] : 1, tagged: false };
+  }
+  if (text === 'transparent') return { rgb: [0, 0, 0], alpha: 0, tagged: false };
+  if (Object.prototype.hasOwnProperty.call(CSS_NAMED_COLORS, text)) {
+    const v = CSS_NAMED_COLORS[text];
+    return { rgb: [(v >> 16) / 255, ((v >> 8) & 0xff) / 255, (v & 0xff) / 255], alpha: 1, tagged: false };
+  }
+
+  const match = /^([a-z0-9-]+)\(\s*(.*?)\s*\)$/.exec(text);
+  if (!match) return null;
+  const name = match[1];
+  let body = match[2];
+
+  // color() starts with the name of its space
+  let space = null;
+  if (name === 'color') {
+    const spaceMatch = /^([a-z0-9-]+)\s+(.*)$/.exec(body);
+    if (!spaceMatch) return null;
+    space = spaceMatch[1];
+    body = spaceMatch[2];
+  }
+
+  // Legacy comma syntax (rgb, rgba, hsl, hsla) or modern "a b c / alpha"
+  let parts;
+  let alphaToken = null;
+  if (body.includes(',')) {
+    if (!['rgb', 'rgba', 'hsl', 'hsla'].includes(name)) return null;
+    parts = body.split(',').map(p => p.trim());
+    if (parts.length === 4) alphaToken = parts.pop();
+    // Legacy rgb() channels are all numbers or all percentages
+    if (name.startsWith('rgb') && new Set(parts.map(p => p.endsWith('%'))).size > 1) return null;
+  } else {
+    const [channels, alpha, extra] = body.split('/').map(p => p.trim());
+    if (extra !== undefined) return null;
+    parts = channels.split(/\s+/);
+    if (alpha !== undefined) alphaToken = alpha;
+  }
+  if (parts.length !== 3 || (alphaToken !== null && alphaToken === '')) return null;
+
+  // number | percentage (scaled so 100% = percentScale) | hue angle | none
+  const token = (t, percentScale, hue = false) => {
+    if (t === 'none') return 0;
+    const m = /^([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)(%|deg|rad|grad|turn)?$/.exec(t);
+    if (!m) return NaN;
+    const value = parseFloat(m[1]);
+    if (m[2] === '%') return percentScale === null ? NaN : value / 100 * percentScale;
+    if (m[2]) return hue ? value * ANGLE_UNITS[m[2]] / ANGLE_UNITS.deg : NaN;
+    return value;
+  };
+
+  const alpha = alphaToken === null ? 1 : token(alphaToken, 1);
+  let rgb;
+  let tagged = true;
+  switch (name) {
+    case 'rgb':
+    case 'rgba':
+      rgb = parts.map(p => token(p, 255) / 255);
+      tagged = false;
+      break;
+    case 'hsl':
+    case 'hsla': {
+      const [h, s, l] = [token(parts[0], null, true), token(parts[1], 100), token(parts[2], 100)];
+      rgb = srgbFromHsl(h, s / 100, l / 100);
+      tagged = false;
+      break;
+    }
+    case 'hwb': {
+      const [h, w, b] = [token(parts[0], null, true), token(parts[1], 100), token(parts[2], 100)];
+      rgb = srgbFromHwb(h, w / 100, b / 100);
+      tagged = false;
+      break;
+    }
+    case 'lab':
+      rgb = linearSrgbFromLab(token(parts[0], 100), token(parts[1], 125), token(parts[2], 125));
+      break;
+    case 'lch': {
+      const [L, C, h] = [token(parts[0], 100), token(parts[1], 150), token(parts[2], null, true) * Math.PI / 180];
+      rgb = linearSrgbFromLab(L, C * Math.cos(h), C * Math.sin(h));
+      break;
+    }
+    case 'oklab':
+      rgb = linearSrgbFromOklab(token(parts[0], 1), token(parts[1], 0.4), token(parts[2], 0.4));
+      break;
+    case 'oklch': {
+      const [L, C, h] = [token(parts[0], 1), token(parts[1], 0.4), token(parts[2], null, true) * Math.PI / 180];
+      rgb = linearSrgbFromOklab(L, C * Math.cos(h), C * Math.sin(h));
+      break;
+    }
+    case 'color': {
+      const values = parts.map(p => token(p, 1));
+      if (space === 'srgb') {
+        rgb = values;
+      } else if (space === 'srgb-linear') {
+        rgb = values.map(linearToSrgb);
+      } else if (space === 'xyz' || space === 'xyz-d65') {
+        rgb = mat3MulVec(LINEAR_SRGB_FROM_XYZ, values);
+      } else if (space === 'xyz-d50') {
+        rgb = linearSrgbFromXyzD50(values);
+      } else if (space === 'prophoto-rgb') {
+        rgb = linearSrgbFromXyzD50(mat3MulVec(PROPHOTO_TO_XYZ_D50, values.map(COLOR_SPACE_DECODE[space])));
+      } else if (XYZ_FROM_LINEAR[space]) {
+        const xyz = mat3MulVec(XYZ_FROM_LINEAR[space], values.map(COLOR_SPACE_DECODE[space]));
+        rgb = mat3MulVec(LINEAR_SRGB_FROM_XYZ, xyz);
+      } else {
+        return null;
+      }
+      break;
+    }
+    default:
+      return null;
+  }
+
+  // Everything but hex, rgb(), hsl(), hwb() and color(srgb) came out linear
+  if (['lab', 'lch', 'oklab', 'oklch'].includes(name) ||
+      (name === 'color' && !['srgb', 'srgb-linear'].includes(space))) {
+    rgb = rgb.map(linearToSrgb);
+  }
+
+  if (!rgb.every(Number.isFinite) || !Number.isFinite(alpha)) return null;
+  const clamp = v => Math.max(0, Math.min(1, v));
+  return { rgb: rgb.map(clamp), alpha: clamp(alpha), tagged };
+}
+
+// <geometry type="mesh"> vertex attributes with their components per vertex
+// (colors may also be RGB), and the binary element types of its indices
+const MESH_ATTRIBUTES = { normals: 3, uvs: 2, tangents: 4, colors: 4 };
+const MESH_INDEX_TYPES = { uint8: Uint8Array, uint16: Uint16Array, uint32: Uint32Array };
+// <geometry normals> keywords (GeometryLibrary.setNormalMode); on a mesh,
+// other values are normal data
+const NORMAL_MODES = ['flat', 'smooth'];
+
+// Bytes of a base64 string (whitespace ignored); throws if it is malformed
+function decodeBase64(text) {
+  const decoded = atob(text.replace(/\s+/g, ''));
+  const bytes = new Uint8Array(decoded.length);
+  for (let i = 0; i < decoded.length; i++) bytes[i] = decoded.charCodeAt(i);
+  return bytes;
+}
+
+function encodeBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+// Numbers of a <geometry type="mesh"> data attribute: a list separated by
+// whitespace and/or commas, base64 of little-endian binary ("base64:..." or
+// a data: URL), or "bytes:offset:length" into `binary`, the ArrayBuffer the
+// geometry's href names. `type` is the binary element type, 'float32' or a
+// key of MESH_INDEX_TYPES. Throws on malformed data.
+function decodeMeshData(value, type, binary = null) {
+  const text = value.trim();
+  const base64 = /^(?:base64:|data:[^,]*;base64,)([\s\S]*)$/.exec(text);
+  const range = /^bytes:(\d+):(\d+)$/.exec(text);
+  let bytes;
+  if (base64) {
+    try {
+      bytes = decodeBase64(base64[1]);
+    } catch (err) {
+      throw new Error('is not valid base64');
+    }
+  } else if (range) {
+    if (!binary) throw new Error(`${text} needs an href to a binary file`);
+    const offset = Number(range[1]);
+    const length = Number(range[2]);
+    if (offset + length > binary.byteLength) {
+      throw new Error(`${text} reaches past the end of the ${binary.byteLength}-byte binary`);
+    }
+    bytes = new Uint8Array(binary, offset, length);
+  } else {
+    if (text === '') return [];
+    const numbers = text.split(/[\s,]+/).map(Number);
+    if (!numbers.every(Number.isFinite)) throw new Error('contains a value that is not a number');
+    return numbers;
+  }
+
+  const Type = type === 'float32' ? Float32Array : MESH_INDEX_TYPES[type];
+  if (bytes.length % Type.BYTES_PER_ELEMENT !== 0) {
+    throw new Error(`has ${bytes.length} bytes, not a multiple of ${Type.BYTES_PER_ELEMENT}`);
+  }
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const read = {
+    float32: i => view.getFloat32(i * 4, true),
+    uint8: i => view.getUint8(i),
+    uint16: i => view.getUint16(i * 2, true),
+    uint32: i => view.getUint32(i * 4, true)
+  }[type];
+  const values = new Type(bytes.length / Type.BYTES_PER_ELEMENT);
+  for (let i = 0; i < values.length; i++) values[i] = read(i);
+  return values;
+}
+
+// Decoded and cross-checked data of a <geometry type="mesh">, read through
+// `attribute(name)`: { positions, indices, normals, uvs, tangents, colors },
+// absent attributes null. Without indices the positions are a plain triangle
+// list. Throws with a message naming the attribute at fault.
+function readMeshGeometry(attribute, binary = null) {
+  const read = (name, type) => {
+    const value = attribute(name);
+    if (!value || (name === 'normals' && NORMAL_MODES.includes(value.trim()))) return null;
+    try {
+      return decodeMeshData(value, type, binary);
+    } catch (err) {
+      throw new Error(`${name} ${err.message}`);
+    }
+  };
+
+  const indexType = attribute('indexType') || 'uint32';
+  if (!MESH_INDEX_TYPES[indexType]) throw new Error(`indexType "${indexType}" is not uint8, uint16 or uint32`);
+  const positions = read('positions', 'float32');
+  if (!positions) throw new Error('positions is missing');
+  if (positions.length % 3 !== 0) throw new Error(`positions has ${positions.length} values, not a multiple of 3`);
+  const vertexCount = positions.length / 3;
+
+  const data = { positions };
+  for (const [name, size] of Object.entries(MESH_ATTRIBUTES)) {
+    const values = read(name, 'float32');
+    const sizes = name === 'colors' ? [size, 3] : [size];
+    if (values && !sizes.some(n => values.length === vertexCount * n)) {
+      throw new Error(`${name} has ${values.length} values, expected ${sizes.map(n => vertexCount * n).join(' or ')}`);
+    }
+    data[name] = values;
+  }
+
+  let indices = read('indices', indexType);
+  if (indices) {
+    if (indices.length % 3 !== 0) throw new Error(`indices has ${indices.length} values, not a multiple of 3`);
+    for (const index of indices) {
+      if (!Number.isInteger(index) || index < 0 || index >= vertexCount) {
+        throw new Error(`indices has ${index}, outside 0..${vertexCount - 1}`);
+      }
+    }
+  } else {
+    if (vertexCount % 3 !== 0) throw new Error(`positions without indices hold ${vertexCount} vertices, not whole triangles`);
+    indices = Array.from({ length: vertexCount }, (_, i) => i);
+  }
+  data.indices = indices;
+  return data;
+}
+
+// ArrayBuffer behind a URL: fetch(), or the file system for file: URLs in Node
+async function fetchBinary(url) {
+  if (url.startsWith('file:') && typeof process !== 'undefined') {
+    const { readFile } = await import('node:fs/promises');
+    const data = await readFile(new URL(url));
+    return data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+  }
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+  return response.arrayBuffer();
+}
+
+// Element children of a DOM node. Not every XML DOM implements `children`
+// (e.g. @xmldom/xmldom), so fall back to filtering childNodes.
+function childElements(node) {
+  if (node.children) return Array.from(node.children);
+  return Array.from(node.childNodes || []).filter(child => child.nodeType === 1);
+}
+
 class SVG3ParserNEXUS {
-  constructor(world, geometryLibrary) {
+  // options.xmlParser: DOMParser-like object (parseFromString) or a function
+  // (xmlString) => Document, for environments without a global DOMParser.
+  // options.strict: throw instead of loading a document SVG3Validator finds
+  // errors in; options.validate: false skips validation.
+  // options.loadBinary: (url) => Promise<ArrayBuffer> for the files
+  // <geometry type="mesh" href>, <geometry type="external" src> and
+  // <mesh src> name (default: fetch, or the file system for file: URLs in
+  // Node).
+  // options.colorSpace: 'srgb' (default) or 'srgb-linear', how untagged
+  // colors are read where no element declares colorSpace.
+  constructor(world, geometryLibrary, options = {}) {
     this.world = world;
     this.geometryLibrary = geometryLibrary;
     this.entityMap = new Map();
     this.materialMap = new Map();
     this.geometryMap = new Map();
+    // URL the document was loaded from; texture paths resolve against it
+    this.baseUrl = null;
+    this.textures = [];
+    // ArrayBuffers of mesh geometry hrefs by resolved URL (see loadBinaries)
+    this.binaries = new Map();
+    // Models of <mesh src> and <geometry type="external" src> by resolved
+    // URL (see loadModels), and the loader for each file type
+    this.models = new Map();
+    this.modelLoaders = new Map();
+    this.loadBinary = options.loadBinary || fetchBinary;
+    this.xmlParser = options.xmlParser || null;
+    this.strict = options.strict || false;
+    this.validate = options.validate !== false;
+    this.colorSpace = COLOR_SPACES.includes(options.colorSpace) ? options.colorSpace : 'srgb';
+    // Diagnostics from the last parse() (see SVG3Validator)
+    this.diagnostics = [];
+  }
+
+  parseXml(xmlString) {
+    const parser = this.xmlParser || (typeof DOMParser !== 'undefined' ? new DOMParser() : null);
+    if (!parser) {
+      throw new Error('SVG3ParserNEXUS: no DOMParser available; pass options.xmlParser ' +
+        '(e.g. new DOMParser() from @xmldom/xmldom or linkedom)');
+    }
+    return typeof parser === 'function'
+      ? parser(xmlString)
+      : parser.parseFromString(xmlString, 'text/xml');
   }
 
   async parse(xmlString) {
-    const parser = new DOMParser();
-    const xmlDoc = parser.parseFromString(xmlString, 'text/xml');
+    this.diagnostics = [];
+    if (this.validate || this.strict) {
+      const report = new SVG3Validator().validate(xmlString);
+      this.diagnostics = report.diagnostics;
+      if (this.strict && !report.valid) {
+        const error = new Error(`Invalid SVG3 (${report.errors.length} error${report.errors.length === 1 ? '' : 's'}):\n` +
+          report.errors.map(d => SVG3Validator.format(d, this.baseUrl || '')).join('\n'));
+        error.diagnostics = report.diagnostics;
+        throw error;
+      }
+    }
+
+    const xmlDoc = this.parseXml(xmlString);
 
     if (xmlDoc.getElementsByTagName('parsererror').length > 0) {
       const errElem = xmlDoc.getElementsByTagName('parsererror')[0];
@@ -1435,21 +5023,90 @@ class SVG3ParserNEXUS {
       throw new Error('Invalid SVG3 XML: ' + msg);
     }
 
+    await this.loadBinaries(xmlDoc);
+    await this.loadModels(xmlDoc);
     this.parseDefinitions(xmlDoc);
 
     const scenes = [];
     const sceneElements = xmlDoc.getElementsByTagName('scene');
 
-    for (let i = 0; i < sceneElements.length; i++) {
-      const scene = this.parseScene(sceneElements[i]);
-      scenes.push(scene);
-    }
+    this.world.batch(() => {
+      for (let i = 0; i < sceneElements.length; i++) {
+        const scene = this.parseScene(sceneElements[i]);
+        scenes.push(scene);
+      }
+    });
 
     return {
       scenes,
       geometries: Array.from(this.geometryMap.values()),
-      materials: Array.from(this.materialMap.values())
+      materials: Array.from(this.materialMap.values()),
+      diagnostics: this.diagnostics
+    };
+  }
+
+  // Fetch the binaries that <geometry type="mesh" href> elements reference,
+  // once per URL. Failures are logged; those geometries become boxes.
+  async loadBinaries(xmlDoc) {
+    this.binaries = new Map();
+    const urls = new Set();
+    const geometries = xmlDoc.getElementsByTagName('geometry');
+    for (let i = 0; i < geometries.length; i++) {
+      const href = geometries[i].getAttribute('href');
+      if (geometries[i].getAttribute('type') === 'mesh' && href) urls.add(this.resolveUrl(href));
+    }
+    await Promise.all([...urls].map(async url => {
+      try {
+        this.binaries.set(url, await this.loadBinary(url));
+      } catch (err) {
+        console.warn(`Failed to load mesh data ${url}: ${err.message}`);
+      }
+    }));
+  }
+
+  // Load the models that <mesh src="model.glb#node"> and
+  // <geometry type="external" src="part.obj"> elements reference, once per
+  // URL. Failures are logged; those meshes stay empty and those geometries
+  // become boxes.
+  async loadModels(xmlDoc) {
+    this.models = new Map();
+    const urls = new Set();
+    const collect = (tagName, test) => {
+      const elements = xmlDoc.getElementsByTagName(tagName);
+      for (let i = 0; i < elements.length; i++) {
+        const src = elements[i].getAttribute('src');
+        if (src && test(elements[i])) urls.add(this.resolveUrl(src.split('#')[0]));
+      }
     };
+    collect('mesh', () => true);
+    collect('geometry', elem => elem.getAttribute('type') === 'external');
+    await Promise.all([...urls].map(async url => {
+      try {
+        const model = await this.modelLoader(url).load(url);
+        this.models.set(url, model);
+        this.textures.push(...model.textures);
+      } catch (err) {
+        console.warn(`Failed to load model ${url}: ${err.message}`);
+      }
+    }));
+    this.flushModelWarnings();
+  }
+
+  // GLTFLoader, OBJLoader or STLLoader for a model URL, by file extension
+  modelLoader(url) {
+    const extension = url.split(/[?#]/)[0].split('.').pop().toLowerCase();
+    const Loader = MODEL_LOADERS[extension] || GLTFLoader;
+    if (!this.modelLoaders.has(Loader)) {
+      this.modelLoaders.set(Loader, new Loader(this.world, this.geometryLibrary, { loadBinary: this.loadBinary }));
+    }
+    return this.modelLoaders.get(Loader);
+  }
+
+  flushModelWarnings() {
+    for (const loader of this.modelLoaders.values()) {
+      for (const warning of loader.warnings) console.warn(warning);
+      loader.warnings = [];
+    }
   }
 
   parseDefinitions(xmlDoc) {
@@ -1473,29 +5130,95 @@ class SVG3ParserNEXUS {
 
     let geomId;
 
+    const num = (name, fallback) => parseFloat(elem.getAttribute(name) || fallback);
+    const int = (name, fallback) => parseInt(elem.getAttribute(name) || fallback);
+    const openEnded = elem.getAttribute('openEnded') === 'true';
+
     switch (type) {
       case 'box': {
-        const w = parseFloat(elem.getAttribute('width') || 1);
-        const h = parseFloat(elem.getAttribute('height') || 1);
-        const d = parseFloat(elem.getAttribute('depth') || 1);
-        geomId = this.geometryLibrary.createBox(id, w, h, d);
+        geomId = this.geometryLibrary.createBox(id, num('width', 1), num('height', 1), num('depth', 1));
         break;
       }
 
       case 'sphere': {
-        const r = parseFloat(elem.getAttribute('radius') || 1);
-        const widthSegs = parseInt(elem.getAttribute('widthSegments') || 32);
-        const heightSegs = parseInt(elem.getAttribute('heightSegments') || 32);
-        geomId = this.geometryLibrary.createSphere(id, r, Math.min(widthSegs, heightSegs));
+        const widthSegs = int('widthSegments', 32);
+        const heightSegs = int('heightSegments', widthSegs);
+        geomId = this.geometryLibrary.createSphere(id, num('radius', 1), widthSegs, heightSegs);
         break;
       }
 
       case 'cylinder': {
-        const rTop = parseFloat(elem.getAttribute('radiusTop') || 1);
-        const rBottom = parseFloat(elem.getAttribute('radiusBottom') || 1);
-        const h = parseFloat(elem.getAttribute('height') || 1);
-        const radialSegs = parseInt(elem.getAttribute('radialSegments') || 32);
-        geomId = this.geometryLibrary.createCylinder(id, rTop, rBottom, h, radialSegs);
+        geomId = this.geometryLibrary.createCylinder(
+          id, num('radiusTop', 1), num('radiusBottom', 1), num('height', 1),
+          int('radialSegments', 32), int('heightSegments', 1), openEnded
+        );
+        break;
+      }
+
+      case 'cone': {
+        geomId = this.geometryLibrary.createCone(
+          id, num('radius', 1), num('height', 1),
+          int('radialSegments', 32), int('heightSegments', 1), openEnded
+        );
+        break;
+      }
+
+      case 'capsule': {
+        geomId = this.geometryLibrary.createCapsule(
+          id, num('radius', 0.5), num('length', 1), int('capSegments', 8), int('radialSegments', 16)
+        );
+        break;
+      }
+
+      case 'plane': {
+        // Lies in XZ; `height` is accepted as an alias of `depth`
+        const depth = num('depth', elem.getAttribute('height') || 1);
+        geomId = this.geometryLibrary.createPlane(
+          id, num('width', 1), depth, int('widthSegments', 1), int('depthSegments', elem.getAttribute('heightSegments') || 1)
+        );
+        break;
+      }
+
+      case 'circle':
+      case 'disc': {
+        geomId = this.geometryLibrary.createCircle(id, num('radius', 1), int('segments', 32));
+        break;
+      }
+
+      case 'ring': {
+        geomId = this.geometryLibrary.createRing(id, num('innerRadius', 0.5), num('outerRadius', 1), int('segments', 32));
+        break;
+      }
+
+      case 'torus': {
+        geomId = this.geometryLibrary.createTorus(
+          id, num('radius', 1), num('tube', 0.4), int('radialSegments', 16), int('tubularSegments', 48)
+        );
+        break;
+      }
+
+      case 'icosphere': {
+        geomId = this.geometryLibrary.createIcosphere(id, num('radius', 1), int('detail', 2));
+        break;
+      }
+
+      case 'tetrahedron': {
+        geomId = this.geometryLibrary.createTetrahedron(id, num('radius', 1));
+        break;
+      }
+
+      case 'octahedron': {
+        geomId = this.geometryLibrary.createOctahedron(id, num('radius', 1));
+        break;
+      }
+
+      case 'mesh': {
+        geomId = this.parseMeshGeometry(id, elem);
+        break;
+      }
+
+      case 'external': {
+        geomId = this.parseExternalGeometry(id, elem);
         break;
       }
 
@@ -1503,14 +5226,70 @@ class SVG3ParserNEXUS {
         geomId = this.geometryLibrary.createBox(id, 1, 1, 1);
     }
 
+    // normals="flat|smooth" and creaseAngle (degrees unless suffixed; alone
+    // it implies smooth) replace the generated or supplied normals
+    const normals = elem.getAttribute('normals');
+    const creaseAngle = elem.getAttribute('creaseAngle');
+    if (NORMAL_MODES.includes(normals) || creaseAngle) {
+      const crease = creaseAngle ? this.parseAngle(creaseAngle, 'deg') : null;
+      this.geometryLibrary.setNormalMode(geomId, normals || 'smooth', Number.isFinite(crease) ? crease : null);
+    }
+
     this.geometryMap.set(id, geomId);
   }
 
+  // <geometry type="mesh">: vertex data inline or in the binary its href
+  // names (see readMeshGeometry). Data that does not hold together is logged
+  // and becomes a 1x1x1 box, like an unknown geometry type.
+  parseMeshGeometry(id, elem) {
+    const href = elem.getAttribute('href');
+    try {
+      const binary = href ? this.binaries.get(this.resolveUrl(href)) : null;
+      if (href && !binary) throw new Error(`${href} could not be loaded`);
+      const data = readMeshGeometry(name => elem.getAttribute(name), binary);
+      return this.geometryLibrary.addGeometry(id, data.positions, data.indices, data.uvs, {
+        normals: data.normals,
+        tangents: data.tangents,
+        colors: data.colors
+      });
+    } catch (err) {
+      console.warn(`Mesh geometry "${id}": ${err.message}; using a 1x1x1 box`);
+      return this.geometryLibrary.createBox(id, 1, 1, 1);
+    }
+  }
+
+  // <geometry type="external" src="part.obj">: the OBJ or STL file's groups
+  // (or the one named after '#') merged into one geometry. Files that did not
+  // load become a 1x1x1 box.
+  parseExternalGeometry(id, elem) {
+    const src = elem.getAttribute('src');
+    try {
+      if (!src) throw new Error('no src');
+      const [url, groupName] = src.split('#');
+      const resolved = this.resolveUrl(url);
+      const model = this.models.get(resolved);
+      if (!model) throw new Error(`${url} could not be loaded`);
+      if (!model.groups) throw new Error(`${url} is not an OBJ or STL file; place glTF models with <mesh src>`);
+      const group = groupName ? decodeURIComponent(groupName) : null;
+      const groups = group === null ? model.groups : model.groups.filter(g => g.name === group);
+      if (groups.length === 0) throw new Error(`${url} has no group "${group}"`);
+      this.geometryLibrary.mergeGeometries(id, groups.flatMap(g => g.primitives.map(p => p.geometryId)));
+      // Written back as the file reference (see SVG3Writer)
+      const geometry = this.geometryLibrary.getGeometry(id);
+      geometry.type = 'external';
+      geometry.params = { src: groupName ? `${resolved}#${groupName}` : resolved };
+      return id;
+    } catch (err) {
+      console.warn(`External geometry "${id}": ${err.message}; using a 1x1x1 box`);
+      return this.geometryLibrary.createBox(id, 1, 1, 1);
+    }
+  }
+
   parseMaterial(elem) {
     const id = elem.getAttribute('id');
     const type = elem.getAttribute('type') || 'standard';
-    const colorStr = elem.getAttribute('color') || '#ffffff';
-    const color = this.parseColor(colorStr);
+    // The color's alpha is the material's opacity
+    const { color, alpha: opacity } = this.parseColorWithAlpha(elem.getAttribute('color') || '#ffffff', elem);
     const metalness = parseFloat(elem.getAttribute('metalness') || 0);
     const roughness = parseFloat(elem.getAttribute('roughness') || 0.5);
 
@@ -1518,37 +5297,213 @@ class SVG3ParserNEXUS {
       id,
       type,
       color,
+      opacity,
       metalness,
       roughness,
-      emissive: this.parseColor(elem.getAttribute('emissive') || '#000000'),
-      emissiveIntensity: parseFloat(elem.getAttribute('emissiveIntensity') || 0)
+      emissive: this.parseColor(elem.getAttribute('emissive') || '#000000', elem),
+      // An emissive color without an explicit intensity glows at full strength
+      emissiveIntensity: parseFloat(elem.getAttribute('emissiveIntensity') || (elem.getAttribute('emissive') ? 1 : 0)),
+      normalScale: parseFloat(elem.getAttribute('normalScale') || 1),
+      aoMapIntensity: parseFloat(elem.getAttribute('aoMapIntensity') || 1)
+    };
+
+    // Sampling attributes are shared by every map of the material
+    const wrap = elem.getAttribute('wrap') || 'repeat';
+    const pair = (name, fallback) => {
+      const value = elem.getAttribute(name);
+      if (!value) return fallback;
+      const parts = value.split(/[\s,]+/).map(parseFloat);
+      return [parts[0], parts.length > 1 ? parts[1] : parts[0]];
+    };
+    const textureOptions = {
+      wrapS: elem.getAttribute('wrapS') || wrap,
+      wrapT: elem.getAttribute('wrapT') || wrap,
+      repeat: pair('repeat', [1, 1]),
+      offset: pair('offset', [0, 0]),
+      filter: elem.getAttribute('filter') || 'linear',
+      mipmaps: elem.getAttribute('mipmaps') !== 'false'
     };
+    for (const slot of ['map', 'normalMap', 'roughnessMap', 'metalnessMap', 'emissiveMap', 'aoMap']) {
+      const url = elem.getAttribute(slot);
+      if (url) material[slot] = this.createTexture(url, textureOptions);
+    }
+    // An emissive map needs a non-black emissive color to show
+    if (material.emissiveMap && !elem.getAttribute('emissive')) {
+      material.emissive = [1, 1, 1];
+      if (!elem.getAttribute('emissiveIntensity')) material.emissiveIntensity = 1;
+    }
 
     this.materialMap.set(id, material);
   }
 
+  // URL relative to the document (data: URIs pass through)
+  resolveUrl(url) {
+    if (this.baseUrl && !url.startsWith('data:')) {
+      try {
+        return new URL(url, this.baseUrl).href;
+      } catch (e) {
+        // keep the path as written
+      }
+    }
+    return url;
+  }
+
+  // Texture for a map URL, relative to the document
+  createTexture(url, options) {
+    const texture = new Texture(this.resolveUrl(url), options);
+    this.textures.push(texture);
+    return texture;
+  }
+
+  // Start fetching every texture referenced by parsed materials. Failures
+  // are logged and leave that map unset; resolves once all have settled.
+  loadTextures() {
+    if (typeof Image === 'undefined') return Promise.resolve([]);
+    return Promise.all(this.textures.map(texture => texture.load().catch(err => {
+      console.warn(err.message);
+      return null;
+    })));
+  }
+
   parseScene(sceneElem) {
     const sceneId = sceneElem.getAttribute('id') || 'scene';
 
     const children = [];
-    for (let i = 0; i < sceneElem.children.length; i++) {
-      const child = sceneElem.children[i];
-
+    const cameras = [];
+    for (const child of childElements(sceneElem)) {
       if (child.tagName === 'mesh' || child.tagName === 'group') {
         const entity = this.parseObject(child, null);
         if (entity) {
           children.push(entity.id);
         }
+      } else if (child.tagName === 'camera') {
+        const entity = this.parseCamera(child);
+        children.push(entity.id);
+        cameras.push(child.getAttribute('id'));
+      } else if (child.tagName === 'light') {
+        const entity = this.parseLight(child);
+        children.push(entity.id);
       }
     }
 
+    // Scene-wide ambient term: ambientLight="0.4" (intensity), optional ambientColor
+    const ambientLight = sceneElem.getAttribute('ambientLight');
+    if (ambientLight !== null) {
+      const entity = this.world.createEntity();
+      this.world.addComponent(entity, 'transform', new Transform());
+      this.world.addComponent(entity, 'light', new Light('ambient', {
+        color: this.parseColor(sceneElem.getAttribute('ambientColor') || '#ffffff', sceneElem),
+        intensity: parseFloat(ambientLight) || 0
+      }));
+      children.push(entity.id);
+    }
+
+    // The scene's `camera` attribute names the active camera; default to the first one
+    const camera = sceneElem.getAttribute('camera') || cameras[0] || null;
+
     return {
       id: sceneId,
       children,
+      camera,
       entityMap: this.entityMap
     };
   }
 
+  parseCamera(elem) {
+    const id = elem.getAttribute('id');
+    const type = elem.getAttribute('type') || 'perspective';
+
+    const entity = this.world.createEntity();
+    if (id) {
+      this.entityMap.set(id, entity);
+    }
+
+    const position = this.parseVector3(elem.getAttribute('position') || '0,0,0');
+    const rotation = this.parseRotations(elem, [elem.getAttribute('rotation') || '0,0,0'])[0];
+
+    const options = {
+      fov: this.parseAngle(elem.getAttribute('fov') || '45', 'deg'),
+      near: parseFloat(elem.getAttribute('near') || 0.01),
+      far: parseFloat(elem.getAttribute('far') || 1000)
+    };
+
+    const aspect = elem.getAttribute('aspect');
+    if (aspect) options.aspect = parseFloat(aspect);
+
+    const target = elem.getAttribute('target') || elem.getAttribute('lookAt');
+    if (target) options.target = this.parseVector3(target);
+
+    const up = elem.getAttribute('up');
+    if (up) options.up = this.parseVector3(up);
+
+    if (type === 'orthographic') {
+      options.size = parseFloat(elem.getAttribute('size') || 5);
+      const bounds = ['left', 'right', 'bottom', 'top'].map(a => elem.getAttribute(a));
+      if (bounds.every(v => v !== null)) {
+        const [left, right, bottom, top] = bounds.map(parseFloat);
+        options.bounds = { left, right, bottom, top };
+      }
+    }
+
+    this.world.addComponent(entity, 'transform', new Transform(...position));
+    const transform = entity.getComponent('transform');
+    transform.rotation = rotation;
+    transform.rotationOrder = this.parseRotationOrder(elem);
+    transform.quaternion = this.parseQuaternion(elem.getAttribute('quaternion'));
+    this.world.addComponent(entity, 'camera', new Camera(type, options));
+
+    if (id) {
+      this.world.addComponent(entity, 'tag', new Tag(id));
+    }
+
+    return entity;
+  }
+
+  parseLight(elem) {
+    const id = elem.getAttribute('id');
+    const type = elem.getAttribute('type') || 'point';
+
+    const entity = this.world.createEntity();
+    if (id) {
+      this.entityMap.set(id, entity);
+    }
+
+    const position = this.parseVector3(elem.getAttribute('position') || '0,0,0');
+
+    const options = {
+      color: this.parseColor(elem.getAttribute('color') || '#ffffff', elem),
+      intensity: parseFloat(elem.getAttribute('intensity') || 1),
+      range: parseFloat(elem.getAttribute('range') || 0),
+      decay: parseFloat(elem.getAttribute('decay') || 2),
+      groundColor: this.parseColor(elem.getAttribute('groundColor') || '#000000', elem)
+    };
+
+    const angle = elem.getAttribute('angle');
+    if (angle) options.angle = this.parseAngle(angle, 'deg');
+    const innerAngle = elem.getAttribute('innerAngle');
+    if (innerAngle) options.innerAngle = this.parseAngle(innerAngle, 'deg');
+
+    const target = elem.getAttribute('target');
+    if (target) options.target = this.parseVector3(target);
+    const direction = elem.getAttribute('direction');
+    if (direction) options.direction = this.parseVector3(direction);
+
+    options.castShadow = elem.getAttribute('castShadow') === 'true';
+    for (const attr of ['shadowBias', 'shadowNormalBias', 'shadowRadius', 'shadowDistance']) {
+      const value = elem.getAttribute(attr);
+      if (value !== null) options[attr] = parseFloat(value);
+    }
+
+    this.world.addComponent(entity, 'transform', new Transform(...position));
+    this.world.addComponent(entity, 'light', new Light(type, options));
+
+    if (id) {
+      this.world.addComponent(entity, 'tag', new Tag(id));
+    }
+
+    return entity;
+  }
+
   parseObject(elem, parentId) {
     const id = elem.getAttribute('id');
     const tagName = elem.tagName.toLowerCase();
@@ -1558,177 +5513,2635 @@ class SVG3ParserNEXUS {
       this.entityMap.set(id, entity);
     }
 
-    const position = this.parseVector3(elem.getAttribute('position') || '0,0,0');
-    let rotation = this.parseVector3(elem.getAttribute('rotation') || '0,0,0');
-    const scale = this.parseVector3(elem.getAttribute('scale') || '1,1,1');
+    const position = this.parseVector3(elem.getAttribute('position') || '0,0,0');
+    const rotation = this.parseRotations(elem, [elem.getAttribute('rotation') || '0,0,0'])[0];
+    const scale = this.parseVector3(elem.getAttribute('scale') || '1,1,1');
+
+    this.world.addComponent(entity, 'transform', new Transform(...position));
+    const t = entity.getComponent('transform');
+    t.rotation = rotation;
+    t.rotationOrder = this.parseRotationOrder(elem);
+    t.quaternion = this.parseQuaternion(elem.getAttribute('quaternion'));
+    t.scale = scale;
+    // Record parent relationship so renderer can compose hierarchical transforms
+    if (parentId) {
+      t.parent = parentId;
+    }
+
+    if (tagName === 'mesh') {
+      const geometryId = elem.getAttribute('geometry');
+      const materialId = elem.getAttribute('material');
+
+      if (geometryId) {
+        const mesh = new Mesh(geometryId, materialId);
+        mesh.castShadow = elem.getAttribute('castShadow') !== 'false';
+        mesh.receiveShadow = elem.getAttribute('receiveShadow') !== 'false';
+        this.world.addComponent(entity, 'mesh', mesh);
+      }
+
+      if (materialId && this.materialMap.has(materialId)) {
+        const matData = this.materialMap.get(materialId);
+        this.world.addComponent(
+          entity,
+          'material',
+          new Material(matData.color, {
+            opacity: matData.opacity,
+            metalness: matData.metalness,
+            roughness: matData.roughness,
+            emissive: matData.emissive,
+            emissiveIntensity: matData.emissiveIntensity,
+            map: matData.map,
+            normalMap: matData.normalMap,
+            normalScale: matData.normalScale,
+            roughnessMap: matData.roughnessMap,
+            metalnessMap: matData.metalnessMap,
+            emissiveMap: matData.emissiveMap,
+            aoMap: matData.aoMap,
+            aoMapIntensity: matData.aoMapIntensity
+          })
+        );
+      }
+    }
+
+    // Only direct <animate> children belong to this object; nested ones are
+    // picked up when their own mesh/group is parsed.
+    const animElements = childElements(elem).filter(c => c.tagName.toLowerCase() === 'animate');
+    if (animElements.length > 0) {
+      const anim = new Animation('svg3-animation');
+      
+      for (let i = 0; i < animElements.length; i++) {
+        this.parseAnimation(animElements[i], anim);
+      }
+
+      // Rotation tracks animate Euler angles, so start them from the
+      // quaternion's equivalent
+      if (t.quaternion && anim.getTrack('rotation')) {
+        t.rotation = Quaternion.toEuler(t.quaternion, t.rotationOrder);
+        t.quaternion = null;
+      }
+
+      // Remember the authored value so fill="remove" can restore it
+      for (const track of anim.tracks) {
+        if (Array.isArray(t[track.property])) {
+          track.baseValue = [...t[track.property]];
+        }
+      }
+
+      if (anim.tracks.length > 0) {
+        this.world.addComponent(entity, 'animation', anim);
+        anim.playing = true;
+      }
+    }
+
+    const children = [];
+    const src = tagName === 'mesh' ? elem.getAttribute('src') : null;
+    if (src) {
+      // The model's scene, or the node named after '#', under this entity.
+      // animation="name" picks the clip to play (default the first) and
+      // animation="none" plays none
+      const [url, node] = src.split('#');
+      const resolved = this.resolveUrl(url);
+      const model = this.models.get(resolved);
+      if (model) {
+        const animation = elem.getAttribute('animation');
+        try {
+          const { roots } = this.modelLoader(resolved).instantiate(model, {
+            node: node ? decodeURIComponent(node) : null,
+            parent: entity.id,
+            animation: animation === 'none' ? null : animation ?? undefined
+          });
+          children.push(...roots.map(root => root.id));
+        } catch (err) {
+          console.warn(err.message);
+        }
+        this.flushModelWarnings();
+      }
+    }
+    for (const child of childElements(elem)) {
+      if (child.tagName.toLowerCase() === 'mesh' || child.tagName.toLowerCase() === 'group') {
+        const childEntity = this.parseObject(child, entity.id);
+        if (childEntity) {
+          children.push(childEntity.id);
+        }
+      }
+    }
+
+    if (children.length > 0) {
+      const hierarchy = new Hierarchy();
+      hierarchy.children = children;
+      if (parentId) hierarchy.parent = parentId;
+      this.world.addComponent(entity, 'hierarchy', hierarchy);
+    }
+
+    if (id) {
+      this.world.addComponent(entity, 'tag', new Tag(id));
+    }
+
+    return entity;
+  }
+
+  // <animate> timing follows SMIL: repeatCount defaults to 1 (play once, then
+  // fill), dur="indefinite" holds the first value, and keySplines control
+  // points must lie within 0..1. Unlike SMIL, a missing or invalid dur means
+  // 1s rather than indefinite.
+  parseAnimation(animElem, animation) {
+    const attributeName = animElem.getAttribute('attributeName');
+    const from = animElem.getAttribute('from');
+    const to = animElem.getAttribute('to');
+    const valuesAttr = animElem.getAttribute('values');
+    const durAttr = (animElem.getAttribute('dur') || '').trim();
+    const parsedDur = durAttr === 'indefinite' ? Infinity : this.parseDuration(durAttr || '1s');
+    const dur = parsedDur > 0 ? parsedDur : 1;
+    const repeatCount = animElem.getAttribute('repeatCount') || '1';
+    const calcMode = animElem.getAttribute('calcMode') || 'linear';
+    // Only clock-value offsets are supported for begin (no event/syncbase timing)
+    const begin = this.parseDuration(animElem.getAttribute('begin') || '0s');
+    const fill = animElem.getAttribute('fill') === 'freeze' ? 'freeze' : 'remove';
+
+    const repeat = repeatCount === 'indefinite' ? Infinity : parseFloat(repeatCount);
+
+    // SMIL: `values` overrides from/to when both are present
+    let strings = null;
+    if (valuesAttr) {
+      strings = this.parseList(valuesAttr);
+    } else if (from && to) {
+      strings = [from, to];
+    }
+    if (!strings || strings.length === 0) return;
+
+    const values = attributeName === 'rotation'
+      ? this.parseRotations(animElem, strings)
+      : strings.map(v => this.parseVector3(v));
+
+    const keyframes = this.parseKeyTimes(animElem.getAttribute('keyTimes'), values, calcMode);
+
+    let keySplines = null;
+    if (calcMode === 'spline') {
+      keySplines = this.parseList(animElem.getAttribute('keySplines') || '')
+        .map(s => s.split(/[\s,]+/).map(parseFloat))
+        .filter(s => s.length === 4 && s.every(v => v >= 0 && v <= 1));
+      // One spline per interval, with every control point in 0..1, is
+      // required; otherwise fall back to linear
+      if (keySplines.length !== values.length - 1) keySplines = null;
+    }
+
+    animation.addTrack(attributeName, keyframes, values, {
+      calcMode,
+      keySplines,
+      duration: dur,
+      repeatCount: repeat > 0 ? repeat : 1,
+      begin: isNaN(begin) ? 0 : begin,
+      fill
+    });
+  }
+
+  // Resolve key times for a values list. Explicit keyTimes are used when they
+  // match the values count, never decrease, start at 0 and, for linear and
+  // spline, end at 1 (as SMIL requires); otherwise the default spacing
+  // applies. Paced mode ignores keyTimes and spaces keys by distance between
+  // values.
+  parseKeyTimes(keyTimesStr, values, calcMode) {
+    const n = values.length;
+
+    if (calcMode === 'paced' && n > 1) {
+      const distances = [0];
+      for (let i = 1; i < n; i++) {
+        const a = values[i - 1], b = values[i];
+        const d = Math.sqrt(a.reduce((sum, v, k) => sum + (b[k] - v) * (b[k] - v), 0));
+        distances.push(distances[i - 1] + d);
+      }
+      const total = distances[n - 1];
+      if (total > 0) return distances.map(d => d / total);
+    }
+
+    if (keyTimesStr && calcMode !== 'paced') {
+      const keyTimes = this.parseList(keyTimesStr).map(parseFloat);
+      const valid = keyTimes.length === n &&
+        keyTimes.every((k, i) => !isNaN(k) && k >= 0 && k <= 1 && (i === 0 || k >= keyTimes[i - 1])) &&
+        keyTimes[0] === 0 && (calcMode === 'discrete' || keyTimes[n - 1] === 1);
+      if (valid) return keyTimes;
+    }
+
+    // Defaults: discrete divides the duration into n equal steps,
+    // the interpolating modes place the last value at the end
+    if (calcMode === 'discrete') {
+      return values.map((_, i) => i / n);
+    }
+    return values.map((_, i) => (n > 1 ? i / (n - 1) : 0));
+  }
+
+  // Rotation vectors ("x,y,z") in radians. A component may carry a unit
+  // suffix (45deg, 0.25turn); bare numbers use the rotationUnits of the
+  // element or its nearest ancestor. Without declared units or suffixes the
+  // legacy guess applies: the whole list is degrees if any component
+  // exceeds 2π, so animation keys stay consistent.
+  parseRotations(elem, strings) {
+    const units = this.inheritedAttribute(elem, 'rotationUnits');
+    const parsed = strings.map(str => str.split(',').slice(0, 3).map(part => {
+      const match = /^\s*(.*?)\s*(deg|rad|grad|turn)?\s*$/.exec(part);
+      return { value: parseFloat(match[1]) || 0, unit: match[2] || null };
+    }));
+
+    let bare = ANGLE_UNITS[units] || 1;
+    if (!units && !parsed.some(v => v.some(c => c.unit))) {
+      const max = Math.max(...parsed.map(v => Math.max(...v.map(c => Math.abs(c.value)))));
+      if (max > Math.PI * 2) bare = ANGLE_UNITS.deg;
+    }
+
+    return parsed.map(v => {
+      const out = v.map(c => c.value * (c.unit ? ANGLE_UNITS[c.unit] : bare));
+      while (out.length < 3) out.push(0);
+      return out;
+    });
+  }
+
+  // A single angle such as fov="60" or angle="0.5rad", returned in `unit`
+  // (bare numbers are already in it)
+  parseAngle(str, unit) {
+    const match = /^\s*(.*?)\s*(deg|rad|grad|turn)?\s*$/.exec(str);
+    const value = parseFloat(match[1]);
+    const suffix = match[2] || unit;
+    return suffix === unit ? value : value * ANGLE_UNITS[suffix] / ANGLE_UNITS[unit];
+  }
+
+  // Euler order from the element or its nearest ancestor, default 'XYZ'
+  parseRotationOrder(elem) {
+    const order = this.inheritedAttribute(elem, 'rotationOrder') || 'XYZ';
+    return ROTATION_ORDERS.includes(order) ? order : 'XYZ';
+  }
+
+  // "x,y,z,w" as a unit quaternion; null when absent or zero
+  parseQuaternion(str) {
+    if (!str) return null;
+    const parts = str.split(',').map(p => parseFloat(p.trim()) || 0);
+    while (parts.length < 4) parts.push(0);
+    return Quaternion.normalize(parts.slice(0, 4));
+  }
+
+  // Attribute value from the element or its nearest ancestor that has it
+  inheritedAttribute(elem, name) {
+    for (let node = elem; node && node.nodeType === 1; node = node.parentNode) {
+      const value = node.getAttribute(name);
+      if (value) return value;
+    }
+    return null;
+  }
+
+  // Split a semicolon-separated SMIL list, dropping empty entries
+  parseList(str) {
+    return str.split(';').map(s => s.trim()).filter(s => s.length > 0);
+  }
+
+  // CSS color (see parseCSSColor) as sRGB-encoded [r, g, b], which the
+  // renderer linearizes for lighting; white when the value is not a color
+  parseColor(colorStr, elem = null) {
+    return this.parseColorWithAlpha(colorStr, elem).color;
+  }
+
+  // { color, alpha } for a CSS color. Untagged colors under
+  // colorSpace="srgb-linear" (inherited from elem, else options.colorSpace)
+  // are linear values and get sRGB-encoded here.
+  parseColorWithAlpha(colorStr, elem = null) {
+    const parsed = parseCSSColor(colorStr);
+    if (!parsed) return { color: [1, 1, 1], alpha: 1 };
+
+    const declared = elem ? this.inheritedAttribute(elem, 'colorSpace') : null;
+    const space = COLOR_SPACES.includes(declared) ? declared : this.colorSpace;
+    const color = !parsed.tagged && space === 'srgb-linear'
+      ? parsed.rgb.map(linearToSrgb)
+      : parsed.rgb;
+    return { color, alpha: parsed.alpha };
+  }
+
+  parseVector3(str) {
+    if (!str) return [0, 0, 0];
+
+    const parts = str.split(',').map(p => parseFloat(p.trim()));
+    return [
+      parts[0] || 0,
+      parts[1] || 0,
+      parts[2] || 0
+    ];
+  }
+
+  parseDuration(str) {
+    str = str.trim();
+    // Full/partial clock values: hh:mm:ss(.frac) or mm:ss(.frac)
+    if (str.includes(':')) {
+      return str.split(':').reduce((acc, part) => acc * 60 + parseFloat(part), 0);
+    }
+    if (str.endsWith('ms')) {
+      return parseFloat(str) / 1000;
+    }
+    if (str.endsWith('min')) {
+      return parseFloat(str) * 60;
+    }
+    if (str.endsWith('h')) {
+      return parseFloat(str) * 3600;
+    }
+    if (str.endsWith('s')) {
+      return parseFloat(str);
+    }
+    return parseFloat(str);
+  }
+
+  getEntity(id) {
+    return this.entityMap.get(id);
+  }
+
+  getAllEntities() {
+    return Array.from(this.entityMap.values());
+  }
+}
+
+// What the parser reads: for each element, the parents it is read under and
+// its attributes with their value kinds. <geometry> attributes depend on its
+// type. Attributes with a namespace prefix (and xmlns) are always allowed, and
+// <metadata> content is free-form.
+const SVG3_GEOMETRY_ATTRIBUTES = {
+  box: { width: 'number', height: 'number', depth: 'number' },
+  sphere: { radius: 'number', widthSegments: 'integer', heightSegments: 'integer' },
+  cylinder: {
+    radiusTop: 'number', radiusBottom: 'number', height: 'number',
+    radialSegments: 'integer', heightSegments: 'integer', openEnded: 'boolean'
+  },
+  cone: { radius: 'number', height: 'number', radialSegments: 'integer', heightSegments: 'integer', openEnded: 'boolean' },
+  capsule: { radius: 'number', length: 'number', capSegments: 'integer', radialSegments: 'integer' },
+  plane: {
+    width: 'number', depth: 'number', height: 'number',
+    widthSegments: 'integer', depthSegments: 'integer', heightSegments: 'integer'
+  },
+  circle: { radius: 'number', segments: 'integer' },
+  disc: { radius: 'number', segments: 'integer' },
+  ring: { innerRadius: 'number', outerRadius: 'number', segments: 'integer' },
+  torus: { radius: 'number', tube: 'number', radialSegments: 'integer', tubularSegments: 'integer' },
+  icosphere: { radius: 'number', detail: 'integer' },
+  tetrahedron: { radius: 'number' },
+  octahedron: { radius: 'number' },
+  mesh: {
+    positions: 'meshData', indices: 'meshData', normals: 'meshData', uvs: 'meshData', tangents: 'meshData',
+    colors: 'meshData', indexType: Object.keys(MESH_INDEX_TYPES), href: 'url'
+  },
+  external: { src: 'url' }
+};
+
+const SVG3_TRANSFORM_ATTRIBUTES = {
+  id: 'id', position: 'vector3', rotation: 'rotation', scale: 'vector3', quaternion: 'quaternion',
+  rotationUnits: 'angleUnit', rotationOrder: 'rotationOrder'
+};
+
+const SVG3_SCHEMA = {
+  svg3: {
+    parents: [null],
+    attributes: {
+      version: 'string', viewBox: 'string', width: 'string', height: 'string',
+      rotationUnits: 'angleUnit', rotationOrder: 'rotationOrder', colorSpace: COLOR_SPACES
+    }
+  },
+  metadata: { parents: ['svg3'], attributes: {}, freeform: true },
+  defs: { parents: ['svg3'], attributes: { colorSpace: COLOR_SPACES } },
+  geometry: {
+    parents: ['defs'],
+    attributes: { id: 'id', type: 'string', normals: NORMAL_MODES, creaseAngle: 'angle' }
+  },
+  material: {
+    parents: ['defs'],
+    attributes: {
+      id: 'id', type: ['standard'], color: 'color', metalness: 'number', roughness: 'number',
+      emissive: 'color', emissiveIntensity: 'number', normalScale: 'number', aoMapIntensity: 'number',
+      map: 'url', normalMap: 'url', roughnessMap: 'url', metalnessMap: 'url', emissiveMap: 'url', aoMap: 'url',
+      wrap: ['repeat', 'clamp', 'mirror'], wrapS: ['repeat', 'clamp', 'mirror'], wrapT: ['repeat', 'clamp', 'mirror'],
+      repeat: 'pair', offset: 'pair', filter: ['linear', 'nearest'], mipmaps: 'boolean',
+      colorSpace: COLOR_SPACES
+    }
+  },
+  scene: {
+    parents: ['svg3'],
+    attributes: {
+      id: 'id', camera: 'string', ambientLight: 'number', ambientColor: 'color',
+      rotationUnits: 'angleUnit', rotationOrder: 'rotationOrder', colorSpace: COLOR_SPACES
+    }
+  },
+  group: { parents: ['scene', 'group', 'mesh'], attributes: { ...SVG3_TRANSFORM_ATTRIBUTES } },
+  mesh: {
+    parents: ['scene', 'group', 'mesh'],
+    attributes: {
+      ...SVG3_TRANSFORM_ATTRIBUTES, geometry: 'string', material: 'string',
+      castShadow: 'boolean', receiveShadow: 'boolean', src: 'url', animation: 'string'
+    }
+  },
+  camera: {
+    parents: ['scene'],
+    attributes: {
+      id: 'id', type: ['perspective', 'orthographic'], position: 'vector3', rotation: 'rotation',
+      quaternion: 'quaternion', rotationUnits: 'angleUnit', rotationOrder: 'rotationOrder',
+      fov: 'angle', near: 'number', far: 'number', aspect: 'number', target: 'vector3', lookAt: 'vector3',
+      up: 'vector3', size: 'number', left: 'number', right: 'number', bottom: 'number', top: 'number'
+    }
+  },
+  light: {
+    parents: ['scene'],
+    attributes: {
+      id: 'id', type: ['directional', 'point', 'spot', 'hemisphere', 'ambient'], position: 'vector3',
+      color: 'color', intensity: 'number', range: 'number', decay: 'number', groundColor: 'color',
+      angle: 'angle', innerAngle: 'angle', target: 'vector3', direction: 'vector3', castShadow: 'boolean',
+      shadowBias: 'number', shadowNormalBias: 'number', shadowRadius: 'number', shadowDistance: 'number',
+      colorSpace: COLOR_SPACES
+    }
+  },
+  animate: {
+    parents: ['group', 'mesh'],
+    attributes: {
+      attributeName: ['position', 'rotation', 'scale'], from: 'animationValue', to: 'animationValue', values: 'string',
+      rotationUnits: 'angleUnit',
+      dur: 'duration', begin: 'clock', repeatCount: 'repeatCount', calcMode: ['linear', 'discrete', 'spline', 'paced'],
+      fill: ['freeze', 'remove'], keyTimes: 'string', keySplines: 'string'
+    }
+  }
+};
+
+// Checks SVG3 source against what SVG3ParserNEXUS understands and reports
+// problems the parser would otherwise pass over silently, each with the line
+// and column it starts at. Works on the source text, so no DOM is needed.
+class SVG3Validator {
+  // Returns { valid, errors, warnings, diagnostics }; valid means no errors.
+  // Each diagnostic is { severity: 'error' | 'warning', code, message, line, column }.
+  validate(xmlString) {
+    this.diagnostics = [];
+    this._lineStarts = [0];
+    for (let i = 0; i < xmlString.length; i++) {
+      if (xmlString[i] === '\n') this._lineStarts.push(i + 1);
+    }
+
+    const root = this._scan(xmlString);
+    if (root) this._check(root);
+
+    this.diagnostics.sort((a, b) => a.line - b.line || a.column - b.column);
+    const errors = this.diagnostics.filter(d => d.severity === 'error');
+    const warnings = this.diagnostics.filter(d => d.severity === 'warning');
+    return { valid: errors.length === 0, errors, warnings, diagnostics: this.diagnostics };
+  }
+
+  // "file:line:column: severity: message (code)"
+  static format(diagnostic, fileName = '') {
+    const where = `${fileName ? fileName + ':' : ''}${diagnostic.line}:${diagnostic.column}`;
+    return `${where}: ${diagnostic.severity}: ${diagnostic.message} (${diagnostic.code})`;
+  }
+
+  _report(severity, code, message, at) {
+    this.diagnostics.push({ severity, code, message, line: at.line, column: at.column });
+  }
+
+  _position(offset) {
+    let lo = 0;
+    let hi = this._lineStarts.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (this._lineStarts[mid] <= offset) lo = mid; else hi = mid - 1;
+    }
+    return { line: lo + 1, column: offset - this._lineStarts[lo] + 1 };
+  }
+
+  // Minimal XML scanner: builds { name, attributes, children, parent, line,
+  // column } nodes and reports well-formedness errors.
+  _scan(src) {
+    const stack = [];
+    let root = null;
+    let pos = 0;
+    const nameRe = /[A-Za-z_][\w.:-]*/y;
+    const attrRe = /\s*([A-Za-z_][\w.:-]*)\s*=\s*(?:"([^"]*)"|'([^']*)')/y;
+
+    const skipTo = (marker, from, what) => {
+      const end = src.indexOf(marker, from);
+      if (end === -1) {
+        this._report('error', 'xml', `Unterminated ${what}`, this._position(from));
+        return src.length;
+      }
+      return end + marker.length;
+    };
+
+    while (pos < src.length) {
+      const lt = src.indexOf('<', pos);
+      if (lt === -1) break;
+      pos = lt;
+
+      if (src.startsWith('<!--', pos)) {
+        pos = skipTo('-->', pos + 4, 'comment');
+      } else if (src.startsWith('<![CDATA[', pos)) {
+        pos = skipTo(']]>', pos + 9, 'CDATA section');
+      } else if (src.startsWith('<?', pos)) {
+        pos = skipTo('?>', pos + 2, 'processing instruction');
+      } else if (src.startsWith('<!', pos)) {
+        pos = skipTo('>', pos + 2, 'declaration');
+      } else if (src.startsWith('</', pos)) {
+        nameRe.lastIndex = pos + 2;
+        const match = nameRe.exec(src);
+        const name = match ? match[0] : '';
+        const open = stack[stack.length - 1];
+        if (!open) {
+          this._report('error', 'xml', `Closing tag </${name}> has no matching start tag`, this._position(pos));
+        } else if (open.name !== name) {
+          this._report('error', 'xml',
+            `Closing tag </${name}> does not match <${open.name}> opened at ${open.line}:${open.column}`, this._position(pos));
+        }
+        // Recover by closing up to the matching start tag, if there is one
+        if (stack.some(n => n.name === name)) {
+          while (stack.pop().name !== name);
+        }
+        pos = skipTo('>', pos + 2, 'closing tag');
+      } else {
+        nameRe.lastIndex = pos + 1;
+        const match = nameRe.exec(src);
+        if (!match) {
+          this._report('error', 'xml', 'Expected an element name after "<"', this._position(pos));
+          pos++;
+          continue;
+        }
+        const node = { name: match[0], attributes: new Map(), children: [], parent: stack[stack.length - 1] || null, ...this._position(pos) };
+        pos = nameRe.lastIndex;
+
+        let selfClosing = false;
+        for (;;) {
+          attrRe.lastIndex = pos;
+          const attr = attrRe.exec(src);
+          if (attr) {
+            const at = this._position(pos + attr[0].indexOf(attr[1]));
+            if (node.attributes.has(attr[1])) {
+              this._report('error', 'xml', `Attribute ${attr[1]} is repeated on <${node.name}>`, at);
+            }
+            node.attributes.set(attr[1], { value: SVG3Validator._decode(attr[2] ?? attr[3]), ...at });
+            pos = attrRe.lastIndex;
+            continue;
+          }
+          while (pos < src.length && /\s/.test(src[pos])) pos++;
+          if (src.startsWith('/>', pos)) {
+            selfClosing = true;
+            pos += 2;
+          } else if (src[pos] === '>') {
+            pos += 1;
+          } else {
+            this._report('error', 'xml', `Malformed attribute in <${node.name}>`, this._position(pos));
+            pos = skipTo('>', pos, 'start tag');
+            selfClosing = src[pos - 2] === '/';
+          }
+          break;
+        }
+
+        if (node.parent) {
+          node.parent.children.push(node);
+        } else if (root) {
+          this._report('error', 'xml', `Extra root element <${node.name}>`, node);
+        } else {
+          root = node;
+        }
+        if (!selfClosing) stack.push(node);
+      }
+    }
+
+    for (const open of stack) {
+      this._report('error', 'xml', `<${open.name}> is never closed`, open);
+    }
+    if (!root) this._report('error', 'xml', 'Document has no root element', { line: 1, column: 1 });
+    return root;
+  }
+
+  static _decode(value) {
+    return value.replace(/&(#x[0-9a-fA-F]+|#\d+|amp|lt|gt|quot|apos);/g, (_, ref) => {
+      if (ref[0] === '#') return String.fromCodePoint(ref[1] === 'x' ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1), 10));
+      return { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" }[ref];
+    });
+  }
+
+  _check(root) {
+    if (root.name !== 'svg3') {
+      this._report('error', 'root', `Root element is <${root.name}>, expected <svg3>`, root);
+    }
+
+    // Collect ids first so references may point forward
+    const elements = [];
+    const walk = (node) => {
+      elements.push(node);
+      if (!(SVG3_SCHEMA[node.name] && SVG3_SCHEMA[node.name].freeform)) node.children.forEach(walk);
+    };
+    walk(root);
+
+    const defs = elements.filter(n => n.name === 'defs');
+    for (const extra of defs.slice(1)) {
+      this._report('warning', 'ignored-element', 'Only the first <defs> is read; this one is ignored', extra);
+    }
+    const inFirstDefs = (node) => defs.length > 0 && this._ancestors(node).includes(defs[0]);
+
+    const ids = { geometry: new Map(), material: new Map(), object: new Map() };
+    for (const node of elements) {
+      const id = node.attributes.get('id');
+      if (!id) continue;
+      const space = node.name === 'geometry' || node.name === 'material' ? node.name
+        : ['mesh', 'group', 'camera', 'light'].includes(node.name) ? 'object' : null;
+      if (!space || (space !== 'object' && !inFirstDefs(node))) continue;
+      const first = ids[space].get(id.value);
+      if (first) {
+        this._report('error', 'duplicate-id',
+          `Duplicate ${space} id "${id.value}" (first defined at ${first.line}:${first.column})`, id);
+      } else {
+        ids[space].set(id.value, { line: node.line, column: node.column, node });
+      }
+    }
+
+    for (const node of elements) {
+      this._checkElement(node, ids);
+    }
+  }
+
+  _ancestors(node) {
+    const list = [];
+    for (let p = node.parent; p; p = p.parent) list.push(p);
+    return list;
+  }
+
+  _checkElement(node, ids) {
+    const schema = SVG3_SCHEMA[node.name];
+    const parentName = node.parent ? node.parent.name : null;
+
+    if (!schema) {
+      // Prefixed elements are extensions from other vocabularies
+      if (!node.name.includes(':')) {
+        this._report('warning', 'unknown-element', `Unknown element <${node.name}> is ignored`, node);
+      }
+      return;
+    }
+    if (!schema.parents.includes(parentName)) {
+      this._report('warning', 'ignored-element', node.parent
+        ? `<${node.name}> is not read inside <${parentName}>`
+        : `<${node.name}> cannot be the root element`, node);
+    }
+
+    let attributes = schema.attributes;
+    if (node.name === 'geometry') {
+      const type = node.attributes.get('type');
+      const known = type && SVG3_GEOMETRY_ATTRIBUTES[type.value];
+      if (!type) {
+        this._report('error', 'missing-attribute', '<geometry> has no type and becomes a 1x1x1 box', node);
+      } else if (!known) {
+        this._report('error', 'invalid-value', `Unknown geometry type "${type.value}" becomes a 1x1x1 box`, type);
+      }
+      attributes = { ...attributes, ...(known || {}) };
+    }
+
+    for (const [name, attr] of node.attributes) {
+      if (name === 'xmlns' || name.includes(':')) continue;
+      const kind = attributes[name];
+      if (!kind) {
+        this._report('warning', 'unknown-attribute', `Unknown attribute ${name} on <${node.name}> is ignored`, attr);
+        continue;
+      }
+      this._checkValue(node, name, attr, kind);
+    }
+
+    if (node.name === 'mesh') this._checkMesh(node, ids);
+    if (node.name === 'geometry' && attributes.positions) this._checkMeshGeometry(node);
+    if (node.name === 'geometry' && node.attributes.has('creaseAngle') &&
+        (node.attributes.get('normals') || {}).value === 'flat') {
+      this._report('warning', 'ignored-attribute', 'creaseAngle on <geometry> is ignored with normals="flat"',
+        node.attributes.get('creaseAngle'));
+    }
+    if (node.name === 'geometry' && attributes.src && !node.attributes.has('src')) {
+      this._report('error', 'missing-attribute', '<geometry type="external"> has no src and becomes a 1x1x1 box', node);
+    }
+    if (node.name === 'scene') this._checkScene(node, ids);
+    if (node.name === 'animate') this._checkAnimate(node);
+  }
+
+  _checkValue(node, name, attr, kind) {
+    const value = attr.value;
+    const bad = (expected) => this._report('error', 'invalid-value',
+      `${name}="${value}" on <${node.name}> is not ${expected}`, attr);
+
+    if (Array.isArray(kind)) {
+      if (!kind.includes(value)) bad(`one of ${kind.join(', ')}`);
+    } else if (kind === 'number') {
+      if (!SVG3Validator._isNumber(value)) bad('a number');
+    } else if (kind === 'integer') {
+      if (!/^\s*[+-]?\d+\s*$/.test(value)) bad('an integer');
+    } else if (kind === 'boolean') {
+      if (value !== 'true' && value !== 'false') bad('true or false');
+    } else if (kind === 'vector3') {
+      if (!SVG3Validator._isVector(value)) bad('three comma-separated numbers');
+    } else if (kind === 'rotation') {
+      if (!SVG3Validator._isVector(value, true)) bad('three comma-separated angles');
+      else this._checkRotationUnits(node, [value], attr);
+      if (node.attributes.has('quaternion')) {
+        this._report('warning', 'ignored-attribute', `rotation on <${node.name}> is ignored because quaternion is set`, attr);
+      }
+    } else if (kind === 'animationValue') {
+      const rotation = node.attributes.get('attributeName');
+      if (!SVG3Validator._isVector(value, rotation && rotation.value === 'rotation')) bad('three comma-separated numbers');
+    } else if (kind === 'angle') {
+      if (!SVG3Validator._isAngle(value)) bad('an angle (e.g. 45, 45deg, 0.5rad)');
+    } else if (kind === 'angleUnit') {
+      if (!(value in ANGLE_UNITS)) bad(`one of ${Object.keys(ANGLE_UNITS).join(', ')}`);
+    } else if (kind === 'rotationOrder') {
+      if (!ROTATION_ORDERS.includes(value)) bad(`one of ${ROTATION_ORDERS.join(', ')}`);
+    } else if (kind === 'quaternion') {
+      const parts = value.split(',');
+      if (parts.length !== 4 || !parts.every(p => SVG3Validator._isNumber(p))) bad('four comma-separated numbers (x,y,z,w)');
+      else if (parts.every(p => parseFloat(p) === 0)) bad('a non-zero quaternion');
+    } else if (kind === 'pair') {
+      const parts = value.trim().split(/[\s,]+/);
+      if (parts.length > 2 || !parts.every(p => SVG3Validator._isNumber(p))) bad('one or two numbers');
+    } else if (kind === 'color') {
+      const color = parseCSSColor(value);
+      if (!color) {
+        bad('a CSS color (e.g. #ff8800, gold, rgb(255 136 0 / 50%), oklch(0.7 0.15 60))');
+      } else if (color.alpha < 1 && !(node.name === 'material' && name === 'color')) {
+        // Only a material's base color carries alpha (as its opacity)
+        this._report('warning', 'ignored-alpha', `The alpha of ${name} on <${node.name}> is ignored`, attr);
+      }
+    } else if (kind === 'clock') {
+      if (!/^\s*(\d+:)?(\d+:)?\d*\.?\d+(h|min|s|ms)?\s*$/.test(value)) bad('a clock value (e.g. 2s, 500ms, 0:01.5)');
+    } else if (kind === 'duration') {
+      const clock = /^\s*(\d+:)?(\d+:)?\d*\.?\d+(h|min|s|ms)?\s*$/.test(value);
+      if (value.trim() !== 'indefinite' && !(clock && /[1-9]/.test(value))) {
+        bad('a positive clock value (e.g. 2s, 500ms) or indefinite');
+      }
+    } else if (kind === 'repeatCount') {
+      if (value !== 'indefinite' && !(SVG3Validator._isNumber(value) && parseFloat(value) > 0)) {
+        bad('a positive number or indefinite');
+      }
+    } else if (kind === 'id' || kind === 'url') {
+      if (value.trim() === '') bad('empty');
+    }
+    // meshData attributes are checked together by _checkMeshGeometry
+  }
+
+  // Decode inline mesh data the way the parser does. Data in an href binary
+  // cannot be read from here and is left to load time.
+  _checkMeshGeometry(node) {
+    const value = name => (node.attributes.get(name) || {}).value || null;
+    if (!value('positions')) {
+      this._report('error', 'missing-attribute', '<geometry type="mesh"> has no positions and becomes a 1x1x1 box', node);
+      return;
+    }
+    const usesBinary = Object.keys(SVG3_GEOMETRY_ATTRIBUTES.mesh)
+      .some(name => /^\s*bytes:/.test(value(name) || ''));
+    if (usesBinary && value('href')) return;
+    try {
+      readMeshGeometry(value);
+    } catch (err) {
+      const at = node.attributes.get(err.message.split(' ')[0]) || node;
+      this._report('error', 'invalid-value', `Mesh geometry ${err.message}; it becomes a 1x1x1 box`, at);
+    }
+  }
+
+  // Unitless rotation components are ambiguous without an inherited
+  // rotationUnits: the parser reads them as radians, or the whole list as
+  // degrees when no component has a suffix and one exceeds 2π. Zeros are the
+  // same in every unit.
+  _checkRotationUnits(node, values, at) {
+    for (let n = node; n; n = n.parent) {
+      if (n.attributes.has('rotationUnits')) return;
+    }
+    const components = values.flatMap(v => v.split(','));
+    const suffixed = c => /[a-z]\s*$/i.test(c);
+    if (!components.some(c => !suffixed(c) && parseFloat(c) !== 0)) return;
+    const degrees = !components.some(suffixed) && components.map(parseFloat).some(v => Math.abs(v) > Math.PI * 2);
+    this._report('warning', 'rotation-units', degrees
+      ? `Unitless rotation on <${node.name}> is read as degrees because a component exceeds 2π ` +
+        '(smaller values would be radians); declare rotationUnits or use unit suffixes (45deg)'
+      : `Unitless rotation on <${node.name}> is read as radians (values up to 2π are radians); ` +
+        'declare rotationUnits or use unit suffixes (45deg)', at);
+  }
+
+  _checkMesh(node, ids) {
+    const geometry = node.attributes.get('geometry');
+    const material = node.attributes.get('material');
+    const src = node.attributes.get('src');
+    const animation = node.attributes.get('animation');
+    if (animation && !src) {
+      this._report('warning', 'ignored-attribute', 'animation on <mesh> is ignored without src', animation);
+    }
+    // A model mesh draws with the model's own geometry and materials
+    if (src && !geometry && !material) return;
+    if (!geometry) {
+      this._report('warning', 'missing-attribute', '<mesh> has no geometry and draws nothing', node);
+    } else if (!ids.geometry.has(geometry.value)) {
+      this._report('error', 'undefined-reference', `Geometry "${geometry.value}" is not defined in <defs>`, geometry);
+    }
+    if (!material) {
+      this._report('warning', 'missing-attribute', '<mesh> has no material and is not drawn', node);
+    } else if (!ids.material.has(material.value)) {
+      this._report('error', 'undefined-reference',
+        `Material "${material.value}" is not defined in <defs>; the mesh is not drawn`, material);
+    }
+  }
+
+  _checkScene(node, ids) {
+    const camera = node.attributes.get('camera');
+    if (!camera) return;
+    const target = ids.object.get(camera.value);
+    if (!target || target.node.name !== 'camera') {
+      this._report('error', 'undefined-reference', `Camera "${camera.value}" is not a <camera> id`, camera);
+    }
+  }
+
+  _checkAnimate(node) {
+    const attr = (name) => node.attributes.get(name);
+    if (!attr('attributeName')) {
+      this._report('error', 'missing-attribute', '<animate> has no attributeName', node);
+    }
+
+    const valuesAttr = attr('values');
+    let values = null;
+    if (valuesAttr) {
+      values = valuesAttr.value.split(';').map(s => s.trim()).filter(s => s.length > 0);
+      const angles = attr('attributeName') && attr('attributeName').value === 'rotation';
+      if (values.length === 0 || !values.every(v => SVG3Validator._isVector(v, angles))) {
+        this._report('error', 'invalid-value', 'values must be a ;-separated list of "x,y,z" vectors', valuesAttr);
+        return;
+      }
+    } else if (attr('from') && attr('to')) {
+      values = [attr('from').value, attr('to').value];
+    } else {
+      this._report('error', 'missing-attribute', '<animate> needs values, or from and to; it is ignored', node);
+      return;
+    }
+    if (attr('attributeName') && attr('attributeName').value === 'rotation') {
+      this._checkRotationUnits(node, values, valuesAttr || attr('from'));
+    }
+
+    const calcMode = attr('calcMode') ? attr('calcMode').value : 'linear';
+    const keyTimes = attr('keyTimes');
+    if (keyTimes && calcMode !== 'paced') {
+      const times = keyTimes.value.split(';').map(s => s.trim()).filter(s => s.length > 0);
+      const numbers = times.map(parseFloat);
+      const discrete = calcMode === 'discrete';
+      const valid = times.length === values.length && times.every(t => SVG3Validator._isNumber(t)) &&
+        numbers.every((k, i) => k >= 0 && k <= 1 && (i === 0 || k >= numbers[i - 1])) &&
+        numbers[0] === 0 && (discrete || numbers[numbers.length - 1] === 1);
+      if (!valid) {
+        const range = discrete ? 'from 0 to 1, the first 0' : 'from 0 to 1, the first 0 and the last 1';
+        this._report('error', 'invalid-value',
+          `keyTimes must be ${values.length} increasing numbers ${range}, one per value; they are ignored`, keyTimes);
+      }
+    }
+
+    const keySplines = attr('keySplines');
+    if (calcMode === 'spline') {
+      const splines = keySplines
+        ? keySplines.value.split(';').map(s => s.trim()).filter(s => s.length > 0).map(s => s.split(/[\s,]+/))
+        : [];
+      const valid = splines.length === values.length - 1 &&
+        splines.every(s => s.length === 4 && s.every(v => SVG3Validator._isNumber(v) && v >= 0 && v <= 1));
+      if (!valid) {
+        this._report('error', 'invalid-value',
+          `calcMode="spline" needs ${values.length - 1} keySplines of four numbers from 0 to 1; it plays linearly`,
+          keySplines || node);
+      }
+    }
+  }
+
+  static _isNumber(str) {
+    return /^\s*[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?\s*$/.test(str);
+  }
+
+  static _isAngle(str) {
+    const match = /^\s*(.*?)\s*(deg|rad|grad|turn)?\s*$/.exec(str);
+    return SVG3Validator._isNumber(match[1]);
+  }
+
+  // Three numbers; with `angles`, each may carry a unit suffix
+  static _isVector(str, angles = false) {
+    const parts = str.split(',');
+    return parts.length === 3 && parts.every(p => angles ? SVG3Validator._isAngle(p) : SVG3Validator._isNumber(p));
+  }
+}
+
+// Serializes a World back to SVG3 XML that SVG3ParserNEXUS reads into the
+// same entities. Geometries come from their GeometryLibrary `params`, or
+// are written as <geometry type="mesh"> vertex data when they have none,
+// materials from each mesh's Material component (meshes sharing a material
+// id but holding different values get suffixed ids), and nesting from
+// Transform.parent. Animated properties are written at their authored base
+// value. Anything the format cannot express is skipped and reported in
+// `warnings`.
+class SVG3Writer {
+  // options.baseUrl: URL the output will be saved to; texture URLs under the
+  // same origin are written relative to it. options.indent: indent string.
+  // options.filter: (entity) => boolean, which entities to write (default:
+  // everything except the renderer's default camera). options.meshEncoding:
+  // 'base64' (default) or 'text', how mesh geometry data is written.
+  constructor(world, geometryLibrary, options = {}) {
+    this.world = world;
+    this.geometryLibrary = geometryLibrary;
+    this.baseUrl = options.baseUrl || null;
+    this.indent = options.indent ?? '  ';
+    this.meshEncoding = options.meshEncoding === 'text' ? 'text' : 'base64';
+    this.filter = options.filter || (entity => {
+      const tag = entity.getComponent('tag');
+      return !(tag && tag.name === 'default-camera');
+    });
+    this.warnings = [];
+  }
+
+  // options.scenes: [{ id, children, camera }] as returned by
+  // SVG3ParserNEXUS.parse(); top-level entities listed in no scene go to the
+  // first one. Without scenes everything is written to a single scene.
+  write(options = {}) {
+    this.warnings = [];
+    this._materialIds = new Map();
+    this._materialDefs = [];
+
+    const entities = this.world.getEntities()
+      .filter(entity => entity.hasComponent('transform') && this.filter(entity))
+      .sort((a, b) => a.id - b.id);
+    const written = new Set(entities.map(entity => entity.id));
+
+    const childrenOf = new Map();
+    const roots = [];
+    for (const entity of entities) {
+      const parent = entity.getComponent('transform').parent;
+      if (parent !== null && parent !== undefined && written.has(parent) && !this._isSceneLevel(entity)) {
+        if (!childrenOf.has(parent)) childrenOf.set(parent, []);
+        childrenOf.get(parent).push(entity);
+      } else {
+        roots.push(entity);
+      }
+    }
+    this._childrenOf = childrenOf;
+
+    // Assign top-level entities to scenes, keeping each scene's own order
+    const sceneList = (options.scenes && options.scenes.length > 0)
+      ? options.scenes
+      : [{ id: options.sceneId || 'scene', children: [], camera: options.camera || null }];
+    const sceneRoots = sceneList.map(() => []);
+    const claimed = new Set();
+    const rootIds = new Set(roots.map(entity => entity.id));
+    sceneList.forEach((scene, i) => {
+      for (const id of scene.children || []) {
+        if (rootIds.has(id) && !claimed.has(id)) {
+          sceneRoots[i].push(this.world.getEntity(id));
+          claimed.add(id);
+        }
+      }
+    });
+    for (const entity of roots) {
+      if (!claimed.has(entity.id)) sceneRoots[0].push(entity);
+    }
+
+    // Scene bodies first: they decide which materials and geometries are used
+    const sceneBlocks = sceneList.map((scene, i) => this._writeScene(scene, sceneRoots[i], 1));
+
+    const lines = ['<?xml version="1.0" encoding="UTF-8"?>'];
+    lines.push('<svg3 version="1.0" xmlns="https://github.com/MarcoJ03rgensen/SVG3" rotationUnits="rad">');
+    const defs = this._writeDefs(entities, 2);
+    if (defs.length > 0) {
+      lines.push(this._pad(1) + '<defs>', ...defs, this._pad(1) + '</defs>');
+    }
+    for (const block of sceneBlocks) {
+      lines.push('', ...block);
+    }
+    lines.push('</svg3>');
+    return lines.join('\n') + '\n';
+  }
+
+  // The parser only reads cameras and lights as direct children of <scene>
+  _isSceneLevel(entity) {
+    return entity.hasComponent('camera') || entity.hasComponent('light');
+  }
+
+  _writeScene(scene, roots, depth) {
+    const attrs = [['id', scene.id || 'scene']];
+
+    // An untagged ambient light is written back as the scene attribute
+    const ambient = roots.find(entity => {
+      const light = entity.getComponent('light');
+      return light && light.type === 'ambient' && !entity.hasComponent('tag');
+    });
+    if (ambient) {
+      const light = ambient.getComponent('light');
+      attrs.push(['ambientLight', this._number(light.intensity)]);
+      if (!this._isWhite(light.color)) attrs.push(['ambientColor', this._color(light.color)]);
+    }
+
+    const body = [];
+    for (const entity of roots) {
+      if (entity === ambient) continue;
+      body.push(...this._writeEntity(entity, depth + 1));
+    }
+
+    const camera = scene.camera && this._resolveCamera(scene.camera);
+    if (camera) attrs.splice(1, 0, ['camera', camera]);
+
+    if (body.length === 0) return [this._element('scene', attrs, depth, true)];
+    return [this._element('scene', attrs, depth, false), ...body, this._pad(depth) + '</scene>'];
+  }
+
+  // Id of the camera a scene refers to, if it is still written
+  _resolveCamera(cameraId) {
+    for (const entity of this.world.getEntities()) {
+      const tag = entity.getComponent('tag');
+      if (tag && tag.name === cameraId && entity.hasComponent('camera') && this.filter(entity)) {
+        return cameraId;
+      }
+    }
+    this.warnings.push(`Scene camera "${cameraId}" is not written; the first camera will be used`);
+    return null;
+  }
+
+  _writeEntity(entity, depth) {
+    if (entity.hasComponent('camera')) return [this._writeCamera(entity, depth)];
+    if (entity.hasComponent('light')) return [this._writeLight(entity, depth)];
+    return this._writeObject(entity, depth);
+  }
+
+  _writeObject(entity, depth) {
+    const transform = entity.getComponent('transform');
+    const mesh = entity.getComponent('mesh');
+    const animation = entity.getComponent('animation');
+    const tagName = mesh ? 'mesh' : 'group';
+
+    const attrs = [];
+    this._pushId(attrs, entity);
+
+    if (mesh) {
+      if (mesh.geometryId) attrs.push(['geometry', mesh.geometryId]);
+      const materialId = this._materialIdFor(entity);
+      if (materialId) attrs.push(['material', materialId]);
+    }
+
+    const base = (property) => {
+      const track = animation && animation.tracks.find(t => t.property === property && t.baseValue);
+      return track ? track.baseValue : transform[property];
+    };
+    const position = base('position');
+    const rotation = base('rotation');
+    const scale = base('scale');
+    if (!this._isZero(position)) attrs.push(['position', this._vector(position)]);
+    this._pushRotation(attrs, transform, rotation);
+    if (!scale.every(v => v === 1)) attrs.push(['scale', this._vector(scale)]);
+
+    if (mesh) {
+      if (!mesh.castShadow) attrs.push(['castShadow', 'false']);
+      if (!mesh.receiveShadow) attrs.push(['receiveShadow', 'false']);
+      if (!mesh.visible) this.warnings.push(`Hidden mesh ${this._describe(entity)} is written visible`);
+    }
+
+    const body = [];
+    if (animation) {
+      for (const track of animation.tracks) {
+        const line = this._writeTrack(entity, track, depth + 1);
+        if (line) body.push(line);
+      }
+    }
+    for (const child of this._childrenOf.get(entity.id) || []) {
+      body.push(...this._writeEntity(child, depth + 1));
+    }
+
+    if (body.length === 0) return [this._element(tagName, attrs, depth, true)];
+    return [this._element(tagName, attrs, depth, false), ...body, this._pad(depth) + `</${tagName}>`];
+  }
+
+  _writeTrack(entity, track, depth) {
+    if (!['position', 'rotation', 'scale'].includes(track.property)) {
+      this.warnings.push(`Animation of "${track.property}" on ${this._describe(entity)} is not supported by SVG3`);
+      return null;
+    }
+
+    const values = track.values.map(v => this._vector(v));
+    const attrs = [['attributeName', track.property], ['values', values.join('; ')]];
+
+    if (track.calcMode !== 'linear') attrs.push(['calcMode', track.calcMode]);
+    // Paced key times are derived from the values on load
+    if (track.calcMode !== 'paced') {
+      attrs.push(['keyTimes', track.keyframes.map(k => this._number(k)).join('; ')]);
+    }
+    if (track.calcMode === 'spline' && track.keySplines) {
+      attrs.push(['keySplines', track.keySplines.map(s => s.map(v => this._number(v)).join(' ')).join('; ')]);
+    }
+    attrs.push(['dur', track.duration === Infinity ? 'indefinite' : this._number(track.duration) + 's']);
+    attrs.push(['repeatCount', track.repeatCount === Infinity ? 'indefinite' : this._number(track.repeatCount)]);
+    if (track.begin) attrs.push(['begin', this._number(track.begin) + 's']);
+    if (track.fill === 'freeze') attrs.push(['fill', 'freeze']);
+
+    return this._element('animate', attrs, depth, true);
+  }
+
+  _writeCamera(entity, depth) {
+    const camera = entity.getComponent('camera');
+    const transform = entity.getComponent('transform');
+    const attrs = [];
+    this._pushId(attrs, entity);
+    attrs.push(['type', camera.type]);
+
+    const parented = transform.parent !== null && transform.parent !== undefined;
+    const position = parented ? transform.getWorldPosition() : transform.position;
+    if (!this._isZero(position)) attrs.push(['position', this._vector(position)]);
+    if (parented) {
+      const rotation = transform.getWorldRotation();
+      if (!this._isZero(rotation)) attrs.push(['rotation', this._vector(rotation)]);
+    } else {
+      this._pushRotation(attrs, transform, transform.rotation);
+    }
+
+    if (camera.type === 'perspective') attrs.push(['fov', this._number(camera.fov)]);
+    attrs.push(['near', this._number(camera.near)], ['far', this._number(camera.far)]);
+    if (camera.aspect) attrs.push(['aspect', this._number(camera.aspect)]);
+    if (camera.target) attrs.push(['target', this._vector(camera.target)]);
+    if (camera.up && !(camera.up[0] === 0 && camera.up[1] === 1 && camera.up[2] === 0)) {
+      attrs.push(['up', this._vector(camera.up)]);
+    }
+    if (camera.type === 'orthographic') {
+      attrs.push(['size', this._number(camera.size)]);
+      if (camera.bounds) {
+        for (const side of ['left', 'right', 'bottom', 'top']) {
+          attrs.push([side, this._number(camera.bounds[side])]);
+        }
+      }
+    }
+    if (typeof camera.yaw === 'number' || typeof camera.pitch === 'number') {
+      this.warnings.push(`Camera ${this._describe(entity)} yaw/pitch are not written; its rotation and target are`);
+    }
+
+    return this._element('camera', attrs, depth, true);
+  }
+
+  _writeLight(entity, depth) {
+    const light = entity.getComponent('light');
+    const transform = entity.getComponent('transform');
+    const attrs = [];
+    this._pushId(attrs, entity);
+    attrs.push(['type', light.type]);
+
+    const parented = transform.parent !== null && transform.parent !== undefined;
+    const position = parented ? transform.getWorldPosition() : transform.position;
+    if (!this._isZero(position)) attrs.push(['position', this._vector(position)]);
+
+    attrs.push(['color', this._color(light.color)], ['intensity', this._number(light.intensity)]);
+    if (light.range !== 0) attrs.push(['range', this._number(light.range)]);
+    if (light.decay !== 2) attrs.push(['decay', this._number(light.decay)]);
+    if (!this._isZero(light.groundColor)) attrs.push(['groundColor', this._color(light.groundColor)]);
+    if (light.angle !== 30) attrs.push(['angle', this._number(light.angle)]);
+    if (light.innerAngle !== light.angle) attrs.push(['innerAngle', this._number(light.innerAngle)]);
+    if (!this._isZero(light.target)) attrs.push(['target', this._vector(light.target)]);
+    if (light.direction) attrs.push(['direction', this._vector(light.direction)]);
+
+    if (light.castShadow) attrs.push(['castShadow', 'true']);
+    const shadowDefaults = { shadowBias: 0.0005, shadowNormalBias: 0.02, shadowRadius: 1, shadowDistance: 30 };
+    for (const [name, fallback] of Object.entries(shadowDefaults)) {
+      if (light[name] !== fallback) attrs.push([name, this._number(light[name])]);
+    }
+
+    return this._element('light', attrs, depth, true);
+  }
+
+  _writeDefs(entities, depth) {
+    const lines = [];
+
+    const geometryIds = [];
+    for (const entity of entities) {
+      const mesh = entity.getComponent('mesh');
+      if (mesh && mesh.geometryId && !geometryIds.includes(mesh.geometryId)) geometryIds.push(mesh.geometryId);
+    }
+    for (const id of geometryIds) {
+      const geometry = this.geometryLibrary.geometries.get(id);
+      if (!geometry) {
+        this.warnings.push(`Geometry "${id}" is not in the geometry library`);
+      } else if (!geometry.params) {
+        lines.push(this._element('geometry', [['id', id], ['type', 'mesh'], ...this._meshAttributes(geometry)], depth, true));
+      } else {
+        const attrs = [['id', id], ['type', geometry.type]];
+        for (const [name, value] of Object.entries(geometry.params)) {
+          if (typeof value === 'boolean') {
+            if (value) attrs.push([name, 'true']);
+          } else if (typeof value === 'string') {
+            attrs.push([name, name === 'src' ? this._url(value) : value]);
+          } else {
+            attrs.push([name, this._number(value)]);
+          }
+        }
+        lines.push(this._element('geometry', attrs, depth, true));
+      }
+    }
+
+    for (const { id, attrs } of this._materialDefs) {
+      lines.push(this._element('material', [['id', id], ['type', 'standard'], ...attrs], depth, true));
+    }
+
+    return lines;
+  }
+
+  // Vertex data of raw geometry as <geometry type="mesh"> attributes
+  _meshAttributes(geometry) {
+    const indexType = geometry.indices instanceof Uint16Array ? 'uint16' : 'uint32';
+    const attrs = [['positions', this._meshData(geometry.vertices, 'float32')]];
+    attrs.push(['indices', this._meshData(geometry.indices, indexType)]);
+    if (this.meshEncoding === 'base64' && indexType !== 'uint32') attrs.push(['indexType', indexType]);
+    for (const name of Object.keys(MESH_ATTRIBUTES)) {
+      if (geometry[name]) attrs.push([name, this._meshData(geometry[name], 'float32')]);
+    }
+    return attrs;
+  }
+
+  // Number list, or little-endian base64 (see decodeMeshData)
+  _meshData(values, type) {
+    if (this.meshEncoding === 'text') return Array.from(values, v => this._number(v)).join(' ');
+    const Type = type === 'float32' ? Float32Array : MESH_INDEX_TYPES[type];
+    const view = new DataView(new ArrayBuffer(values.length * Type.BYTES_PER_ELEMENT));
+    for (let i = 0; i < values.length; i++) {
+      if (type === 'float32') view.setFloat32(i * 4, values[i], true);
+      else if (type === 'uint16') view.setUint16(i * 2, values[i], true);
+      else view.setUint32(i * 4, values[i], true);
+    }
+    return 'base64:' + encodeBase64(new Uint8Array(view.buffer));
+  }
+
+  // Material id for a mesh entity, registering its <defs> entry on first use
+  _materialIdFor(entity) {
+    const mesh = entity.getComponent('mesh');
+    const material = entity.getComponent('material');
+    if (!material) return mesh.materialId || null;
+
+    const attrs = this._materialAttributes(entity, material);
+    const key = JSON.stringify(attrs);
+    const name = mesh.materialId || 'material';
+    if (!this._materialIds.has(name)) this._materialIds.set(name, new Map());
+    const variants = this._materialIds.get(name);
+
+    if (!variants.has(key)) {
+      let id = mesh.materialId && variants.size === 0 ? name : `${name}-${variants.size + 1}`;
+      while (this._materialDefs.some(def => def.id === id)) id += '_';
+      variants.set(key, id);
+      this._materialDefs.push({ id, attrs });
+    }
+    return variants.get(key);
+  }
+
+  _materialAttributes(entity, material) {
+    const attrs = [
+      ['color', this._color(material.color, material.opacity ?? 1)],
+      ['metalness', this._number(material.metalness)],
+      ['roughness', this._number(material.roughness)]
+    ];
+
+    const glows = !this._isZero(material.emissive) || material.emissiveIntensity !== 0 || material.emissiveMap;
+    if (glows) {
+      attrs.push(['emissive', this._color(material.emissive)]);
+      attrs.push(['emissiveIntensity', this._number(material.emissiveIntensity)]);
+    }
+    if (material.normalScale !== 1) attrs.push(['normalScale', this._number(material.normalScale)]);
+    if (material.aoMapIntensity !== 1) attrs.push(['aoMapIntensity', this._number(material.aoMapIntensity)]);
+
+    const slots = ['map', 'normalMap', 'roughnessMap', 'metalnessMap', 'emissiveMap', 'aoMap'];
+    let sampling = null;
+    for (const slot of slots) {
+      const texture = material[slot];
+      if (!texture) continue;
+      if (!texture.url) {
+        this.warnings.push(`${slot} of ${this._describe(entity)} has no URL and is not written`);
+        continue;
+      }
+      attrs.push([slot, this._url(texture.url)]);
+
+      // Sampling attributes apply to every map of a material; use the first
+      if (!sampling) {
+        sampling = texture;
+      } else if (JSON.stringify(this._samplingAttributes(texture)) !== JSON.stringify(this._samplingAttributes(sampling))) {
+        this.warnings.push(`Maps of ${this._describe(entity)} use different sampling; the first map's is written`);
+      }
+    }
+    if (sampling) attrs.push(...this._samplingAttributes(sampling));
+
+    for (const flag of ['isGrass', 'isSky', 'isShadow', 'doubleSided']) {
+      if (material[flag]) this.warnings.push(`Material flag ${flag} of ${this._describe(entity)} is not supported by SVG3`);
+    }
+    // Loading derives transparent from the color's alpha
+    if (Boolean(material.transparent) !== (material.opacity ?? 1) < 1) {
+      this.warnings.push(`Material flag transparent of ${this._describe(entity)} does not follow its opacity ` +
+        'and is not supported by SVG3');
+    }
+
+    return attrs;
+  }
+
+  _samplingAttributes(texture) {
+    const attrs = [];
+    if (texture.wrapS === texture.wrapT) {
+      if (texture.wrapS !== 'repeat') attrs.push(['wrap', texture.wrapS]);
+    } else {
+      attrs.push(['wrapS', texture.wrapS], ['wrapT', texture.wrapT]);
+    }
+    if (texture.repeat[0] !== 1 || texture.repeat[1] !== 1) attrs.push(['repeat', this._pair(texture.repeat)]);
+    if (texture.offset[0] !== 0 || texture.offset[1] !== 0) attrs.push(['offset', this._pair(texture.offset)]);
+    if (texture.filter !== 'linear') attrs.push(['filter', texture.filter]);
+    if (!texture.mipmaps) attrs.push(['mipmaps', 'false']);
+    return attrs;
+  }
+
+  // Texture or model URL as seen from baseUrl: same-origin URLs become
+  // relative paths
+  _url(url) {
+    if (!this.baseUrl || url.startsWith('data:')) return url;
+    let target, base;
+    try {
+      target = new URL(url, this.baseUrl);
+      base = new URL(this.baseUrl);
+    } catch (e) {
+      return url;
+    }
+    if (target.origin !== base.origin || target.protocol !== base.protocol) return url;
+
+    const from = base.pathname.split('/').slice(0, -1);
+    const to = target.pathname.split('/');
+    let common = 0;
+    while (common < from.length && common < to.length - 1 && from[common] === to[common]) common++;
+    const up = from.length - common;
+    return '../'.repeat(up) + to.slice(common).join('/') + target.search + target.hash;
+  }
+
+  _pushId(attrs, entity) {
+    const tag = entity.getComponent('tag');
+    if (tag && tag.name) attrs.push(['id', tag.name]);
+  }
+
+  _describe(entity) {
+    const tag = entity.getComponent('tag');
+    return tag && tag.name ? `"${tag.name}"` : `entity ${entity.id}`;
+  }
+
+  // Rotations are written in radians (the document declares rotationUnits)
+  _pushRotation(attrs, transform, rotation) {
+    if (transform.quaternion) {
+      attrs.push(['quaternion', transform.quaternion.map(c => this._number(c)).join(',')]);
+    } else if (!this._isZero(rotation)) {
+      attrs.push(['rotation', this._vector(rotation)]);
+    }
+    if (transform.rotationOrder !== 'XYZ') attrs.push(['rotationOrder', transform.rotationOrder]);
+  }
+
+  _vector(v) {
+    return [v[0], v[1], v[2]].map(c => this._number(c)).join(',');
+  }
+
+  _pair(v) {
+    return `${this._number(v[0])},${this._number(v[1])}`;
+  }
+
+  // Shortest text that parses back to the same double
+  _number(v) {
+    if (!Number.isFinite(v) || v === 0) return '0';
+    return String(v);
+  }
+
+  // Hex when every channel is an exact 8-bit value, else color(srgb ...) at
+  // full precision; alpha below 1 is appended either way
+  _color(rgb, alpha = 1) {
+    const channels = [...rgb.slice(0, 3), alpha].map(c => Math.max(0, Math.min(1, c)));
+    if (channels.every(c => Math.round(c * 255) / 255 === c)) {
+      return '#' + channels.slice(0, alpha < 1 ? 4 : 3)
+        .map(c => Math.round(c * 255).toString(16).padStart(2, '0')).join('');
+    }
+    const components = channels.slice(0, 3).map(c => this._number(c)).join(' ');
+    return alpha < 1
+      ? `color(srgb ${components} / ${this._number(channels[3])})`
+      : `color(srgb ${components})`;
+  }
+
+  _isZero(v) {
+    return !v || (v[0] === 0 && v[1] === 0 && v[2] === 0);
+  }
+
+  _isWhite(rgb) {
+    return rgb[0] === 1 && rgb[1] === 1 && rgb[2] === 1;
+  }
+
+  _pad(depth) {
+    return this.indent.repeat(depth);
+  }
+
+  _element(name, attrs, depth, selfClosing) {
+    const text = attrs.map(([key, value]) => ` ${key}="${SVG3Writer.escape(String(value))}"`).join('');
+    return `${this._pad(depth)}<${name}${text}${selfClosing ? ' />' : '>'}`;
+  }
+
+  static escape(value) {
+    return value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  }
+}
+
+// ============================================================================
+// PART 6: MODEL IMPORT
+// ============================================================================
+
+// glTF accessor component types, element sizes and DataView readers
+const GLTF_COMPONENT_TYPES = {
+  5120: [Int8Array, 'getInt8', 127],
+  5121: [Uint8Array, 'getUint8', 255],
+  5122: [Int16Array, 'getInt16', 32767],
+  5123: [Uint16Array, 'getUint16', 65535],
+  5125: [Uint32Array, 'getUint32', 4294967295],
+  5126: [Float32Array, 'getFloat32', 1]
+};
+const GLTF_TYPE_SIZES = { SCALAR: 1, VEC2: 2, VEC3: 3, VEC4: 4, MAT2: 4, MAT3: 9, MAT4: 16 };
+const GLTF_WRAP_MODES = { 33071: 'clamp', 33648: 'mirror', 10497: 'repeat' };
+// Animated node properties and the Transform field they drive
+const GLTF_ANIMATION_PATHS = { translation: 'position', rotation: 'quaternion', scale: 'scale' };
+// Material of primitives without one
+const GLTF_DEFAULT_MATERIAL = { name: null, color: [1, 1, 1], options: { metalness: 1, roughness: 1 } };
+// Extensions a document may require that are read here
+const GLTF_EXTENSIONS = [
+  'KHR_lights_punctual', 'KHR_texture_transform', 'KHR_materials_emissive_strength', 'KHR_mesh_quantization'
+];
+
+// sRGB-encoded copy of a linear glTF color, rounded so white stays exactly 1
+function srgbFromGltf(color) {
+  return color.map(c => Math.round(linearToSrgb(c) * 1e9) / 1e9);
+}
+
+// Name of a model file for geometry ids and messages: "robot" for ".../robot.glb"
+function modelName(url, fallback) {
+  return url ? decodeURIComponent(url.split(/[?#]/)[0].split(/[/\\]/).pop().replace(/\.[^.]*$/, '')) : fallback;
+}
+
+// `id`, or `id~2`, `id~3`... when the library already has it
+function uniqueGeometryId(geometryLibrary, id) {
+  let unique = id;
+  for (let n = 2; geometryLibrary.getGeometry(unique); n++) unique = `${id}~${n}`;
+  return unique;
+}
+
+// Mesh and Material for each primitive ({ geometryId, material }) of a model
+// node or group: the first on `entity`, the others on child entities, which
+// are appended to `entities`. `materialOf(primitive)` gives the material as
+// { name, color, options }. Returns the child entity ids.
+function addModelPrimitives(world, entity, primitives, materialOf, entities) {
+  const children = [];
+  primitives.forEach((primitive, p) => {
+    let target = entity;
+    if (p > 0) {
+      target = world.createEntity();
+      const transform = new Transform();
+      transform.parent = entity.id;
+      world.addComponent(target, 'transform', transform);
+      entities.push(target);
+      children.push(target.id);
+    }
+    const material = materialOf(primitive);
+    world.addComponent(target, 'mesh', new Mesh(primitive.geometryId, material.name));
+    world.addComponent(target, 'material', new Material([...material.color], { ...material.options }));
+  });
+  return children;
+}
+
+// Start loading a model's texture maps; failures are logged
+function loadModelTextures(model) {
+  if (typeof Image === 'undefined') return Promise.resolve([]);
+  return Promise.all(model.textures.map(texture => texture.load().catch(err => {
+    console.warn(err.message);
+    return null;
+  })));
+}
+
+// Reads glTF 2.0 (.gltf with embedded or external buffers, or binary .glb)
+// and instantiates its nodes as entities: Transform (plus Hierarchy for
+// nodes with children and Tag for named ones), Mesh and Material per mesh
+// primitive, Camera, Light for KHR_lights_punctual, and Animation tracks for
+// one animation clip. Geometries and textures are created once per model and
+// shared by all its instances.
+//
+//   const loader = new GLTFLoader(world, geometryLibrary);
+//   const model = await loader.load('robot.glb');
+//   const { roots } = loader.instantiate(model);
+//   loader.instantiate(model, { node: 'Arm', parent: entity.id, animation: 'Wave' });
+//
+// glTF colors are linear and get sRGB-encoded like authored SVG3 colors. The
+// V texture coordinate is flipped to the renderer's bottom-up convention.
+// Skins, morph targets, points and lines are skipped and listed in `warnings`.
+class GLTFLoader {
+  // options.loadBinary: (url) => Promise<ArrayBuffer> for the document and
+  // the buffers and images it references (default: fetch, or the file
+  // system for file: URLs in Node)
+  constructor(world, geometryLibrary, options = {}) {
+    this.world = world;
+    this.geometryLibrary = geometryLibrary;
+    this.loadBinary = options.loadBinary || fetchBinary;
+    this.warnings = [];
+  }
+
+  // Fetch and read a .gltf or .glb; resolves with a model for instantiate()
+  async load(url) {
+    return this.parse(await this.loadBinary(url), url);
+  }
+
+  // Read a document from an ArrayBuffer or typed array (.glb or .gltf JSON
+  // text), a JSON string or a parsed object. `url` is what relative buffer
+  // and image URIs resolve against.
+  async parse(data, url = null) {
+    let json = data;
+    let glbChunk = null;
+    if (data instanceof ArrayBuffer || ArrayBuffer.isView(data)) {
+      const bytes = data instanceof ArrayBuffer
+        ? new Uint8Array(data)
+        : new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+      const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+      if (bytes.byteLength >= 12 && view.getUint32(0, true) === 0x46546c67) {
+        ({ json, binary: glbChunk } = GLTFLoader._readGlb(bytes, view));
+      } else {
+        json = JSON.parse(new TextDecoder().decode(bytes));
+      }
+    } else if (typeof data === 'string') {
+      json = JSON.parse(data);
+    }
+
+    const version = json.asset && json.asset.version;
+    if (!version || parseInt(version, 10) !== 2) {
+      throw new Error(`GLTFLoader: unsupported glTF version ${version} in ${url || 'document'}`);
+    }
+    for (const extension of json.extensionsRequired || []) {
+      if (!GLTF_EXTENSIONS.includes(extension)) {
+        throw new Error(`GLTFLoader: required extension ${extension} of ${url || 'document'} is not supported`);
+      }
+    }
+
+    const resolve = (uri) => {
+      if (!url || uri.startsWith('data:')) return uri;
+      try {
+        return new URL(uri, url).href;
+      } catch (e) {
+        // A relative document URL: keep paths relative to its directory
+        return url.replace(/[^/\\]*$/, '') + uri;
+      }
+    };
+    const buffers = await Promise.all((json.buffers || []).map(async (buffer, i) => {
+      if (buffer.uri === undefined) {
+        if (i !== 0 || !glbChunk) throw new Error(`GLTFLoader: buffer ${i} has no data`);
+        return glbChunk;
+      }
+      const base64 = /^data:[^,]*;base64,/.exec(buffer.uri);
+      if (base64) return decodeBase64(buffer.uri.slice(base64[0].length));
+      return new Uint8Array(await this.loadBinary(resolve(buffer.uri)));
+    }));
+
+    const name = modelName(url, 'gltf');
+    const model = {
+      url,
+      name,
+      json,
+      buffers,
+      resolve,
+      meshes: [],
+      materials: [],
+      textures: [],
+      cameras: (json.cameras || []).map(def => GLTFLoader._camera(def)),
+      lights: ((json.extensions && json.extensions.KHR_lights_punctual || {}).lights || []),
+      animations: [],
+      _textureCache: new Map()
+    };
+
+    model.materials = (json.materials || []).map((def, i) => this._readMaterial(model, def, i));
+    model.meshes = (json.meshes || []).map((def, i) => this._readMesh(model, def, i));
+    model.animations = (json.animations || []).map((def, i) => this._readAnimation(model, def, i));
+    delete model._textureCache;
+    return model;
+  }
+
+  static _readGlb(bytes, view) {
+    if (view.getUint32(4, true) !== 2) throw new Error(`GLTFLoader: unsupported GLB version ${view.getUint32(4, true)}`);
+    const length = Math.min(view.getUint32(8, true), bytes.byteLength);
+    let json = null;
+    let binary = null;
+    for (let offset = 12; offset + 8 <= length;) {
+      const chunkLength = view.getUint32(offset, true);
+      const type = view.getUint32(offset + 4, true);
+      const chunk = bytes.subarray(offset + 8, offset + 8 + chunkLength);
+      if (type === 0x4e4f534a) json = JSON.parse(new TextDecoder().decode(chunk));
+      else if (type === 0x004e4942 && !binary) binary = chunk;
+      offset += 8 + chunkLength;
+    }
+    if (!json) throw new Error('GLTFLoader: GLB has no JSON chunk');
+    return { json, binary };
+  }
+
+  // Flat array of an accessor's elements: Float32Array (normalized integers
+  // mapped to 0..1 or -1..1), or Uint32Array with `asFloat` false (indices)
+  _readAccessor(model, index, asFloat = true) {
+    const accessor = model.json.accessors[index];
+    const size = GLTF_TYPE_SIZES[accessor.type];
+    const count = accessor.count * size;
+    const out = asFloat ? new Float32Array(count) : new Uint32Array(count);
+    const normalize = asFloat && accessor.normalized;
+    if (accessor.bufferView !== undefined) {
+      this._readView(model, accessor.bufferView, accessor.byteOffset || 0, accessor.componentType, size,
+        accessor.count, normalize, (i, v) => { out[i] = v; });
+    }
+    if (accessor.sparse) {
+      const { count: n, indices, values } = accessor.sparse;
+      const targets = [];
+      this._readView(model, indices.bufferView, indices.byteOffset || 0, indices.componentType, 1, n, false,
+        (i, v) => { targets[i] = v; });
+      this._readView(model, values.bufferView, values.byteOffset || 0, accessor.componentType, size, n, normalize,
+        (i, v) => { out[targets[Math.floor(i / size)] * size + i % size] = v; });
+    }
+    return out;
+  }
+
+  _readView(model, viewIndex, byteOffset, componentType, size, count, normalize, write) {
+    const bufferView = model.json.bufferViews[viewIndex];
+    const bytes = model.buffers[bufferView.buffer];
+    const [Type, getter, max] = GLTF_COMPONENT_TYPES[componentType];
+    const stride = bufferView.byteStride || Type.BYTES_PER_ELEMENT * size;
+    const view = new DataView(bytes.buffer, bytes.byteOffset + (bufferView.byteOffset || 0) + byteOffset);
+    for (let i = 0; i < count; i++) {
+      for (let k = 0; k < size; k++) {
+        const value = view[getter](i * stride + k * Type.BYTES_PER_ELEMENT, true);
+        write(i * size + k, normalize ? Math.max(value / max, -1) : value);
+      }
+    }
+  }
+
+  // One GeometryLibrary entry per triangle primitive
+  _readMesh(model, def, index) {
+    const label = `Mesh "${def.name || index}" of ${model.name}`;
+    const primitives = [];
+    def.primitives.forEach((primitive, p) => {
+      const mode = primitive.mode ?? 4;
+      if (mode < 4) {
+        this.warnings.push(`${label}: primitive ${p} draws points or lines and is skipped`);
+        return;
+      }
+      if (primitive.targets) this.warnings.push(`${label}: morph targets are not supported`);
+      if (primitive.attributes.JOINTS_0 !== undefined) this.warnings.push(`${label}: skinning is not supported`);
+      const attributes = primitive.attributes;
+      if (attributes.POSITION === undefined) return;
+
+      const positions = this._readAccessor(model, attributes.POSITION);
+      const vertexCount = positions.length / 3;
+      const read = name => (attributes[name] !== undefined ? this._readAccessor(model, attributes[name]) : null);
+      const uvs = read('TEXCOORD_0');
+      const tangents = read('TANGENT');
+      if (uvs) {
+        for (let i = 1; i < uvs.length; i += 2) uvs[i] = 1 - uvs[i];
+        // Flipping V mirrors the bitangent
+        if (tangents) for (let i = 3; i < tangents.length; i += 4) tangents[i] = -tangents[i];
+      }
+
+      let indices = primitive.indices !== undefined
+        ? this._readAccessor(model, primitive.indices, false)
+        : Uint32Array.from({ length: vertexCount }, (_, i) => i);
+      if (mode === 5 || mode === 6) indices = GLTFLoader._triangulate(indices, mode);
+      else if (indices.length % 3 !== 0) indices = indices.subarray(0, indices.length - indices.length % 3);
+
+      const id = uniqueGeometryId(this.geometryLibrary,
+        `${model.name}/${def.name || `mesh${index}`}${def.primitives.length > 1 ? `/${p}` : ''}`);
+      this.geometryLibrary.addGeometry(id, positions, indices, uvs, {
+        normals: read('NORMAL'),
+        tangents,
+        colors: read('COLOR_0')
+      });
+      primitives.push({ geometryId: id, material: primitive.material ?? null });
+    });
+    return primitives;
+  }
+
+  // Triangle list from a strip (mode 5) or fan (mode 6)
+  static _triangulate(indices, mode) {
+    const out = [];
+    for (let i = 0; i + 2 < indices.length; i++) {
+      if (mode === 5) {
+        out.push(indices[i + (i % 2)], indices[i + 1 - (i % 2)], indices[i + 2]);
+      } else {
+        out.push(indices[0], indices[i + 1], indices[i + 2]);
+      }
+    }
+    return Uint32Array.from(out);
+  }
+
+  // Material component arguments for a glTF material
+  _readMaterial(model, def, index) {
+    const pbr = def.pbrMetallicRoughness || {};
+    const factor = pbr.baseColorFactor || [1, 1, 1, 1];
+    const alphaMode = def.alphaMode || 'OPAQUE';
+    const label = `Material "${def.name || index}" of ${model.name}`;
+    if (alphaMode === 'MASK') this.warnings.push(`${label}: alphaMode MASK is drawn opaque`);
+    const extensions = def.extensions || {};
+    const strength = extensions.KHR_materials_emissive_strength
+      ? extensions.KHR_materials_emissive_strength.emissiveStrength ?? 1
+      : 1;
+    const emissive = def.emissiveFactor || [0, 0, 0];
+    const texture = info => (info ? this._readTexture(model, info, label) : null);
+    const metallicRoughness = texture(pbr.metallicRoughnessTexture);
+
+    return {
+      name: def.name || null,
+      color: srgbFromGltf(factor.slice(0, 3)),
+      options: {
+        opacity: alphaMode === 'BLEND' ? factor[3] : 1,
+        transparent: alphaMode === 'BLEND',
+        metalness: pbr.metallicFactor ?? 1,
+        roughness: pbr.roughnessFactor ?? 1,
+        emissive: srgbFromGltf(emissive),
+        emissiveIntensity: emissive.some(c => c > 0) ? strength : 0,
+        doubleSided: !!def.doubleSided,
+        map: texture(pbr.baseColorTexture),
+        normalMap: texture(def.normalTexture),
+        normalScale: def.normalTexture ? def.normalTexture.scale ?? 1 : 1,
+        // glTF packs roughness in green and metalness in blue, as Material reads them
+        roughnessMap: metallicRoughness,
+        metalnessMap: metallicRoughness,
+        emissiveMap: texture(def.emissiveTexture),
+        aoMap: texture(def.occlusionTexture),
+        aoMapIntensity: def.occlusionTexture ? def.occlusionTexture.strength ?? 1 : 1
+      }
+    };
+  }
+
+  // Texture for a textureInfo, shared between materials using the same
+  // texture with the same KHR_texture_transform
+  _readTexture(model, info, label) {
+    const json = model.json;
+    const transform = (info.extensions || {}).KHR_texture_transform || null;
+    if ((transform && transform.texCoord !== undefined ? transform.texCoord : info.texCoord || 0) !== 0) {
+      this.warnings.push(`${label}: only the first texture coordinate set is supported`);
+    }
+    if (transform && transform.rotation) this.warnings.push(`${label}: texture rotation is not supported`);
+    const key = `${info.index}:${JSON.stringify(transform)}`;
+    if (model._textureCache.has(key)) return model._textureCache.get(key);
+
+    const def = json.textures[info.index];
+    const image = json.images && json.images[def.source];
+    if (!image) return null;
+    let url;
+    if (image.uri !== undefined) {
+      url = model.resolve(image.uri);
+    } else {
+      const view = json.bufferViews[image.bufferView];
+      const bytes = model.buffers[view.buffer].subarray(view.byteOffset || 0, (view.byteOffset || 0) + view.byteLength);
+      url = `data:${image.mimeType || 'image/png'};base64,${encodeBase64(bytes)}`;
+    }
+
+    const sampler = (json.samplers || [])[def.sampler] || {};
+    // glTF V runs top-down; Texture offsets apply to the flipped coordinate
+    const scale = transform && transform.scale || [1, 1];
+    const offset = transform && transform.offset || [0, 0];
+    const texture = new Texture(url, {
+      wrapS: GLTF_WRAP_MODES[sampler.wrapS] || 'repeat',
+      wrapT: GLTF_WRAP_MODES[sampler.wrapT] || 'repeat',
+      filter: sampler.magFilter === 9728 ? 'nearest' : 'linear',
+      mipmaps: sampler.minFilter === undefined || sampler.minFilter > 9729,
+      repeat: [scale[0], scale[1]],
+      offset: [offset[0], 1 - scale[1] - offset[1]]
+    });
+    model.textures.push(texture);
+    model._textureCache.set(key, texture);
+    return texture;
+  }
+
+  static _camera(def) {
+    if (def.type === 'orthographic') {
+      const o = def.orthographic || {};
+      return { type: 'orthographic', options: { size: o.ymag ?? 1, near: o.znear ?? 0.01, far: o.zfar ?? 1000 } };
+    }
+    const p = def.perspective || {};
+    return {
+      type: 'perspective',
+      options: {
+        fov: (p.yfov ?? Math.PI / 4) * 180 / Math.PI,
+        near: p.znear ?? 0.01,
+        far: p.zfar ?? 1000,
+        aspect: p.aspectRatio ?? null
+      }
+    };
+  }
+
+  // A clip as { name, duration, tracks: [{ node, property, times, values, calcMode }] }.
+  // Cubic spline channels are resampled into linear keys.
+  _readAnimation(model, def, index) {
+    const name = def.name || `animation${index}`;
+    const tracks = [];
+    let duration = 0;
+    for (const channel of def.channels) {
+      const target = channel.target;
+      if (target.node === undefined) continue;
+      const property = GLTF_ANIMATION_PATHS[target.path];
+      if (!property) {
+        this.warnings.push(`Animation "${name}" of ${model.name}: ${target.path} channels are not supported`);
+        continue;
+      }
+      const sampler = def.samplers[channel.sampler];
+      const size = property === 'quaternion' ? 4 : 3;
+      let times = Array.from(this._readAccessor(model, sampler.input));
+      const output = this._readAccessor(model, sampler.output);
+      let values;
+      if (sampler.interpolation === 'CUBICSPLINE') {
+        ({ times, values } = GLTFLoader._sampleCubicSpline(times, output, size));
+      } else {
+        values = times.map((_, i) => Array.from(output.subarray(i * size, i * size + size)));
+      }
+      if (property === 'quaternion') values = values.map(q => Quaternion.normalize(q) || [0, 0, 0, 1]);
+      if (times.length === 0) continue;
+      duration = Math.max(duration, times[times.length - 1]);
+      tracks.push({
+        node: target.node,
+        property,
+        times,
+        values,
+        calcMode: sampler.interpolation === 'STEP' ? 'discrete' : 'linear'
+      });
+    }
+    return { name, duration, tracks };
+  }
+
+  // Hermite curve through glTF cubic spline keys (in-tangent, value,
+  // out-tangent per key), sampled four times per interval
+  static _sampleCubicSpline(times, output, size, steps = 4) {
+    const key = (i, part) => Array.from(output.subarray((i * 3 + part) * size, (i * 3 + part + 1) * size));
+    const sampledTimes = [];
+    const values = [];
+    for (let i = 0; i < times.length; i++) {
+      if (i === times.length - 1) {
+        sampledTimes.push(times[i]);
+        values.push(key(i, 1));
+        break;
+      }
+      const dt = times[i + 1] - times[i];
+      const p0 = key(i, 1), m0 = key(i, 2), p1 = key(i + 1, 1), m1 = key(i + 1, 0);
+      for (let step = 0; step < steps; step++) {
+        const s = step / steps, s2 = s * s, s3 = s2 * s;
+        const h00 = 2 * s3 - 3 * s2 + 1, h10 = s3 - 2 * s2 + s, h01 = -2 * s3 + 3 * s2, h11 = s3 - s2;
+        sampledTimes.push(times[i] + s * dt);
+        values.push(p0.map((v, k) => h00 * v + h10 * dt * m0[k] + h01 * p1[k] + h11 * dt * m1[k]));
+      }
+    }
+    return { times: sampledTimes, values };
+  }
+
+  // Texture maps of a model, loaded like SVG3ParserNEXUS.loadTextures
+  loadTextures(model) {
+    return loadModelTextures(model);
+  }
+
+  // Create entities for a model's scene (options.scene, default the
+  // document's default scene) or for one node and its subtree (options.node,
+  // a node name or index), under options.parent (an entity id) if given.
+  // options.animation picks the clip to play by name or index (default the
+  // first; null for none) and options.loop whether it repeats (default true).
+  // Returns { roots, entities, nodes } with nodes mapping node index to entity.
+  instantiate(model, options = {}) {
+    const json = model.json;
+    const nodeDefs = json.nodes || [];
+    let rootNodes;
+    if (options.node !== undefined && options.node !== null) {
+      const index = typeof options.node === 'number'
+        ? options.node
+        : nodeDefs.findIndex(node => node.name === options.node);
+      if (!nodeDefs[index]) throw new Error(`GLTFLoader: no node "${options.node}" in ${model.name}`);
+      rootNodes = [index];
+    } else {
+      const scene = (json.scenes || [])[options.scene ?? json.scene ?? 0];
+      if (scene) {
+        rootNodes = scene.nodes || [];
+      } else {
+        const children = new Set(nodeDefs.flatMap(node => node.children || []));
+        rootNodes = nodeDefs.map((_, i) => i).filter(i => !children.has(i));
+      }
+    }
+
+    const parent = options.parent ?? null;
+    const nodes = new Map();
+    const entities = [];
+    const roots = rootNodes.map(index => this._instantiateNode(model, index, parent, nodes, entities));
+
+    if (parent !== null) {
+      const parentEntity = this.world.getEntity(parent);
+      const hierarchy = parentEntity && parentEntity.getComponent('hierarchy');
+      if (hierarchy) hierarchy.children.push(...roots.map(entity => entity.id));
+    }
+
+    // Punctual lights shine down their node's -Z axis. Matrices are composed
+    // here rather than by propagateTransforms, whose queries may not see the
+    // new entities yet inside world.batch().
+    for (const entity of entities) {
+      const light = entity.getComponent('light');
+      if (!light || light.type === 'point') continue;
+      let m = Matrix4.identity();
+      for (let t = entity.getComponent('transform'); t;) {
+        m = Matrix4.multiply(t.quaternion
+          ? Matrix4.composeQuaternion(t.position, t.quaternion, t.scale)
+          : Matrix4.compose(t.position, t.rotation, t.scale, t.rotationOrder), m);
+        const parentEntity = t.parent ? this.world.getEntity(t.parent) : null;
+        t = parentEntity ? parentEntity.getComponent('transform') : null;
+      }
+      const len = Math.hypot(m[8], m[9], m[10]) || 1;
+      light.direction = [-m[8] / len, -m[9] / len, -m[10] / len];
+    }
+
+    const clipRef = options.animation === undefined ? 0 : options.animation;
+    if (clipRef !== null) {
+      const clip = typeof clipRef === 'number'
+        ? model.animations[clipRef]
+        : model.animations.find(animation => animation.name === clipRef);
+      if (clip) this._applyAnimation(clip, nodes, options.loop ?? true);
+      else if (clipRef !== 0) this.warnings.push(`Animation "${clipRef}" is not in ${model.name}`);
+    }
+
+    return { roots, entities, nodes };
+  }
+
+  _instantiateNode(model, index, parentId, nodes, entities) {
+    const node = model.json.nodes[index];
+    const entity = this.world.createEntity();
+    nodes.set(index, entity);
+    entities.push(entity);
+
+    const transform = new Transform();
+    if (node.matrix) {
+      const m = node.matrix;
+      const scale = [Math.hypot(m[0], m[1], m[2]), Math.hypot(m[4], m[5], m[6]), Math.hypot(m[8], m[9], m[10])];
+      const det = m[0] * (m[5] * m[10] - m[6] * m[9]) - m[4] * (m[1] * m[10] - m[2] * m[9]) + m[8] * (m[1] * m[6] - m[2] * m[5]);
+      if (det < 0) scale[0] = -scale[0];
+      transform.position = [m[12], m[13], m[14]];
+      transform.scale = scale;
+      transform.quaternion = Quaternion.fromMatrix([
+        m[0] / scale[0], m[1] / scale[0], m[2] / scale[0], 0,
+        m[4] / scale[1], m[5] / scale[1], m[6] / scale[1], 0,
+        m[8] / scale[2], m[9] / scale[2], m[10] / scale[2], 0
+      ]);
+    } else {
+      transform.position = node.translation ? [...node.translation] : [0, 0, 0];
+      transform.quaternion = node.rotation ? Quaternion.normalize(node.rotation) : null;
+      transform.scale = node.scale ? [...node.scale] : [1, 1, 1];
+    }
+    if (parentId !== null) transform.parent = parentId;
+    this.world.addComponent(entity, 'transform', transform);
+
+    const primitives = node.mesh !== undefined ? model.meshes[node.mesh] || [] : [];
+    const children = addModelPrimitives(this.world, entity, primitives,
+      primitive => (primitive.material !== null ? model.materials[primitive.material] : GLTF_DEFAULT_MATERIAL), entities);
+
+    if (node.camera !== undefined && model.cameras[node.camera]) {
+      const camera = model.cameras[node.camera];
+      this.world.addComponent(entity, 'camera', new Camera(camera.type, { ...camera.options }));
+    }
+
+    const lightRef = node.extensions && node.extensions.KHR_lights_punctual;
+    const lightDef = lightRef ? model.lights[lightRef.light] : null;
+    if (lightDef) {
+      const spot = lightDef.spot || {};
+      this.world.addComponent(entity, 'light', new Light(lightDef.type, {
+        color: srgbFromGltf(lightDef.color || [1, 1, 1]),
+        intensity: lightDef.intensity ?? 1,
+        range: lightDef.range ?? 0,
+        angle: (spot.outerConeAngle ?? Math.PI / 4) * 180 / Math.PI,
+        innerAngle: (spot.innerConeAngle ?? 0) * 180 / Math.PI
+      }));
+    }
+
+    for (const child of node.children || []) {
+      children.push(this._instantiateNode(model, child, entity.id, nodes, entities).id);
+    }
+
+    if (children.length > 0) {
+      const hierarchy = new Hierarchy();
+      hierarchy.children = children;
+      if (parentId !== null) hierarchy.parent = parentId;
+      this.world.addComponent(entity, 'hierarchy', hierarchy);
+    }
+
+    if (node.name) {
+      this.world.addComponent(entity, 'tag', new Tag(node.name));
+    }
+
+    return entity;
+  }
+
+  // Animation components (one per animated node) playing `clip`
+  _applyAnimation(clip, nodes, loop) {
+    const duration = clip.duration > 0 ? clip.duration : 1;
+    for (const track of clip.tracks) {
+      const entity = nodes.get(track.node);
+      if (!entity) continue;
+      const transform = entity.getComponent('transform');
+      let animation = entity.getComponent('animation');
+      if (!animation) {
+        animation = new Animation(clip.name);
+        this.world.addComponent(entity, 'animation', animation);
+        animation.playing = true;
+      }
+      if (track.property === 'quaternion' && !transform.quaternion) {
+        transform.quaternion = Quaternion.fromEuler(transform.rotation, transform.rotationOrder);
+      }
+
+      // Key times are fractions of the whole clip, so tracks stay in step;
+      // values hold before the first key and after the last
+      const keyframes = track.times.map(t => t / duration);
+      const values = track.values.map(v => [...v]);
+      if (keyframes[0] > 0) {
+        keyframes.unshift(0);
+        values.unshift([...values[0]]);
+      }
+      if (keyframes[keyframes.length - 1] < 1) {
+        keyframes.push(1);
+        values.push([...values[values.length - 1]]);
+      }
+      animation.addTrack(track.property, keyframes, values, {
+        calcMode: track.calcMode,
+        duration,
+        repeatCount: loop ? Infinity : 1,
+        fill: 'freeze',
+        baseValue: [...transform[track.property]]
+      });
+    }
+  }
+}
+
+// Triangles covering a simple polygon (points in order, planar or nearly so)
+// by ear clipping in the plane `normal` faces most; corners index `points`
+// and keep the polygon's winding. Degenerate remainders are fanned.
+function triangulatePolygon(points, normal) {
+  if (points.length === 3) return [[0, 1, 2]];
+  const abs = normal.map(Math.abs);
+  const axis = abs[0] >= abs[1] && abs[0] >= abs[2] ? 0 : abs[1] >= abs[2] ? 1 : 2;
+  const [a, b] = [[1, 2], [2, 0], [0, 1]][axis];
+  // Mirror polygons facing down the axis so they wind counter-clockwise
+  const flip = normal[axis] < 0 ? -1 : 1;
+  const p = points.map(q => [q[a], q[b] * flip]);
+  const cross = (o, u, v) => (u[0] - o[0]) * (v[1] - o[1]) - (u[1] - o[1]) * (v[0] - o[0]);
+
+  const remaining = points.map((_, i) => i);
+  const triangles = [];
+  while (remaining.length > 3) {
+    let clipped = false;
+    for (let i = 0; i < remaining.length && !clipped; i++) {
+      const i0 = remaining[(i + remaining.length - 1) % remaining.length];
+      const i1 = remaining[i];
+      const i2 = remaining[(i + 1) % remaining.length];
+      if (cross(p[i0], p[i1], p[i2]) <= 0) continue;
+      const blocked = remaining.some(j => j !== i0 && j !== i1 && j !== i2 &&
+        cross(p[i0], p[i1], p[j]) >= 0 && cross(p[i1], p[i2], p[j]) >= 0 && cross(p[i2], p[i0], p[j]) >= 0);
+      if (blocked) continue;
+      triangles.push([i0, i1, i2]);
+      remaining.splice(i, 1);
+      clipped = true;
+    }
+    if (!clipped) break;
+  }
+  for (let i = 1; i + 1 < remaining.length; i++) triangles.push([remaining[0], remaining[i], remaining[i + 1]]);
+  return triangles;
+}
+
+// Unnormalized polygon normal (Newell's method); its length is twice the area
+function polygonNormal(points) {
+  const n = [0, 0, 0];
+  for (let i = 0; i < points.length; i++) {
+    const p = points[i], q = points[(i + 1) % points.length];
+    n[0] += (p[1] - q[1]) * (p[2] + q[2]);
+    n[1] += (p[2] - q[2]) * (p[0] + q[0]);
+    n[2] += (p[0] - q[0]) * (p[1] + q[1]);
+  }
+  return n;
+}
+
+// Material of OBJ faces without usemtl and of STL solids
+const MESH_FILE_DEFAULT_MATERIAL = { name: null, color: [1, 1, 1], options: {} };
+
+// Entities for an OBJ or STL model: one per group (`options.node`, a group
+// name, picks one), tagged with the group name, under `options.parent`.
+// Groups with several materials get a child entity per extra material.
+function instantiateGroupModel(world, model, options = {}) {
+  const node = options.node ?? null;
+  const groups = node === null ? model.groups : model.groups.filter(group => group.name === node);
+  if (groups.length === 0 && node !== null) throw new Error(`No group "${node}" in ${model.name}`);
+
+  const parent = options.parent ?? null;
+  const entities = [];
+  const roots = groups.map(group => {
+    const entity = world.createEntity();
+    entities.push(entity);
+    const transform = new Transform();
+    if (parent !== null) transform.parent = parent;
+    world.addComponent(entity, 'transform', transform);
+    const children = addModelPrimitives(world, entity, group.primitives,
+      primitive => model.materials.get(primitive.material) || MESH_FILE_DEFAULT_MATERIAL, entities);
+    if (children.length > 0) {
+      const hierarchy = new Hierarchy();
+      hierarchy.children = children;
+      if (parent !== null) hierarchy.parent = parent;
+      world.addComponent(entity, 'hierarchy', hierarchy);
+    }
+    world.addComponent(entity, 'tag', new Tag(group.name));
+    return entity;
+  });
+
+  if (parent !== null) {
+    const parentEntity = world.getEntity(parent);
+    const hierarchy = parentEntity && parentEntity.getComponent('hierarchy');
+    if (hierarchy) hierarchy.children.push(...roots.map(entity => entity.id));
+  }
+  return { roots, entities };
+}
 
-    // SVG3 rotation values are specified in radians per spec.
-    // Accept legacy degree values by auto-detecting large magnitudes (> 2π)
-    // and converting them to radians so both styles work.
-    const maxRot = Math.max(Math.abs(rotation[0] || 0), Math.abs(rotation[1] || 0), Math.abs(rotation[2] || 0));
-    if (maxRot > Math.PI * 2) {
-      rotation = rotation.map(v => (v || 0) * Math.PI / 180);
-    }
+function decodeText(data) {
+  return typeof data === 'string' ? data : new TextDecoder().decode(data);
+}
 
-    this.world.addComponent(entity, 'transform', new Transform(...position));
-    const t = entity.getComponent('transform');
-    t.rotation = rotation;
-    t.scale = scale;
-    // Record parent relationship so renderer can compose hierarchical transforms
-    if (parentId) {
-      t.parent = parentId;
-    }
+// Reads Wavefront OBJ with its MTL materials. Each group (`g`, or `o` where
+// a file has no groups) becomes an entity, and each material used within a
+// group a geometry: `name/group` or `name/group/material`. Faces with more
+// than three corners are triangulated; smoothing groups (`s`) decide which
+// faces share normals where the file gives none (`s off` faces are flat).
+// `v x y z r g b` vertex colors are read as sRGB.
+//
+//   const loader = new OBJLoader(world, geometryLibrary);
+//   const model = await loader.load('chair.obj');
+//   loader.instantiate(model, { parent: entity.id });
+class OBJLoader {
+  // options.loadBinary: (url) => Promise<ArrayBuffer> for the .obj and the
+  // .mtl files it names (default: fetch, or the file system in Node)
+  constructor(world, geometryLibrary, options = {}) {
+    this.world = world;
+    this.geometryLibrary = geometryLibrary;
+    this.loadBinary = options.loadBinary || fetchBinary;
+    this.warnings = [];
+  }
 
-    if (tagName === 'mesh') {
-      const geometryId = elem.getAttribute('geometry');
-      const materialId = elem.getAttribute('material');
+  async load(url) {
+    return this.parse(await this.loadBinary(url), url);
+  }
 
-      if (geometryId) {
-        this.world.addComponent(
-          entity,
-          'mesh',
-          new Mesh(geometryId, materialId)
-        );
-      }
+  // OBJ text (string, ArrayBuffer or typed array). `url` is what mtllib and
+  // texture paths resolve against. Resolves with
+  // { url, name, groups: [{ name, primitives }], materials, textures }.
+  async parse(data, url = null) {
+    const name = modelName(url, 'obj');
+    const positions = [];
+    const colors = [];
+    const uvs = [];
+    const normals = [];
+    const groups = new Map();
+    const libraries = [];
+    let objectName = null;
+    let group = null;
+    let material = null;
+    let smoothing = 0;
+    let skipped = 0;
+    let lineElements = false;
+
+    const useGroup = (groupName) => {
+      if (!groups.has(groupName)) groups.set(groupName, { name: groupName, parts: new Map() });
+      group = groups.get(groupName);
+    };
 
-      if (materialId && this.materialMap.has(materialId)) {
-        const matData = this.materialMap.get(materialId);
-        this.world.addComponent(
-          entity,
-          'material',
-          new Material(matData.color, {
-            metalness: matData.metalness,
-            roughness: matData.roughness
-          })
-        );
+    const lines = decodeText(data).replace(/\\\r?\n/g, ' ').split(/\r?\n/);
+    for (let l = 0; l < lines.length; l++) {
+      const line = lines[l].trim();
+      if (line === '' || line[0] === '#') continue;
+      const parts = line.split(/\s+/);
+      const rest = line.slice(parts[0].length).trim();
+      const numbers = () => parts.slice(1).map(parseFloat);
+
+      switch (parts[0]) {
+        case 'v': {
+          const v = numbers();
+          positions.push([v[0] || 0, v[1] || 0, v[2] || 0]);
+          if (v.length >= 6) colors[positions.length - 1] = [v[3], v[4], v[5]].map(srgbToLinear);
+          break;
+        }
+        case 'vt': {
+          const v = numbers();
+          uvs.push([v[0] || 0, v[1] || 0]);
+          break;
+        }
+        case 'vn': {
+          const v = numbers();
+          normals.push([v[0] || 0, v[1] || 0, v[2] || 0]);
+          break;
+        }
+        case 'f': {
+          // v, v/vt, v//vn or v/vt/vn; negative indices count back from the end
+          const index = (value, count) => {
+            if (value === undefined || value === '') return -1;
+            const i = parseInt(value, 10);
+            const resolved = i < 0 ? count + i : i - 1;
+            if (!(resolved >= 0 && resolved < count)) throw new RangeError();
+            return resolved;
+          };
+          let corners;
+          try {
+            corners = parts.slice(1).map(ref => {
+              const [v, t, n] = ref.split('/');
+              return { v: index(v, positions.length), t: index(t, uvs.length), n: index(n, normals.length) };
+            });
+          } catch (e) {
+            skipped++;
+            break;
+          }
+          if (corners.length < 3 || corners.some(c => c.v < 0)) {
+            skipped++;
+            break;
+          }
+          if (!group) useGroup(objectName || 'default');
+          if (!group.parts.has(material)) group.parts.set(material, []);
+          group.parts.get(material).push({ corners, smoothing });
+          break;
+        }
+        case 'o':
+          objectName = rest || null;
+          useGroup(objectName || 'default');
+          break;
+        case 'g':
+          useGroup(rest || objectName || 'default');
+          break;
+        case 'usemtl':
+          material = rest || null;
+          break;
+        case 's':
+          smoothing = rest === 'off' ? 0 : parseInt(rest, 10) || 0;
+          break;
+        case 'mtllib':
+          libraries.push(...parts.slice(1));
+          break;
+        case 'l':
+        case 'p':
+          lineElements = true;
+          break;
+        default:
+          break;
       }
     }
+    if (skipped > 0) this.warnings.push(`${name}: ${skipped} face(s) with missing or out-of-range vertices skipped`);
+    if (lineElements) this.warnings.push(`${name}: points and lines are not supported`);
 
-    const animElements = elem.getElementsByTagName('animate');
-    if (animElements.length > 0) {
-      const anim = new Animation('svg3-animation');
-      
-      for (let i = 0; i < animElements.length; i++) {
-        this.parseAnimation(animElements[i], anim);
-      }
-
-      if (anim.tracks.length > 0) {
-        this.world.addComponent(entity, 'animation', anim);
-        anim.playing = true;
+    const model = { url, name, groups: [], materials: new Map(), textures: [] };
+    for (const library of libraries) {
+      const libraryUrl = OBJLoader._resolve(library, url);
+      try {
+        const text = decodeText(await this.loadBinary(libraryUrl));
+        for (const [materialName, def] of this.parseMTL(text, libraryUrl, model)) {
+          model.materials.set(materialName, def);
+        }
+      } catch (err) {
+        this.warnings.push(`${name}: material library ${library} could not be loaded (${err.message})`);
       }
     }
 
-    const children = [];
-    for (let i = 0; i < elem.children.length; i++) {
-      const child = elem.children[i];
-
-      if (child.tagName.toLowerCase() === 'mesh' || child.tagName.toLowerCase() === 'group') {
-        const childEntity = this.parseObject(child, entity.id);
-        if (childEntity) {
-          children.push(childEntity.id);
+    const vertexData = { positions, colors, uvs, normals };
+    for (const { name: groupName, parts } of groups.values()) {
+      const primitives = [];
+      for (const [materialName, faces] of parts) {
+        if (materialName !== null && !model.materials.has(materialName)) {
+          this.warnings.push(`${name}: material "${materialName}" is not defined`);
         }
+        const id = uniqueGeometryId(this.geometryLibrary,
+          `${name}/${groupName}${parts.size > 1 ? `/${materialName || 'default'}` : ''}`);
+        OBJLoader._addGeometry(this.geometryLibrary, id, faces, vertexData);
+        primitives.push({ geometryId: id, material: materialName });
       }
+      if (primitives.length > 0) model.groups.push({ name: groupName, primitives });
     }
+    return model;
+  }
 
-    if (children.length > 0) {
-      const hierarchy = new Hierarchy();
-      hierarchy.children = children;
-      if (parentId) hierarchy.parent = parentId;
-      this.world.addComponent(entity, 'hierarchy', hierarchy);
+  static _resolve(path, base) {
+    if (!base || path.startsWith('data:')) return path;
+    try {
+      return new URL(path, base).href;
+    } catch (e) {
+      return base.replace(/[^/\\]*$/, '') + path;
     }
+  }
 
-    if (id) {
-      this.world.addComponent(entity, 'tag', new Tag(id));
-    }
+  // One geometry from OBJ faces. Corners become shared vertices when they
+  // agree on position, texture coordinate and normal; without a normal, on
+  // smoothing group as well (never, for faces outside one), and the normal is
+  // the area-weighted average of the faces sharing the vertex.
+  static _addGeometry(geometryLibrary, id, faces, { positions, colors, uvs, normals }) {
+    const hasUvs = faces.some(face => face.corners.some(c => c.t >= 0));
+    const hasColors = colors.length > 0;
+    const vertices = [];
+    const vertexUvs = [];
+    const vertexNormals = [];
+    const vertexColors = [];
+    const computed = [];
+    const keys = new Map();
+    const indices = [];
 
-    return entity;
-  }
+    faces.forEach((face, f) => {
+      const points = face.corners.map(c => positions[c.v]);
+      const faceNormal = polygonNormal(points);
+      const corners = face.corners.map(c => {
+        const key = c.n >= 0 ? `${c.v}/${c.t}/${c.n}` : `${c.v}/${c.t}/s${face.smoothing || `f${f}`}`;
+        let vertex = keys.get(key);
+        if (vertex === undefined) {
+          vertex = vertices.length / 3;
+          keys.set(key, vertex);
+          vertices.push(...positions[c.v]);
+          if (hasUvs) vertexUvs.push(...(c.t >= 0 ? uvs[c.t] : [0, 0]));
+          if (hasColors) vertexColors.push(...(colors[c.v] || [1, 1, 1]));
+          vertexNormals.push(...(c.n >= 0 ? normals[c.n] : [0, 0, 0]));
+          computed.push(c.n < 0);
+        }
+        if (c.n < 0) {
+          for (let k = 0; k < 3; k++) vertexNormals[vertex * 3 + k] += faceNormal[k];
+        }
+        return vertex;
+      });
+      for (const triangle of triangulatePolygon(points, faceNormal)) {
+        indices.push(corners[triangle[0]], corners[triangle[1]], corners[triangle[2]]);
+      }
+    });
 
-  parseAnimation(animElem, animation) {
-    const attributeName = animElem.getAttribute('attributeName');
-    const from = animElem.getAttribute('from');
-    const to = animElem.getAttribute('to');
-    const dur = this.parseDuration(animElem.getAttribute('dur') || '1s');
-    const repeatCount = animElem.getAttribute('repeatCount') || 'indefinite';
+    computed.forEach((isComputed, v) => {
+      if (!isComputed) return;
+      const n = GeometryLibrary._normalize(vertexNormals.slice(v * 3, v * 3 + 3));
+      vertexNormals.splice(v * 3, 3, ...n);
+    });
+
+    geometryLibrary.addGeometry(id, vertices, indices, hasUvs ? vertexUvs : null, {
+      normals: vertexNormals,
+      colors: hasColors ? vertexColors : null
+    });
+  }
 
-    animation.duration = dur;
-    animation.loop = repeatCount === 'indefinite';
+  // Materials of an MTL file by name, as { name, color, options }. Colors are
+  // sRGB; Blinn-Phong shininess (Ns) maps to roughness unless the PBR
+  // extension's Pr is given. bump/map_Bump are read as tangent-space normal
+  // maps, as exporters such as Blender write them. Textures go into
+  // `model.textures`.
+  parseMTL(text, url, model) {
+    const materials = new Map();
+    let current = null;
+    const textureCache = new Map();
+
+    for (const rawLine of decodeText(text).split(/\r?\n/)) {
+      const line = rawLine.trim();
+      if (line === '' || line[0] === '#') continue;
+      const parts = line.split(/\s+/);
+      const keyword = parts[0];
+      if (keyword === 'newmtl') {
+        current = { name: line.slice(keyword.length).trim(), color: [1, 1, 1], options: {}, shininess: null };
+        materials.set(current.name, current);
+        continue;
+      }
+      if (!current) continue;
+      const values = parts.slice(1).map(parseFloat);
+      const options = current.options;
+      switch (keyword) {
+        case 'Kd':
+          current.color = [values[0], values[1] ?? values[0], values[2] ?? values[0]];
+          break;
+        case 'Ke':
+          options.emissive = [values[0], values[1] ?? values[0], values[2] ?? values[0]];
+          if (options.emissive.some(c => c > 0)) options.emissiveIntensity = 1;
+          break;
+        case 'Ns':
+          current.shininess = values[0];
+          break;
+        case 'Pr':
+          options.roughness = values[0];
+          break;
+        case 'Pm':
+          options.metalness = values[0];
+          break;
+        case 'd':
+          options.opacity = values[0];
+          break;
+        case 'Tr':
+          options.opacity = 1 - values[0];
+          break;
+        default: {
+          const slot = { map_Kd: 'map', map_Ke: 'emissiveMap', map_Pr: 'roughnessMap', map_Pm: 'metalnessMap',
+            norm: 'normalMap', map_Bump: 'normalMap', map_bump: 'normalMap', bump: 'normalMap' }[keyword];
+          if (slot) {
+            const { file, texture, bumpScale } = this._mtlTexture(parts.slice(1), url, model, textureCache);
+            if (!file) break;
+            options[slot] = texture;
+            if (slot === 'normalMap' && bumpScale !== null) options.normalScale = bumpScale;
+          } else if (/^map_/.test(keyword)) {
+            this.warnings.push(`Material "${current.name}": ${keyword} is not supported`);
+          }
+        }
+      }
+    }
 
-    if (from && to) {
-      const fromVal = this.parseVector3(from);
-      const toVal = this.parseVector3(to);
+    for (const material of materials.values()) {
+      const { options } = material;
+      if (options.roughness === undefined && material.shininess !== null) {
+        // GGX alpha (roughness squared) of the matching Blinn-Phong lobe
+        options.roughness = Math.pow(2 / (Math.max(material.shininess, 0) + 2), 0.25);
+      }
+      if (options.opacity !== undefined) options.transparent = options.opacity < 1;
+      delete material.shininess;
+    }
+    return materials;
+  }
 
-      animation.addTrack(attributeName, [0, 1], [fromVal, toVal]);
+  // A map statement's options (-s, -o scale and offset the UVs, -clamp on,
+  // -bm bump multiplier; others are skipped) and file name
+  _mtlTexture(args, url, model, cache) {
+    const optionArgs = { '-blendu': 1, '-blendv': 1, '-cc': 1, '-clamp': 1, '-mm': 2, '-o': 3, '-s': 3, '-t': 3,
+      '-texres': 1, '-bm': 1, '-imfchan': 1, '-type': 1, '-boost': 1 };
+    const wordArgs = ['-blendu', '-blendv', '-cc', '-clamp', '-imfchan', '-type'];
+    let repeat = [1, 1];
+    let offset = [0, 0];
+    let clamp = false;
+    let bumpScale = null;
+    let i = 0;
+    while (i < args.length && optionArgs[args[i]] !== undefined) {
+      const option = args[i++];
+      const values = [];
+      // -o, -s and -t take one to three numbers
+      while (values.length < optionArgs[option] && i < args.length &&
+        (wordArgs.includes(option) || !isNaN(parseFloat(args[i])))) {
+        values.push(args[i++]);
+      }
+      if (option === '-s') repeat = [parseFloat(values[0]) || 1, parseFloat(values[1] ?? values[0]) || 1];
+      else if (option === '-o') offset = [parseFloat(values[0]) || 0, parseFloat(values[1]) || 0];
+      else if (option === '-clamp') clamp = values[0] === 'on';
+      else if (option === '-bm') bumpScale = parseFloat(values[0]);
+    }
+    const file = args.slice(i).join(' ');
+    if (!file) return { file: null };
+
+    const textureUrl = OBJLoader._resolve(file.replace(/\\/g, '/'), url);
+    const key = JSON.stringify([textureUrl, repeat, offset, clamp]);
+    if (!cache.has(key)) {
+      const texture = new Texture(textureUrl, {
+        wrapS: clamp ? 'clamp' : 'repeat',
+        wrapT: clamp ? 'clamp' : 'repeat',
+        repeat,
+        offset
+      });
+      cache.set(key, texture);
+      model.textures.push(texture);
     }
+    return { file, texture: cache.get(key), bumpScale: Number.isFinite(bumpScale) ? bumpScale : null };
+  }
+
+  // Entities for the model's groups (options.node picks one by name) under
+  // options.parent; returns { roots, entities }
+  instantiate(model, options = {}) {
+    return instantiateGroupModel(this.world, model, options);
   }
 
-  parseColor(colorStr) {
-    if (!colorStr) return [1, 1, 1];
+  loadTextures(model) {
+    return loadModelTextures(model);
+  }
+}
 
-    colorStr = colorStr.replace('#', '');
+// Reads binary and ASCII STL. Every solid (ASCII files may hold several; a
+// binary file is one) becomes a flat-shaded geometry, `name/solid`, and an
+// entity, so models load like OBJ groups. Facet normals are used when the
+// file has them and recomputed from the winding otherwise.
+class STLLoader {
+  // options.loadBinary as for OBJLoader
+  constructor(world, geometryLibrary, options = {}) {
+    this.world = world;
+    this.geometryLibrary = geometryLibrary;
+    this.loadBinary = options.loadBinary || fetchBinary;
+    this.warnings = [];
+  }
 
-    let r, g, b;
+  async load(url) {
+    return this.parse(await this.loadBinary(url), url);
+  }
 
-    if (colorStr.length === 3) {
-      r = parseInt(colorStr[0] + colorStr[0], 16) / 255;
-      g = parseInt(colorStr[1] + colorStr[1], 16) / 255;
-      b = parseInt(colorStr[2] + colorStr[2], 16) / 255;
-    } else if (colorStr.length === 6) {
-      r = parseInt(colorStr.slice(0, 2), 16) / 255;
-      g = parseInt(colorStr.slice(2, 4), 16) / 255;
-      b = parseInt(colorStr.slice(4, 6), 16) / 255;
+  // STL data (ArrayBuffer, typed array or ASCII string); resolves with a
+  // model shaped like OBJLoader's
+  async parse(data, url = null) {
+    const name = modelName(url, 'stl');
+    let solids;
+    if (typeof data === 'string') {
+      solids = STLLoader._readAscii(data);
     } else {
-      return [1, 1, 1];
+      const bytes = data instanceof ArrayBuffer
+        ? new Uint8Array(data)
+        : new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+      solids = STLLoader._isBinary(bytes) ? [STLLoader._readBinary(bytes)] : STLLoader._readAscii(decodeText(bytes));
     }
 
-    return [r, g, b];
+    const model = { url, name, groups: [], materials: new Map(), textures: [] };
+    solids.forEach((solid, s) => {
+      if (solid.positions.length === 0) return;
+      const groupName = solid.name || (solids.length > 1 ? `solid${s}` : name);
+      const id = uniqueGeometryId(this.geometryLibrary, `${name}/${groupName}`);
+      const vertexCount = solid.positions.length / 3;
+      const indices = vertexCount > 65536 ? new Uint32Array(vertexCount) : new Uint16Array(vertexCount);
+      for (let i = 0; i < vertexCount; i++) indices[i] = i;
+      this.geometryLibrary.addGeometry(id, solid.positions, indices, null, {
+        normals: STLLoader._facetNormals(solid.positions, solid.normals)
+      });
+      model.groups.push({ name: groupName, primitives: [{ geometryId: id, material: null }] });
+    });
+    if (model.groups.length === 0) this.warnings.push(`${name}: no triangles`);
+    return model;
   }
 
-  parseVector3(str) {
-    if (!str) return [0, 0, 0];
-
-    const parts = str.split(',').map(p => parseFloat(p.trim()));
-    return [
-      parts[0] || 0,
-      parts[1] || 0,
-      parts[2] || 0
-    ];
+  // Binary files have an 80-byte header and a triangle count that matches
+  // the size; some begin with "solid" like ASCII ones
+  static _isBinary(bytes) {
+    if (bytes.byteLength < 84) return false;
+    const count = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength).getUint32(80, true);
+    if (84 + count * 50 === bytes.byteLength) return true;
+    return new TextDecoder().decode(bytes.subarray(0, 5)) !== 'solid';
   }
 
-  parseDuration(str) {
-    if (str.endsWith('ms')) {
-      return parseFloat(str) / 1000;
+  static _readBinary(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const count = Math.min(view.getUint32(80, true), Math.floor((bytes.byteLength - 84) / 50));
+    const positions = new Float32Array(count * 9);
+    const normals = new Float32Array(count * 3);
+    for (let t = 0; t < count; t++) {
+      const offset = 84 + t * 50;
+      for (let k = 0; k < 3; k++) normals[t * 3 + k] = view.getFloat32(offset + k * 4, true);
+      for (let k = 0; k < 9; k++) positions[t * 9 + k] = view.getFloat32(offset + 12 + k * 4, true);
     }
-    if (str.endsWith('s')) {
-      return parseFloat(str);
+    return { name: null, positions, normals };
+  }
+
+  static _readAscii(text) {
+    const solids = [];
+    let solid = null;
+    let normal = [0, 0, 0];
+    let corners = [];
+    for (const rawLine of text.split(/\r?\n/)) {
+      const parts = rawLine.trim().split(/\s+/);
+      if (parts[0] === 'solid') {
+        solid = { name: parts.slice(1).join(' ') || null, positions: [], normals: [] };
+        solids.push(solid);
+      } else if (parts[0] === 'facet' && parts[1] === 'normal') {
+        normal = parts.slice(2, 5).map(parseFloat);
+        corners = [];
+      } else if (parts[0] === 'vertex') {
+        corners.push(...parts.slice(1, 4).map(parseFloat));
+      } else if (parts[0] === 'endfacet') {
+        if (!solid) {
+          solid = { name: null, positions: [], normals: [] };
+          solids.push(solid);
+        }
+        if (corners.length === 9 && corners.every(Number.isFinite)) {
+          solid.positions.push(...corners);
+          solid.normals.push(...normal);
+        }
+      }
     }
-    return parseFloat(str);
+    return solids;
   }
 
-  getEntity(id) {
-    return this.entityMap.get(id);
+  // Per-vertex normals from one normal per triangle, falling back to the
+  // counter-clockwise winding where the file's normal is zero or invalid
+  static _facetNormals(positions, facetNormals) {
+    const normals = new Float32Array(positions.length);
+    for (let t = 0; t < positions.length / 9; t++) {
+      let n = GeometryLibrary._normalize([facetNormals[t * 3], facetNormals[t * 3 + 1], facetNormals[t * 3 + 2]]);
+      if (!n.every(Number.isFinite) || n.every(c => c === 0)) {
+        const p = k => [positions[t * 9 + k * 3], positions[t * 9 + k * 3 + 1], positions[t * 9 + k * 3 + 2]];
+        n = GeometryLibrary._normalize(GeometryLibrary._faceNormal(p(0), p(1), p(2)));
+      }
+      for (let k = 0; k < 3; k++) normals.set(n, t * 9 + k * 3);
+    }
+    return normals;
   }
 
-  getAllEntities() {
-    return Array.from(this.entityMap.values());
+  instantiate(model, options = {}) {
+    return instantiateGroupModel(this.world, model, options);
   }
 }
 
+// Model loaders by file extension; other extensions are read as glTF
+const MODEL_LOADERS = { obj: OBJLoader, stl: STLLoader, gltf: GLTFLoader, glb: GLTFLoader };
+
 // ============================================================================
-// PART 6: PUBLIC API - SVG3NEXUS System
+// PART 7: PUBLIC API - SVG3NEXUS System
 // ============================================================================
 
+// Evaluate a SMIL keySpline ([x1, y1, x2, y2] cubic Bezier from (0,0) to (1,1)):
+// find the curve parameter whose x equals the input progress, return its y.
+function solveKeySpline(spline, x) {
+  const [x1, y1, x2, y2] = spline;
+  const bezier = (s, p1, p2) => 3 * p1 * s * (1 - s) * (1 - s) + 3 * p2 * s * s * (1 - s) + s * s * s;
+
+  // Bisection is monotonic-safe for x1, x2 in [0, 1] as SMIL requires
+  let lo = 0, hi = 1, s = x;
+  for (let i = 0; i < 32; i++) {
+    s = (lo + hi) / 2;
+    const bx = bezier(s, x1, x2);
+    if (Math.abs(bx - x) < 1e-6) break;
+    if (bx < x) lo = s; else hi = s;
+  }
+
+  return bezier(s, y1, y2);
+}
+
 const SVG3NEXUS = {
   /**
    * Load SVG3 file and create complete system
    * Usage: const system = await SVG3NEXUS.load(canvas, 'scene.svg3');
    */
-  async load(canvas, svg3Url) {
+  async load(canvas, svg3Url, options = {}) {
     // Create core systems
     const world = new World();
     const geometryLibrary = new GeometryLibrary();
     const renderer = new SVG3NexusRenderer(canvas, world, geometryLibrary);
-    const parser = new SVG3ParserNEXUS(world, geometryLibrary);
+    const parser = new SVG3ParserNEXUS(world, geometryLibrary, options);
+    parser.baseUrl = typeof document !== 'undefined' ? new URL(svg3Url, document.baseURI).href : svg3Url;
 
     // Load SVG3 file
     const response = await fetch(svg3Url);
@@ -1737,40 +8150,15 @@ const SVG3NEXUS = {
     // Parse into NEXUS entities
     const sceneData = await parser.parse(xmlString);
 
-    // Setup animation system
-    world.addSystem('svg3-animation', (world, dt) => {
-      const animated = world.query(['animation', 'transform']);
-
-      for (const entity of animated.entities) {
-        const anim = entity.getComponent('animation');
-        const transform = entity.getComponent('transform');
-
-        if (!anim.playing) continue;
+    // Texture maps stream in while the scene already renders
+    const texturesLoaded = parser.loadTextures();
 
-        anim.currentTime += dt * anim.playbackRate;
-
-        if (anim.currentTime > anim.duration) {
-          if (anim.loop) {
-            anim.currentTime -= anim.duration;
-          } else {
-            anim.playing = false;
-          }
-        }
-
-        for (const track of anim.tracks) {
-          const t = anim.duration > 0 ? anim.currentTime / anim.duration : 0;
-          const value = this.interpolateTrack(track, t);
+    // Draw from the scene's active camera (renderer falls back to a default one)
+    const activeScene = sceneData.scenes[0];
+    const cameraEntity = activeScene && activeScene.camera ? parser.getEntity(activeScene.camera) : null;
+    renderer.setActiveCamera(cameraEntity && cameraEntity.hasComponent('camera') ? cameraEntity : renderer.createDefaultCamera());
 
-          if (track.property === 'rotation') {
-            transform.rotation = value;
-          } else if (track.property === 'position') {
-            transform.position = value;
-          } else if (track.property === 'scale') {
-            transform.scale = value;
-          }
-        }
-      }
-    }, 90);
+    this.addCoreSystems(world);
 
     return {
       world,
@@ -1778,20 +8166,101 @@ const SVG3NEXUS = {
       geometryLibrary,
       sceneData,
       parser,
+      texturesLoaded,
       
       // Convenience methods
       getEntity: (id) => parser.getEntity(id),
       getAllEntities: () => parser.getAllEntities(),
       query: (required, excluded) => world.query(required, excluded),
-      addSystem: (name, fn, priority) => world.addSystem(name, fn, priority),
+      addSystem: (name, fn, priority, options) => world.addSystem(name, fn, priority, options),
+      // Serialize the current world state back to SVG3 XML (see SVG3Writer)
+      toSVG3: (options = {}) => new SVG3Writer(world, geometryLibrary, { baseUrl: parser.baseUrl, ...options })
+        .write({ scenes: sceneData.scenes, ...options }),
       
       // Start rendering
       start: () => renderer.startAnimationLoop(),
       render: () => renderer.render(),
-      update: (dt) => world.update(dt)
+      update: (dt, options) => world.update(dt, options),
+      tick: (dt, options) => world.tick(dt, options),
+      pause: () => world.pause(),
+      resume: () => world.resume(),
+      step: (count) => world.step(count)
+    };
+  },
+
+  /**
+   * Load an SVG3 scene without a renderer (Node, workers, tests)
+   * Usage: const system = await SVG3NEXUS.loadHeadless('scene.svg3', { xmlParser });
+   * `source` is SVG3 XML text, a file path or a URL. options.xmlParser is
+   * required where there is no global DOMParser (see SVG3ParserNEXUS);
+   * options.baseUrl overrides where texture paths resolve from. Textures are
+   * recorded but not loaded. Returns the same shape as load() with
+   * `renderer: null`, plus `camera` (the scene's active camera entity or null).
+   */
+  async loadHeadless(source, options = {}) {
+    let xmlString = source;
+    let baseUrl = options.baseUrl || null;
+    if (!/^\s*</.test(source)) {
+      if (/^https?:\/\//i.test(source) || (typeof process === 'undefined' && typeof fetch !== 'undefined')) {
+        const response = await fetch(source);
+        if (!response.ok) throw new Error(`Failed to fetch ${source}: ${response.status}`);
+        xmlString = await response.text();
+        baseUrl = baseUrl || source;
+      } else {
+        const { readFile } = await import('node:fs/promises');
+        const { pathToFileURL } = await import('node:url');
+        const url = source.startsWith('file:') ? new URL(source) : pathToFileURL(source);
+        xmlString = await readFile(url, 'utf8');
+        baseUrl = baseUrl || url.href;
+      }
+    }
+
+    const world = new World();
+    const geometryLibrary = new GeometryLibrary();
+    const parser = new SVG3ParserNEXUS(world, geometryLibrary, options);
+    parser.baseUrl = baseUrl;
+
+    const sceneData = await parser.parse(xmlString);
+
+    const activeScene = sceneData.scenes[0];
+    const cameraEntity = activeScene && activeScene.camera ? parser.getEntity(activeScene.camera) : null;
+
+    this.addCoreSystems(world);
+
+    return {
+      world,
+      renderer: null,
+      geometryLibrary,
+      sceneData,
+      parser,
+      camera: cameraEntity && cameraEntity.hasComponent('camera') ? cameraEntity : null,
+      texturesLoaded: Promise.resolve([]),
+
+      getEntity: (id) => parser.getEntity(id),
+      getAllEntities: () => parser.getAllEntities(),
+      query: (required, excluded) => world.query(required, excluded),
+      addSystem: (name, fn, priority, options) => world.addSystem(name, fn, priority, options),
+      toSVG3: (options = {}) => new SVG3Writer(world, geometryLibrary, { baseUrl: parser.baseUrl, ...options })
+        .write({ scenes: sceneData.scenes, ...options }),
+
+      update: (dt, options) => world.update(dt, options),
+      tick: (dt, options) => world.tick(dt, options),
+      pause: () => world.pause(),
+      resume: () => world.resume(),
+      step: (count) => world.step(count)
     };
   },
 
+  /**
+   * Check SVG3 source without loading it
+   * Usage: const { valid, errors, warnings } = SVG3NEXUS.validate(xmlString);
+   * Diagnostics carry line/column; see SVG3Validator. Loading with
+   * { strict: true } throws when this reports errors.
+   */
+  validate(xmlString) {
+    return new SVG3Validator().validate(xmlString);
+  },
+
   /**
    * Create empty system (no SVG3 file)
    */
@@ -1800,6 +8269,8 @@ const SVG3NEXUS = {
     const geometryLibrary = new GeometryLibrary();
     const renderer = new SVG3NexusRenderer(canvas, world, geometryLibrary);
     const parser = new SVG3ParserNEXUS(world, geometryLibrary);
+    renderer.setActiveCamera(renderer.createDefaultCamera());
+    this.addCoreSystems(world);
 
     return {
       world,
@@ -1810,17 +8281,96 @@ const SVG3NEXUS = {
       getEntity: (id) => parser.getEntity(id),
       getAllEntities: () => parser.getAllEntities(),
       query: (required, excluded) => world.query(required, excluded),
-      addSystem: (name, fn, priority) => world.addSystem(name, fn, priority),
+      addSystem: (name, fn, priority, options) => world.addSystem(name, fn, priority, options),
+      toSVG3: (options = {}) => new SVG3Writer(world, geometryLibrary, options).write(options),
       
       start: () => renderer.startAnimationLoop(),
       render: () => renderer.render(),
-      update: (dt) => world.update(dt)
+      update: (dt, options) => world.update(dt, options),
+      tick: (dt, options) => world.tick(dt, options),
+      pause: () => world.pause(),
+      resume: () => world.resume(),
+      step: (count) => world.step(count)
     };
   },
 
+  // Systems every loaded world needs, with or without a renderer. World
+  // matrices are valid as soon as this returns, then refreshed every tick
+  // ahead of rendering.
+  addCoreSystems(world) {
+    propagateTransforms(world);
+    world.addSystem('svg3-transforms', propagateTransforms, { phase: 'post-update' });
+    world.addSystem('svg3-transform-history', saveTransformHistory, { phase: 'pre-update', fixed: true });
+
+    // SVG3 <animate> playback
+    world.addSystem('svg3-animation', (world, dt) => {
+      const animated = world.query(['animation', 'transform']);
+
+      for (const entity of animated.entities) {
+        const anim = entity.getComponent('animation');
+        const transform = entity.getComponent('transform');
+
+        if (!anim.playing) continue;
+
+        anim.currentTime += dt * anim.playbackRate;
+
+        // Every track runs on its own clock: begin offset, simple duration
+        // and repeat count are all per track.
+        let active = false;
+        for (const track of anim.tracks) {
+          if (track.playing && !track.finished) {
+            track.time += dt * anim.playbackRate;
+          }
+
+          const localTime = track.time - track.begin;
+          if (localTime < 0) {
+            active = true;
+            continue;
+          }
+
+          const activeDuration = track.duration > 0 ? track.duration * track.repeatCount : 0;
+          let value;
+          if (localTime < activeDuration) {
+            value = this.interpolateTrack(track, (localTime % track.duration) / track.duration);
+            active = true;
+          } else {
+            track.finished = true;
+            if (track.fill === 'freeze') {
+              // Freeze at the end of the active duration (may be a partial repeat)
+              value = this.interpolateTrack(track, track.repeatCount % 1 || 1);
+            } else {
+              value = track.baseValue ? [...track.baseValue] : null;
+            }
+          }
+          if (!value) continue;
+
+          if (track.property === 'rotation') {
+            transform.rotation = value;
+          } else if (track.property === 'position') {
+            transform.position = value;
+          } else if (track.property === 'scale') {
+            transform.scale = value;
+          } else if (track.property === 'quaternion') {
+            transform.quaternion = value;
+          }
+        }
+
+        if (!active) {
+          anim.playing = false;
+        }
+      }
+    }, { phase: 'update', fixed: true });
+  },
+
   interpolateTrack(track, t) {
     t = Math.max(0, Math.min(1, t));
 
+    const copy = (v) => (Array.isArray(v) ? [...v] : v);
+
+    if (track.values.length === 1) {
+      return copy(track.values[0]);
+    }
+
     let i0 = 0;
     for (let i = 0; i < track.keyframes.length; i++) {
       if (track.keyframes[i] <= t) {
@@ -1828,6 +8378,11 @@ const SVG3NEXUS = {
       }
     }
 
+    // Discrete: hold each value until the next key time
+    if (track.calcMode === 'discrete') {
+      return copy(track.values[i0]);
+    }
+
     const i1 = Math.min(i0 + 1, track.keyframes.length - 1);
     const t0 = track.keyframes[i0];
     const t1 = track.keyframes[i1];
@@ -1836,10 +8391,18 @@ const SVG3NEXUS = {
     const v1 = track.values[i1];
 
     if (t0 === t1) {
-      return v0;
+      return copy(v0);
+    }
+
+    let localT = (t - t0) / (t1 - t0);
+
+    if (track.calcMode === 'spline' && track.keySplines && track.keySplines[i0]) {
+      localT = solveKeySpline(track.keySplines[i0], localT);
     }
 
-    const localT = (t - t0) / (t1 - t0);
+    if (track.property === 'quaternion') {
+      return Quaternion.slerp(v0, v1, localT);
+    }
 
     if (Array.isArray(v0) && Array.isArray(v1)) {
       return v0.map((val, i) => val + (v1[i] - val) * localT);
@@ -1848,7 +8411,12 @@ const SVG3NEXUS = {
     return v0 + (v1 - v0) * localT;
   },
 
+  propagateTransforms,
+  SYSTEM_PHASES,
+
   // Export classes for advanced use
+  Matrix4,
+  Quaternion,
   World,
   Entity,
   Component,
@@ -1857,11 +8425,20 @@ const SVG3NEXUS = {
   Material,
   Velocity,
   Animation,
+  Camera,
+  Light,
+  Texture,
+  EnvironmentMap,
   Hierarchy,
   Tag,
   GeometryLibrary,
   SVG3NexusRenderer,
-  SVG3ParserNEXUS
+  SVG3ParserNEXUS,
+  SVG3Validator,
+  SVG3Writer,
+  GLTFLoader,
+  OBJLoader,
+  STLLoader
 };
 
 export default SVG3NEXUS;
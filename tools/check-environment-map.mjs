@@ -0,0 +1,30 @@
+#!/usr/bin/env node
+/*
+Regression check for EnvironmentMap.prefilter on sources whose pyramid levels
+have odd sizes: the spherical harmonics must be finite and the specular atlas
+must not be black. No dependencies beyond Node.
+Usage:
+  node tools/check-environment-map.mjs
+*/
+import SVG3NEXUS from '../svg3-nexus-system.js';
+
+const { EnvironmentMap } = SVG3NEXUS;
+const cases = [[1030, 515, 128], [1024, 513, 128], [700, 350, 128], [1024, 512, 128], [37, 19, 16]];
+let failed = false;
+
+for (const [width, height, size] of cases) {
+  const data = new Float32Array(width * height * 3);
+  for (let i = 0; i < data.length; i++) data[i] = 0.25 + (i % 7) / 10;
+  const env = new EnvironmentMap(width, height, data).prefilter({ size, samples: 8 });
+
+  const finiteSH = Array.from(env.sh).every(Number.isFinite);
+  let lit = 0;
+  for (let i = 0; i < env.atlas.data.length; i += 4) {
+    if (env.atlas.data[i] || env.atlas.data[i + 1] || env.atlas.data[i + 2]) lit++;
+  }
+  const ok = finiteSH && lit > 0;
+  if (!ok) failed = true;
+  console.log(`${ok ? 'ok  ' : 'FAIL'} ${width}x${height} at size ${size}: SH ${finiteSH ? 'finite' : 'NaN'}, ${lit} lit atlas texels`);
+}
+
+process.exit(failed ? 1 : 0);
@@ -0,0 +1,55 @@
+#!/usr/bin/env node
+/*
+Check .svg3 files against what the SVG3 parser reads and print diagnostics
+with line/column. No dependencies beyond Node.
+Usage:
+  node tools/svg3-validate.mjs [--strict] [--json] scene.svg3 [more.svg3 ...]
+
+Exits with 1 when a file has errors, or also warnings with --strict, and
+with 2 on bad usage or unreadable files. --json prints one
+{ file, valid, diagnostics } object per file instead of text.
+*/
+import { readFile } from 'node:fs/promises';
+import SVG3NEXUS from '../svg3-nexus-system.js';
+
+const args = process.argv.slice(2);
+const strict = args.includes('--strict');
+const json = args.includes('--json');
+const files = args.filter(arg => !arg.startsWith('--'));
+const unknown = args.filter(arg => arg.startsWith('--') && arg !== '--strict' && arg !== '--json');
+
+if (files.length === 0 || unknown.length > 0) {
+  if (unknown.length > 0) console.error(`Unknown option ${unknown.join(', ')}`);
+  console.error('Usage: node tools/svg3-validate.mjs [--strict] [--json] file.svg3 ...');
+  process.exit(2);
+}
+
+let exitCode = 0;
+const results = [];
+
+for (const file of files) {
+  let source;
+  try {
+    source = await readFile(file, 'utf8');
+  } catch (err) {
+    console.error(`${file}: ${err.message}`);
+    exitCode = 2;
+    continue;
+  }
+
+  const report = SVG3NEXUS.validate(source);
+  const failed = !report.valid || (strict && report.warnings.length > 0);
+  if (failed && exitCode === 0) exitCode = 1;
+
+  if (json) {
+    results.push({ file, valid: report.valid, diagnostics: report.diagnostics });
+    continue;
+  }
+  for (const diagnostic of report.diagnostics) {
+    console.log(SVG3NEXUS.SVG3Validator.format(diagnostic, file));
+  }
+  console.log(`${file}: ${report.errors.length} error(s), ${report.warnings.length} warning(s)`);
+}
+
+if (json) console.log(JSON.stringify(results, null, 2));
+process.exit(exitCode);